@@ -0,0 +1,216 @@
+/**
+ * Compares the memory usage and the throughput of `add()`, `delete()`, iteration and reverse iteration of `ReverseIterableSet` with the implementation of another git revision and the built-in `Set`. The baseline implementation is read from the git history, so the benchmark needs a git checkout of the repository. By default, it is the last release (5.0.0), which stored each value in a node object.
+ *
+ * Usage: `npm run benchmark -- [--size=1000000] [--runs=5] [--baseline=<git revision>]`
+ */
+import { execFileSync } from 'node:child_process'
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { pathToFileURL } from 'node:url'
+
+import ReverseIterableSet from '../src/reverse-iterable-set.js'
+
+const options = parseArguments(process.argv.slice(2))
+const size = Number(options.size ?? 1_000_000)
+const runs = Number(options.runs ?? 5)
+// The revision of the 5.0.0 release.
+const baseline = options.baseline ?? '0bbecf7'
+
+if (typeof globalThis.gc !== 'function') {
+	throw new Error('The benchmark needs to run with `node --expose-gc` (e.g. via `npm run benchmark`)')
+}
+
+const BaselineReverseIterableSet = await importBaseline(baseline)
+
+/**
+ * @typedef {{ name: string, create: () => any, reverse: ((set: any) => Iterable<number>) | null }} Implementation
+ */
+
+/** @type {Implementation[]} */ const implementations = [
+	{ name: 'Set', create: () => new Set(), reverse: null },
+	{ name: `ReverseIterableSet (${baseline})`, create: () => new BaselineReverseIterableSet(), reverse: (set) => set.reverseIterator() },
+	{ name: 'ReverseIterableSet', create: () => new ReverseIterableSet(), reverse: (set) => set.reverseIterator() },
+]
+
+console.log(`Node.js ${process.version}, ${size} values, best of ${runs} runs\n`)
+
+/** @type {Record<string, Record<string, string>>} */ const results = {}
+for (const implementation of implementations) {
+	results[implementation.name] = {
+		'bytes per value': measureMemory(implementation).toFixed(1),
+		'add (ops/s)': formatRate(measure(implementation, (set) => {
+			for (let i = 0; i < size; i++) {
+				set.add(i)
+			}
+		}, false)),
+		'iterate (ops/s)': formatRate(measure(implementation, (set) => {
+			let sum = 0
+			for (const value of set) {
+				sum += value
+			}
+			return sum
+		})),
+		'reverse iterate (ops/s)': implementation.reverse === null
+			? 'n/a'
+			: formatRate(measure(implementation, (set) => {
+				let sum = 0
+				for (const value of /** @type {(set: any) => Iterable<number>} */ (implementation.reverse)(set)) {
+					sum += value
+				}
+				return sum
+			})),
+		'delete (ops/s)': formatRate(measure(implementation, (set) => {
+			for (let i = 0; i < size; i++) {
+				set.delete(i)
+			}
+		})),
+	}
+}
+
+console.table(results)
+
+/**
+ * Measures the memory retained by a set with `size` values, including the backing stores of typed arrays.
+ *
+ * @param {Implementation} implementation
+ * @returns {number} the number of bytes per value.
+ */
+function measureMemory(implementation) {
+	collectGarbage()
+	const before = getUsedMemory()
+	const set = fill(implementation.create())
+	collectGarbage()
+	const after = getUsedMemory()
+
+	// Keeps the set alive until after the measurement.
+	if (set.size !== size) {
+		throw new Error(`Expected ${size} values but got ${set.size}`)
+	}
+
+	return (after - before) / size
+}
+
+/**
+ * Runs `task` `runs` times on a new set.
+ *
+ * @param {Implementation} implementation
+ * @param {(set: any) => unknown} task
+ * @param {boolean} [filled] Whether `task` gets a set with `size` values or an empty set.
+ * @returns {number} the best number of values processed per second.
+ */
+function measure(implementation, task, filled = true) {
+	let best = 0
+
+	for (let run = 0; run < runs; run++) {
+		const set = filled ? fill(implementation.create()) : implementation.create()
+		collectGarbage()
+
+		const start = process.hrtime.bigint()
+		task(set)
+		const seconds = Number(process.hrtime.bigint() - start) / 1e9
+
+		best = Math.max(best, size / seconds)
+	}
+
+	return best
+}
+
+/**
+ * @template {{ add: (value: number) => unknown }} T
+ * @param {T} set
+ * @returns {T} `set` with the values from `0` to `size - 1`.
+ */
+function fill(set) {
+	for (let i = 0; i < size; i++) {
+		set.add(i)
+	}
+
+	return set
+}
+
+/**
+ * @returns {number} the number of bytes used by the heap and by array buffers.
+ */
+function getUsedMemory() {
+	const { heapUsed, arrayBuffers } = process.memoryUsage()
+
+	return heapUsed + arrayBuffers
+}
+
+function collectGarbage() {
+	/** @type {any} */ (globalThis).gc()
+}
+
+/**
+ * @param {number} rate
+ * @returns {string}
+ */
+function formatRate(rate) {
+	return Math.round(rate).toLocaleString('en-US')
+}
+
+/**
+ * Loads `ReverseIterableSet` as of the git revision `revision` from a temporary directory.
+ *
+ * @param {string} revision
+ * @returns {Promise<any>} the `ReverseIterableSet` class of `revision`.
+ */
+async function importBaseline(revision) {
+	const directory = mkdtempSync(join(tmpdir(), 'reverse-iterable-set-'))
+
+	try {
+		for (const file of ['reverse-iterable-set.js', 'iterator-helpers.js']) {
+			// Older revisions don't have all of the files.
+			if (!existsAt(revision, `src/${file}`)) {
+				continue
+			}
+
+			const source = execFileSync('git', ['show', `${revision}:src/${file}`], { encoding: 'utf8' })
+			writeFileSync(join(directory, file), source)
+		}
+
+		const module = await import(pathToFileURL(join(directory, 'reverse-iterable-set.js')).href)
+
+		return module.default
+	}
+	finally {
+		rmSync(directory, { recursive: true, force: true })
+	}
+}
+
+/**
+ * @param {string} revision
+ * @param {string} path
+ * @returns {boolean} whether the file `path` exists in the git revision `revision`.
+ */
+function existsAt(revision, path) {
+	try {
+		execFileSync('git', ['cat-file', '-e', `${revision}:${path}`], { stdio: 'ignore' })
+
+		return true
+	}
+	catch {
+		return false
+	}
+}
+
+/**
+ * @param {string[]} args Arguments of the form `--name=value`.
+ * @returns {Record<string, string>}
+ */
+function parseArguments(args) {
+	/** @type {Record<string, string>} */ const result = {}
+
+	for (const arg of args) {
+		const match = /^--([^=]+)=(.*)$/.exec(arg)
+
+		if (match === null) {
+			throw new Error(`Unknown argument "${arg}". Arguments need to have the form --name=value.`)
+		}
+
+		result[/** @type {string} */ (match[1])] = /** @type {string} */ (match[2])
+	}
+
+	return result
+}
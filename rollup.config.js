@@ -2,7 +2,12 @@ import { defineConfig } from 'rollup'
 import terser from '@rollup/plugin-terser'
 
 export default defineConfig({
-	input: 'src/reverse-iterable-set.js',
+	input: [
+		'src/reverse-iterable-set.js',
+		'src/immutable-reverse-iterable-set.js',
+		'src/weak-reverse-iterable-set.js',
+		'src/reverse-iterable-multiset.js',
+	],
 	output: {
 		dir: 'dist',
 	},
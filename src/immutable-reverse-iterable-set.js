@@ -0,0 +1,897 @@
+import { iteratorHelpers } from './iterator-helpers.js'
+import ReverseIterableSet from './reverse-iterable-set.js'
+
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableIterator<V>} ReverseIterableIterator
+ */
+/**
+ * An entry of the hash trie. Instead of node references, it stores the neighboring values (or `NONE`) so that an entry can be replaced without copying its neighbors.
+ *
+ * @template V
+ * @typedef {object} TrieEntry
+ * @property {V} value
+ * @property {number} hash
+ * @property {V | NoValue} prev
+ * @property {V | NoValue} next
+ */
+/**
+ * A node of the hash trie holding the children whose hashes share the same prefix. `bitmap` has a bit set for each of the 32 possible hash fragments at this level which is in use.
+ *
+ * @template V
+ * @typedef {object} TrieBitmapNode
+ * @property {number} bitmap
+ * @property {TrieChild<V>[]} children
+ */
+/**
+ * A node of the hash trie holding entries whose hashes are equal.
+ *
+ * @template V
+ * @typedef {object} TrieCollisionNode
+ * @property {number} hash
+ * @property {TrieEntry<V>[]} entries
+ */
+/**
+ * @template V
+ * @typedef {TrieEntry<V> | TrieBitmapNode<V> | TrieCollisionNode<V>} TrieChild
+ */
+
+/**
+ * Marks the absence of a neighboring value. A value can't be used because `undefined` is a valid value.
+ */
+const NONE = Symbol('NONE')
+
+/**
+ * @typedef {typeof NONE} NoValue
+ */
+
+/**
+ * An immutable variant of `ReverseIterableSet`.
+ *
+ * Methods which would change a `ReverseIterableSet` object (e.g. `add()` or `delete()`) return a new `ImmutableReverseIterableSet` object instead. The new object shares all unchanged parts of its structure with the original one: an update copies only O(log n) internal nodes. Methods which don't result in a change return the original object which makes comparing the results with `===` a cheap way to detect changes.
+ *
+ * @template V
+ */
+export default class ImmutableReverseIterableSet {
+	/** @type {TrieChild<V> | null} */ #root
+	/** @type {number} */ #size
+	/** @type {V | NoValue} */ #first
+	/** @type {V | NoValue} */ #last
+
+	/**
+	 * An `ImmutableReverseIterableSet` object can be constructed from any iterable, including `ReverseIterableSet` objects. Constructing it from another `ImmutableReverseIterableSet` object shares the structure of that object.
+	 *
+	 * @param {Iterable<V> | null} [iterable]
+	 */
+	constructor(iterable) {
+		this.#root = null
+		this.#size = 0
+		this.#first = NONE
+		this.#last = NONE
+
+		if (iterable instanceof ImmutableReverseIterableSet) {
+			this.#root = iterable.#root
+			this.#size = iterable.#size
+			this.#first = iterable.#first
+			this.#last = iterable.#last
+		}
+		else if (iterable !== undefined && iterable !== null) {
+			for (const value of iterable) {
+				if (this.#getEntry(value) === undefined) {
+					this.#linkValue(value, this.#last, NONE)
+				}
+			}
+		}
+	}
+
+	/**
+	 * The [`@@toStringTag`][1] property is used by [`Object.prototype.toString()`][2].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Symbol/toStringTag
+	 * [2]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/toString
+	 *
+	 * @returns {string}
+	 */
+	get [Symbol.toStringTag]() {
+		return 'ImmutableReverseIterableSet'
+	}
+
+	/**
+	 * The `size` accessor property returns the number of values in an `ImmutableReverseIterableSet` object.
+	 *
+	 * @returns {number} the number of values in the `ImmutableReverseIterableSet` object.
+	 */
+	get size() {
+		return this.#size
+	}
+
+	/**
+	 * The `has()` method returns a boolean indicating whether a value exists in an `ImmutableReverseIterableSet` object or not.
+	 *
+	 * @param {V} value
+	 * @returns {boolean} `true` if the value exists in the `ImmutableReverseIterableSet` object otherwise `false`.
+	 */
+	has(value) {
+		return this.#getEntry(value) !== undefined
+	}
+
+	/**
+	 * The `add()` method returns a new `ImmutableReverseIterableSet` object with `value` added at the end.
+	 *
+	 * @param {V} value The value to add.
+	 * @returns {ImmutableReverseIterableSet<V>} a new `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if `value` already exists in it.
+	 */
+	add(value) {
+		if (this.has(value)) {
+			return this
+		}
+
+		const set = this.#copy()
+		set.#linkValue(value, set.#last, NONE)
+
+		return set
+	}
+
+	/**
+	 * The `addFirst()` method returns a new `ImmutableReverseIterableSet` object with `value` added at the start.
+	 *
+	 * @param {V} value The value to add.
+	 * @returns {ImmutableReverseIterableSet<V>} a new `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if `value` already exists in it.
+	 */
+	addFirst(value) {
+		if (this.has(value)) {
+			return this
+		}
+
+		const set = this.#copy()
+		set.#linkValue(value, NONE, set.#first)
+
+		return set
+	}
+
+	/**
+	 * The `insertBefore()` method returns a new `ImmutableReverseIterableSet` object with `value` added directly before the existing value `ref`.
+	 *
+	 * @param {V} ref An existing value before which to insert `value`.
+	 * @param {V} value The value to add.
+	 * @returns {ImmutableReverseIterableSet<V>} a new `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if `value` already exists in it.
+	 * @throws {RangeError} if `ref` doesn't exist in the `ImmutableReverseIterableSet` object.
+	 */
+	insertBefore(ref, value) {
+		const refEntry = this.#getExistingEntry(ref, 'insertBefore')
+
+		if (this.has(value)) {
+			return this
+		}
+
+		const set = this.#copy()
+		set.#linkValue(value, refEntry.prev, refEntry.value)
+
+		return set
+	}
+
+	/**
+	 * The `insertAfter()` method returns a new `ImmutableReverseIterableSet` object with `value` added directly after the existing value `ref`.
+	 *
+	 * @param {V} ref An existing value after which to insert `value`.
+	 * @param {V} value The value to add.
+	 * @returns {ImmutableReverseIterableSet<V>} a new `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if `value` already exists in it.
+	 * @throws {RangeError} if `ref` doesn't exist in the `ImmutableReverseIterableSet` object.
+	 */
+	insertAfter(ref, value) {
+		const refEntry = this.#getExistingEntry(ref, 'insertAfter')
+
+		if (this.has(value)) {
+			return this
+		}
+
+		const set = this.#copy()
+		set.#linkValue(value, refEntry.value, refEntry.next)
+
+		return set
+	}
+
+	/**
+	 * The `moveBefore()` method returns a new `ImmutableReverseIterableSet` object with the existing value `value` moved directly before the existing value `ref`.
+	 *
+	 * @param {V} ref An existing value before which to move `value`.
+	 * @param {V} value An existing value to move.
+	 * @returns {ImmutableReverseIterableSet<V>} a new `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if `value` is already in place.
+	 * @throws {RangeError} if `ref` or `value` don't exist in the `ImmutableReverseIterableSet` object.
+	 */
+	moveBefore(ref, value) {
+		const refEntry = this.#getExistingEntry(ref, 'moveBefore')
+		const entry = this.#getExistingEntry(value, 'moveBefore')
+
+		if (entry === refEntry || sameValueZero(entry.next, refEntry.value)) {
+			return this
+		}
+
+		const set = this.#copy()
+		set.#unlinkValue(entry.value)
+		set.#linkValue(entry.value, set.#getLinkedEntry(refEntry.value).prev, refEntry.value)
+
+		return set
+	}
+
+	/**
+	 * The `moveAfter()` method returns a new `ImmutableReverseIterableSet` object with the existing value `value` moved directly after the existing value `ref`.
+	 *
+	 * @param {V} ref An existing value after which to move `value`.
+	 * @param {V} value An existing value to move.
+	 * @returns {ImmutableReverseIterableSet<V>} a new `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if `value` is already in place.
+	 * @throws {RangeError} if `ref` or `value` don't exist in the `ImmutableReverseIterableSet` object.
+	 */
+	moveAfter(ref, value) {
+		const refEntry = this.#getExistingEntry(ref, 'moveAfter')
+		const entry = this.#getExistingEntry(value, 'moveAfter')
+
+		if (entry === refEntry || sameValueZero(entry.prev, refEntry.value)) {
+			return this
+		}
+
+		const set = this.#copy()
+		set.#unlinkValue(entry.value)
+		set.#linkValue(entry.value, refEntry.value, set.#getLinkedEntry(refEntry.value).next)
+
+		return set
+	}
+
+	/**
+	 * The `moveToFront()` method returns a new `ImmutableReverseIterableSet` object with the existing value `value` moved to the start.
+	 *
+	 * @param {V} value An existing value to move.
+	 * @returns {ImmutableReverseIterableSet<V>} a new `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if `value` is already the first value.
+	 * @throws {RangeError} if `value` doesn't exist in the `ImmutableReverseIterableSet` object.
+	 */
+	moveToFront(value) {
+		const entry = this.#getExistingEntry(value, 'moveToFront')
+
+		if (entry.prev === NONE) {
+			return this
+		}
+
+		const set = this.#copy()
+		set.#unlinkValue(entry.value)
+		set.#linkValue(entry.value, NONE, set.#first)
+
+		return set
+	}
+
+	/**
+	 * The `moveToBack()` method returns a new `ImmutableReverseIterableSet` object with the existing value `value` moved to the end.
+	 *
+	 * @param {V} value An existing value to move.
+	 * @returns {ImmutableReverseIterableSet<V>} a new `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if `value` is already the last value.
+	 * @throws {RangeError} if `value` doesn't exist in the `ImmutableReverseIterableSet` object.
+	 */
+	moveToBack(value) {
+		const entry = this.#getExistingEntry(value, 'moveToBack')
+
+		if (entry.next === NONE) {
+			return this
+		}
+
+		const set = this.#copy()
+		set.#unlinkValue(entry.value)
+		set.#linkValue(entry.value, set.#last, NONE)
+
+		return set
+	}
+
+	/**
+	 * The `delete()` method returns a new `ImmutableReverseIterableSet` object without `value`.
+	 *
+	 * @param {V} value The value to remove.
+	 * @returns {ImmutableReverseIterableSet<V>} a new `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if `value` doesn't exist in it.
+	 */
+	delete(value) {
+		const entry = this.#getEntry(value)
+
+		if (entry === undefined) {
+			return this
+		}
+
+		const set = this.#copy()
+		set.#unlinkValue(entry.value)
+
+		return set
+	}
+
+	/**
+	 * The `clear()` method returns an empty `ImmutableReverseIterableSet` object.
+	 *
+	 * @returns {ImmutableReverseIterableSet<V>} a new empty `ImmutableReverseIterableSet` object or the `ImmutableReverseIterableSet` object itself if it is empty.
+	 */
+	clear() {
+		return this.#size === 0 ? this : new ImmutableReverseIterableSet()
+	}
+
+	/**
+	 * The `first()` method returns the first value of an `ImmutableReverseIterableSet` object.
+	 *
+	 * @returns {V | undefined} the first value or `undefined` if the `ImmutableReverseIterableSet` object is empty.
+	 */
+	first() {
+		return this.#first !== NONE ? this.#first : undefined
+	}
+
+	/**
+	 * The `last()` method returns the last value of an `ImmutableReverseIterableSet` object.
+	 *
+	 * @returns {V | undefined} the last value or `undefined` if the `ImmutableReverseIterableSet` object is empty.
+	 */
+	last() {
+		return this.#last !== NONE ? this.#last : undefined
+	}
+
+	/**
+	 * The `next()` method returns the value following `value` in an `ImmutableReverseIterableSet` object.
+	 *
+	 * @param {V} value An existing value.
+	 * @returns {V | undefined} the value following `value` or `undefined` if `value` is the last value or doesn't exist in the `ImmutableReverseIterableSet` object.
+	 */
+	next(value) {
+		const entry = this.#getEntry(value)
+
+		return entry !== undefined && entry.next !== NONE ? entry.next : undefined
+	}
+
+	/**
+	 * The `prev()` method returns the value preceding `value` in an `ImmutableReverseIterableSet` object.
+	 *
+	 * @param {V} value An existing value.
+	 * @returns {V | undefined} the value preceding `value` or `undefined` if `value` is the first value or doesn't exist in the `ImmutableReverseIterableSet` object.
+	 */
+	prev(value) {
+		const entry = this.#getEntry(value)
+
+		return entry !== undefined && entry.prev !== NONE ? entry.prev : undefined
+	}
+
+	/**
+	 * The `equals()` method determines whether two `ImmutableReverseIterableSet` objects contain the same values in the same order.
+	 *
+	 * Objects derived from one another without changes (e.g. by adding an existing value) share their structure which is detected without comparing the values.
+	 *
+	 * @param {ImmutableReverseIterableSet<V>} other
+	 * @returns {boolean} `true` if both objects contain the same values in the same order otherwise `false`.
+	 */
+	equals(other) {
+		if (other === this) {
+			return true
+		}
+
+		if (!(#size in other) || other.#size !== this.#size) {
+			return false
+		}
+
+		if (other.#root === this.#root && sameValueZero(other.#first, this.#first)) {
+			return true
+		}
+
+		const otherValues = other.values()
+		for (const value of this.values()) {
+			if (!sameValueZero(value, otherValues.next().value)) {
+				return false
+			}
+		}
+
+		return true
+	}
+
+	/**
+	 * The `forEach()` method executes a provided function once per each value/value pair in the `ImmutableReverseIterableSet` object, in insertion order.
+	 *
+	 * @param {(value2: V, value1: V, set: ImmutableReverseIterableSet<V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 */
+	forEach(callbackfn, thisArg) {
+		for (const value of this.values()) {
+			callbackfn.call(thisArg, value, value, this)
+		}
+	}
+
+	/**
+	 * The `forEachReverse()` method executes a provided function once per each value/value pair in the `ImmutableReverseIterableSet` object, in reverse insertion order.
+	 *
+	 * @param {(value2: V, value1: V, set: ImmutableReverseIterableSet<V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 */
+	forEachReverse(callbackfn, thisArg) {
+		for (const value of this.values().reverseIterator()) {
+			callbackfn.call(thisArg, value, value, this)
+		}
+	}
+
+	/**
+	 * The initial value of the [@@iterator][1] property is the same function object as the initial value of the `values` property.
+	 *
+	 * [1]:  https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/@@iterator
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ImmutableReverseIterableSet` object.
+	 */
+	[Symbol.iterator]() {
+		return this.values()
+	}
+
+	/**
+	 * Allows using the [iteration protocols][1] for reverse iteration.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
+	 *
+	 * @returns {ReverseIterableIterator<V>} a reverse iterable iterator for the `ImmutableReverseIterableSet` object.
+	 */
+	reverseIterator() {
+		return this.values().reverseIterator()
+	}
+
+	/**
+	 * The `entries()` method returns a new [Iterator][1] object that contains the `[value, value]` pairs for each value in an `ImmutableReverseIterableSet` object in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<[V, V]>} an iterable iterator for the `ImmutableReverseIterableSet` object.
+	 */
+	entries() {
+		return this.#iterableIterator((value) => [value, value])
+	}
+
+	/**
+	 * The `values()` method returns a new [Iterator][1] object that contains the values in an `ImmutableReverseIterableSet` object in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ImmutableReverseIterableSet` object.
+	 */
+	values() {
+		return this.#iterableIterator((value) => value)
+	}
+
+	/**
+	 * The `keys()` method is the same function object as the `values()` method. It exists for compatibility with `Set` and makes an `ImmutableReverseIterableSet` object a set-like object.
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ImmutableReverseIterableSet` object.
+	 */
+	keys() {
+		return this.values()
+	}
+
+	/**
+	 * The `toMutable()` method creates a `ReverseIterableSet` object with the values of an `ImmutableReverseIterableSet` object.
+	 *
+	 * @returns {ReverseIterableSet<V>} a new `ReverseIterableSet` object.
+	 */
+	toMutable() {
+		return new ReverseIterableSet(this)
+	}
+
+	/**
+	 * The `toJSON()` method returns the values of an `ImmutableReverseIterableSet` object as an array. It is called by `JSON.stringify()`.
+	 *
+	 * @returns {V[]} an array of the values in insertion order.
+	 */
+	toJSON() {
+		return [...this]
+	}
+
+	/**
+	 * Creates an `ImmutableReverseIterableSet` object sharing the structure of this object. Only objects created with this method (or being constructed) may be changed using the private methods.
+	 *
+	 * @returns {ImmutableReverseIterableSet<V>}
+	 */
+	#copy() {
+		return new ImmutableReverseIterableSet(this)
+	}
+
+	/**
+	 * @param {V} value
+	 * @returns {TrieEntry<V> | undefined} the entry for `value` or `undefined` if no such entry exists.
+	 */
+	#getEntry(value) {
+		return this.#root !== null ? trieGet(this.#root, hashOf(value), value, 0) : undefined
+	}
+
+	/**
+	 * @param {V} value
+	 * @param {string} methodName Name of the calling method used in the error message.
+	 * @returns {TrieEntry<V>} the entry for `value`.
+	 * @throws {RangeError} if `value` doesn't exist in the `ImmutableReverseIterableSet` object.
+	 */
+	#getExistingEntry(value, methodName) {
+		const entry = this.#getEntry(value)
+
+		if (entry === undefined) {
+			throw new RangeError(`ImmutableReverseIterableSet.prototype.${methodName}: The value is not in the set`)
+		}
+
+		return entry
+	}
+
+	/**
+	 * Returns the entry for a value which is known to exist (e.g. the neighbor of another entry).
+	 *
+	 * @param {V | NoValue} value
+	 * @returns {TrieEntry<V>}
+	 */
+	#getLinkedEntry(value) {
+		return /** @type {TrieEntry<V>} */ (this.#getEntry(/** @type {V} */ (value)))
+	}
+
+	/**
+	 * Stores an entry for `value`, replacing an existing one.
+	 *
+	 * @param {V} value
+	 * @param {V | NoValue} prev
+	 * @param {V | NoValue} next
+	 */
+	#putEntry(value, prev, next) {
+		this.#root = trieSet(this.#root, { value, hash: hashOf(value), prev, next }, 0)
+	}
+
+	/**
+	 * Adds the new value `value` between the neighboring values `prev` and `next`.
+	 *
+	 * @param {V} value
+	 * @param {V | NoValue} prev
+	 * @param {V | NoValue} next
+	 */
+	#linkValue(value, prev, next) {
+		this.#putEntry(value, prev, next)
+
+		if (prev === NONE) {
+			this.#first = value
+		}
+		else {
+			const prevEntry = this.#getLinkedEntry(prev)
+			this.#putEntry(prevEntry.value, prevEntry.prev, value)
+		}
+
+		if (next === NONE) {
+			this.#last = value
+		}
+		else {
+			const nextEntry = this.#getLinkedEntry(next)
+			this.#putEntry(nextEntry.value, value, nextEntry.next)
+		}
+
+		this.#size++
+	}
+
+	/**
+	 * Removes the existing value `value` and connects its neighbors.
+	 *
+	 * @param {V} value
+	 */
+	#unlinkValue(value) {
+		const entry = this.#getLinkedEntry(value)
+
+		if (entry.prev === NONE) {
+			this.#first = entry.next
+		}
+		else {
+			const prevEntry = this.#getLinkedEntry(entry.prev)
+			this.#putEntry(prevEntry.value, prevEntry.prev, entry.next)
+		}
+
+		if (entry.next === NONE) {
+			this.#last = entry.prev
+		}
+		else {
+			const nextEntry = this.#getLinkedEntry(entry.next)
+			this.#putEntry(nextEntry.value, entry.prev, nextEntry.next)
+		}
+
+		this.#root = trieDelete(/** @type {TrieChild<V>} */ (this.#root), entry.hash, value, 0)
+		this.#size--
+	}
+
+	/**
+	 * Returns an iterator which follows the links between the entries. As the object can't change, there is no need to handle mutation during iteration.
+	 *
+	 * @param {(value: V) => [V, V] | V} getIteratorValue
+	 * @returns {ReverseIterableIterator<any>} a reverse-iterable iterator
+	 */
+	#iterableIterator(getIteratorValue) {
+		// Store the set because inside the iterator methods, `this` will be bound to the iterator, not the `ImmutableReverseIterableSet` object.
+		const set = this
+		/** @type {V | NoValue} */ let current = this.#first
+		let forwards = true
+
+		return Object.assign(Object.create(iteratorHelpers), {
+			reverseIterator() {
+				current = set.#last
+				forwards = false
+
+				// Return the iterable itself.
+				return this
+			},
+
+			[Symbol.iterator]() {
+				// Return the iterable itself.
+				return this
+			},
+
+			next() {
+				if (current === NONE) {
+					return {
+						value: undefined,
+						done: true,
+					}
+				}
+
+				/** @type {TrieEntry<V>} */ const entry = set.#getLinkedEntry(current)
+				current = forwards ? entry.next : entry.prev
+
+				return {
+					value: getIteratorValue(entry.value),
+					done: false,
+				}
+			},
+		})
+	}
+}
+
+/**
+ * Assigns ids to objects and to symbols which aren't registered with `Symbol.for()` so that they can be hashed. The ids don't keep their keys alive.
+ *
+ * @type {WeakMap<any, number>}
+ */
+const ids = new WeakMap()
+let nextId = 1
+
+/**
+ * Whether symbols can be keys of a `WeakMap` (not supported by all engines yet).
+ */
+const symbolsAsWeakMapKeys = (() => {
+	try {
+		new WeakMap().set(/** @type {any} */ (Symbol('test')), 0)
+
+		return true
+	}
+	catch {
+		return false
+	}
+})()
+
+/**
+ * Computes a 32-bit hash of `value` which is equal for values which are equal according to [SameValueZero][1].
+ *
+ * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Equality_comparisons_and_sameness#same-value-zero_equality
+ *
+ * @param {unknown} value
+ * @returns {number}
+ */
+function hashOf(value) {
+	switch (typeof value) {
+		case 'string':
+			return hashString(value)
+		case 'number':
+			// `String(-0)` is `'0'`, so `0` and `-0` have the same hash.
+			return hashString(String(value))
+		case 'bigint':
+			return hashString(`${value}n`)
+		case 'boolean':
+			return value ? 1 : 2
+		case 'undefined':
+			return 3
+		case 'symbol': {
+			// Registered symbols can't be keys of a `WeakMap`. They are identified by their key instead.
+			const key = Symbol.keyFor(value)
+			if (key !== undefined) {
+				return hashString(`Symbol.for(${key})`)
+			}
+
+			// Without support for symbols as keys, symbols with the same description share a hash.
+			return symbolsAsWeakMapKeys ? hashInteger(idOf(value)) : hashString(String(value.description))
+		}
+		default:
+			return value === null ? 4 : hashInteger(idOf(/** @type {object} */ (value)))
+	}
+}
+
+/**
+ * @param {object | symbol} value An object or a symbol which isn't registered.
+ * @returns {number} the id of `value`, assigned on first use.
+ */
+function idOf(value) {
+	let id = ids.get(value)
+	if (id === undefined) {
+		id = nextId++
+		ids.set(value, id)
+	}
+
+	return id
+}
+
+/**
+ * @param {string} string
+ * @returns {number} the FNV-1a hash of `string`.
+ */
+function hashString(string) {
+	let hash = 0x811c9dc5
+	for (let i = 0; i < string.length; i++) {
+		hash = Math.imul(hash ^ string.charCodeAt(i), 0x01000193)
+	}
+
+	return hash | 0
+}
+
+/**
+ * @param {number} integer
+ * @returns {number} a hash spreading consecutive integers over the hash space.
+ */
+function hashInteger(integer) {
+	return Math.imul(integer, 0x9e3779b1) | 0
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean} whether `a` and `b` are equal according to SameValueZero.
+ */
+function sameValueZero(a, b) {
+	return a === b || (a !== a && b !== b)
+}
+
+/**
+ * @param {number} hash
+ * @param {number} shift
+ * @returns {number} the 5-bit fragment of `hash` used at the trie level of `shift`.
+ */
+function hashFragment(hash, shift) {
+	return (hash >>> shift) & 31
+}
+
+/**
+ * @param {number} bitmap
+ * @param {number} fragment
+ * @returns {number} the position in the children array of the child for `fragment`.
+ */
+function childIndex(bitmap, fragment) {
+	let bits = bitmap & ((1 << fragment) - 1)
+	bits = bits - ((bits >>> 1) & 0x55555555)
+	bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333)
+
+	return (Math.imul((bits + (bits >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24)
+}
+
+/**
+ * @template V
+ * @param {TrieChild<V>} child
+ * @param {number} hash
+ * @param {V} value
+ * @param {number} shift
+ * @returns {TrieEntry<V> | undefined} the entry for `value` or `undefined` if no such entry exists.
+ */
+function trieGet(child, hash, value, shift) {
+	if ('children' in child) {
+		const fragment = hashFragment(hash, shift)
+		if ((child.bitmap & (1 << fragment)) === 0) {
+			return undefined
+		}
+
+		return trieGet(/** @type {TrieChild<V>} */ (child.children[childIndex(child.bitmap, fragment)]), hash, value, shift + 5)
+	}
+
+	if ('entries' in child) {
+		return child.entries.find((entry) => sameValueZero(entry.value, value))
+	}
+
+	return sameValueZero(child.value, value) ? child : undefined
+}
+
+/**
+ * @template V
+ * @param {TrieChild<V> | null} child
+ * @param {TrieEntry<V>} entry
+ * @param {number} shift
+ * @returns {TrieChild<V>} a copy of `child` in which `entry` replaces the entry for the same value or is added.
+ */
+function trieSet(child, entry, shift) {
+	if (child === null) {
+		return entry
+	}
+
+	if ('children' in child) {
+		const fragment = hashFragment(entry.hash, shift)
+		const index = childIndex(child.bitmap, fragment)
+		const children = child.children.slice()
+
+		if ((child.bitmap & (1 << fragment)) === 0) {
+			children.splice(index, 0, entry)
+
+			return { bitmap: child.bitmap | (1 << fragment), children }
+		}
+
+		children[index] = trieSet(/** @type {TrieChild<V>} */ (children[index]), entry, shift + 5)
+
+		return { bitmap: child.bitmap, children }
+	}
+
+	if ('entries' in child) {
+		if (child.hash === entry.hash) {
+			const entries = child.entries.filter((existingEntry) => !sameValueZero(existingEntry.value, entry.value))
+			entries.push(entry)
+
+			return { hash: child.hash, entries }
+		}
+
+		return mergeTrieChildren(child, child.hash, entry, shift)
+	}
+
+	if (sameValueZero(child.value, entry.value)) {
+		return entry
+	}
+
+	return mergeTrieChildren(child, child.hash, entry, shift)
+}
+
+/**
+ * Combines an existing entry or collision node with a new entry for a different value.
+ *
+ * @template V
+ * @param {TrieEntry<V> | TrieCollisionNode<V>} child
+ * @param {number} hash The hash of `child`.
+ * @param {TrieEntry<V>} entry
+ * @param {number} shift
+ * @returns {TrieChild<V>}
+ */
+function mergeTrieChildren(child, hash, entry, shift) {
+	if (hash === entry.hash) {
+		return { hash, entries: ['entries' in child ? child.entries : [child], [entry]].flat() }
+	}
+
+	const fragment = hashFragment(hash, shift)
+	const entryFragment = hashFragment(entry.hash, shift)
+
+	if (fragment === entryFragment) {
+		return { bitmap: 1 << fragment, children: [mergeTrieChildren(child, hash, entry, shift + 5)] }
+	}
+
+	return {
+		bitmap: (1 << fragment) | (1 << entryFragment),
+		children: fragment < entryFragment ? [child, entry] : [entry, child],
+	}
+}
+
+/**
+ * @template V
+ * @param {TrieChild<V>} child
+ * @param {number} hash
+ * @param {V} value
+ * @param {number} shift
+ * @returns {TrieChild<V> | null} a copy of `child` without the entry for `value`. The entry must exist.
+ */
+function trieDelete(child, hash, value, shift) {
+	if ('children' in child) {
+		const fragment = hashFragment(hash, shift)
+		const index = childIndex(child.bitmap, fragment)
+		const newChild = trieDelete(/** @type {TrieChild<V>} */ (child.children[index]), hash, value, shift + 5)
+		const children = child.children.slice()
+		let bitmap = child.bitmap
+		if (newChild === null) {
+			children.splice(index, 1)
+			bitmap &= ~(1 << fragment)
+		}
+		else {
+			children[index] = newChild
+		}
+
+		// A node with a single entry or collision node can be replaced with that child which keeps the trie compact.
+		const onlyChild = children[0]
+		if (children.length === 1 && onlyChild !== undefined && !('children' in onlyChild)) {
+			return onlyChild
+		}
+
+		return children.length > 0 ? { bitmap, children } : null
+	}
+
+	if ('entries' in child) {
+		const entries = child.entries.filter((entry) => !sameValueZero(entry.value, value))
+
+		return entries.length === 1 ? /** @type {TrieEntry<V>} */ (entries[0]) : { hash: child.hash, entries }
+	}
+
+	return null
+}
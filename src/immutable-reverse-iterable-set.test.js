@@ -0,0 +1,219 @@
+import { describe, expect, test } from 'vitest'
+
+import ImmutableReverseIterableSet from './immutable-reverse-iterable-set.js'
+import ReverseIterableSet from './reverse-iterable-set.js'
+
+describe('ImmutableReverseIterableSet', () => {
+	test('Construct set without argument', () => {
+		const set = new ImmutableReverseIterableSet()
+
+		expect(set.size).toBe(0)
+		expect([...set]).toEqual([])
+		expect(set.first()).toBe(undefined)
+		expect(set.last()).toBe(undefined)
+	})
+
+	test('Construct set with iterable', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b', 'a', 'c'])
+
+		expect(set.size).toBe(3)
+		expect([...set]).toEqual(['a', 'b', 'c'])
+		expect([...set.reverseIterator()]).toEqual(['c', 'b', 'a'])
+	})
+
+	test('Convert from and to ReverseIterableSet', () => {
+		const mutableSet = new ReverseIterableSet(['a', 'b', 'c'])
+		const set = new ImmutableReverseIterableSet(mutableSet)
+
+		mutableSet.add('d')
+		expect([...set]).toEqual(['a', 'b', 'c'])
+
+		const copy = set.toMutable()
+		expect(copy).toBeInstanceOf(ReverseIterableSet)
+		expect([...copy]).toEqual(['a', 'b', 'c'])
+	})
+
+	test('Construct set with another immutable set', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b'])
+		const copy = new ImmutableReverseIterableSet(set)
+
+		expect(copy).not.toBe(set)
+		expect(copy.equals(set)).toBe(true)
+		// The shared structure can't be reached from outside.
+		expect(Object.keys(copy)).toEqual([])
+	})
+
+	test('set.add()/set.addFirst()', () => {
+		const set = new ImmutableReverseIterableSet(['b'])
+		const added = set.add('c').addFirst('a')
+
+		expect([...set]).toEqual(['b'])
+		expect([...added]).toEqual(['a', 'b', 'c'])
+		expect(added.add('b')).toBe(added)
+		expect(added.addFirst('c')).toBe(added)
+	})
+
+	test('set.insertBefore()/set.insertAfter()', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'c'])
+
+		expect([...set.insertBefore('c', 'b')]).toEqual(['a', 'b', 'c'])
+		expect([...set.insertAfter('c', 'd')]).toEqual(['a', 'c', 'd'])
+		expect([...set.insertBefore('a', 'z')]).toEqual(['z', 'a', 'c'])
+		expect(set.insertAfter('a', 'c')).toBe(set)
+		expect(set.insertBefore('c', 'a')).toBe(set)
+		expect(() => set.insertBefore('x', 'b')).toThrow(RangeError)
+		expect([...set]).toEqual(['a', 'c'])
+	})
+
+	test('set.moveBefore()/set.moveAfter()', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b', 'c', 'd'])
+
+		expect([...set.moveBefore('b', 'd')]).toEqual(['a', 'd', 'b', 'c'])
+		expect(set.moveBefore('d', 'c')).toBe(set)
+		expect([...set.moveAfter('a', 'd')]).toEqual(['a', 'd', 'b', 'c'])
+		expect([...set.moveAfter('d', 'a')]).toEqual(['b', 'c', 'd', 'a'])
+		expect(set.moveBefore('b', 'b')).toBe(set)
+		expect(set.moveBefore('c', 'b')).toBe(set)
+		expect(set.moveAfter('b', 'c')).toBe(set)
+		expect(() => set.moveAfter('a', 'x')).toThrow(RangeError)
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+	})
+
+	test('set.moveToFront()/set.moveToBack()', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b', 'c'])
+
+		expect([...set.moveToFront('c')]).toEqual(['c', 'a', 'b'])
+		expect([...set.moveToBack('a')]).toEqual(['b', 'c', 'a'])
+		expect(set.moveToFront('a')).toBe(set)
+		expect(set.moveToBack('c')).toBe(set)
+		expect(() => set.moveToBack('x')).toThrow(RangeError)
+	})
+
+	test('set.delete()', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b', 'c'])
+
+		expect([...set.delete('a')]).toEqual(['b', 'c'])
+		expect([...set.delete('b')]).toEqual(['a', 'c'])
+		expect([...set.delete('c').reverseIterator()]).toEqual(['b', 'a'])
+		expect(set.delete('x')).toBe(set)
+		expect(set.delete('a').delete('b').delete('c').size).toBe(0)
+		expect(set.size).toBe(3)
+	})
+
+	test('set.clear()', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b'])
+		const empty = set.clear()
+
+		expect(empty.size).toBe(0)
+		expect(empty.clear()).toBe(empty)
+		expect(set.size).toBe(2)
+	})
+
+	test('set.next()/set.prev()', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.next('a')).toBe('b')
+		expect(set.next('c')).toBe(undefined)
+		expect(set.prev('b')).toBe('a')
+		expect(set.prev('a')).toBe(undefined)
+		expect(set.prev('x')).toBe(undefined)
+	})
+
+	test('Values are compared with SameValueZero', () => {
+		const object = {}
+		const symbol = Symbol('symbol')
+		const values = [undefined, null, NaN, 0, '0', 0n, true, false, object, symbol, Symbol.for('symbol'), Symbol.iterator, () => {}]
+		const set = new ImmutableReverseIterableSet(values).add(-0).add(NaN).add({}).add(Symbol.for('symbol'))
+
+		expect(set.size).toBe(values.length + 1)
+		for (const value of values) {
+			expect(set.has(value)).toBe(true)
+		}
+		expect(set.has({})).toBe(false)
+		expect(set.has(Symbol('symbol'))).toBe(false)
+		expect(set.has(Symbol.for('Symbol.for(symbol)'))).toBe(false)
+		expect(set.has('Symbol.for(symbol)')).toBe(false)
+		expect([...set.moveToFront(NaN)][0]).toBe(NaN)
+		expect([...set.delete(undefined).delete(NaN)]).not.toContain(undefined)
+	})
+
+	test('Values with equal hashes', () => {
+		// Numbers are hashed via their string representation.
+		const set = new ImmutableReverseIterableSet([1, '1', 2, 'NaN', NaN, '2', 3])
+
+		expect([...set]).toEqual([1, '1', 2, 'NaN', NaN, '2', 3])
+		expect(set.add('NaN')).toBe(set)
+		expect(set.has('3')).toBe(false)
+		expect(set.delete('3')).toBe(set)
+		expect([...set.moveToBack(1)]).toEqual(['1', 2, 'NaN', NaN, '2', 3, 1])
+		expect([...set.delete(1).delete('NaN')]).toEqual(['1', 2, NaN, '2', 3])
+		expect([...set.delete('1').delete(2).delete(NaN).delete('2').delete(3)]).toEqual([1, 'NaN'])
+	})
+
+	test('Sets with many values', () => {
+		let set = new ImmutableReverseIterableSet()
+		/** @type {number[]} */ const expected = []
+		for (let i = 0; i < 2000; i++) {
+			set = set.add(i)
+			expected.push(i)
+		}
+
+		for (let i = 0; i < 2000; i += 3) {
+			set = set.delete(i)
+		}
+		const remaining = expected.filter((i) => i % 3 !== 0)
+
+		expect(set.size).toBe(remaining.length)
+		expect([...set]).toEqual(remaining)
+		expect(set.has(3)).toBe(false)
+		expect(set.has(4)).toBe(true)
+
+		for (const i of remaining) {
+			set = set.delete(i)
+		}
+		expect(set.size).toBe(0)
+		expect([...set]).toEqual([])
+	})
+
+	test('set.equals()', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.equals(set.add('a'))).toBe(true)
+		expect(set.equals(new ImmutableReverseIterableSet(['a', 'b', 'c']))).toBe(true)
+		expect(set.equals(set.add('d').delete('d'))).toBe(true)
+		expect(set.equals(set.moveToBack('a'))).toBe(false)
+		expect(set.equals(set.delete('c'))).toBe(false)
+		expect(set.equals(/** @type {any} */ (new Set(['a', 'b', 'c'])))).toBe(false)
+	})
+
+	test('Iteration', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b', 'c'])
+		/** @type {string[]} */ const forEachValues = []
+		/** @type {string[]} */ const forEachReverseValues = []
+
+		set.forEach((value) => forEachValues.push(value))
+		set.forEachReverse((value) => forEachReverseValues.push(value))
+		expect(forEachValues).toEqual(['a', 'b', 'c'])
+		expect(forEachReverseValues).toEqual(['c', 'b', 'a'])
+		expect([...set.entries()]).toEqual([['a', 'a'], ['b', 'b'], ['c', 'c']])
+		expect([...set.keys().reverseIterator()]).toEqual(['c', 'b', 'a'])
+		expect(set.values().map((value) => value.toUpperCase()).toArray()).toEqual(['A', 'B', 'C'])
+	})
+
+	test('Iterating a set is unaffected by derived sets', () => {
+		const set = new ImmutableReverseIterableSet(['a', 'b', 'c'])
+		const iterator = set.values()
+
+		expect(iterator.next().value).toBe('a')
+		set.delete('b').add('d')
+		expect([...iterator]).toEqual(['b', 'c'])
+	})
+
+	test('set.toJSON()', () => {
+		expect(JSON.stringify(new ImmutableReverseIterableSet(['a', 'b']))).toBe('["a","b"]')
+	})
+
+	test('set[Symbol.toStringTag]', () => {
+		expect(Object.prototype.toString.call(new ImmutableReverseIterableSet())).toBe('[object ImmutableReverseIterableSet]')
+	})
+})
@@ -0,0 +1,313 @@
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableIterator<V>} ReverseIterableIterator
+ */
+
+/**
+ * Helper methods of reverse-iterable iterators modelled after the [iterator helpers][1] of `Iterator.prototype`.
+ *
+ * Iterators returned by `map()`, `filter()`, `take()`, `drop()` and `flatMap()` are evaluated lazily and are reverse-iterable themselves: their `reverseIterator()` method applies the same operation to the reverse iterator of their source. The `index` passed to callbacks counts the values in iteration order, regardless of the direction.
+ *
+ * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Iterator#iterator_helpers
+ */
+export const iteratorHelpers = {
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @param {(value: any, index: number) => any} callbackfn
+	 * @returns {ReverseIterableIterator<any>}
+	 */
+	map(callbackfn) {
+		assertCallable(callbackfn, 'map')
+
+		return deriveIterator(this, function * (iterator) {
+			let index = 0
+			for (const value of iterator) {
+				yield callbackfn(value, index++)
+			}
+		})
+	},
+
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @param {(value: any, index: number) => unknown} predicate
+	 * @returns {ReverseIterableIterator<any>}
+	 */
+	filter(predicate) {
+		assertCallable(predicate, 'filter')
+
+		return deriveIterator(this, function * (iterator) {
+			let index = 0
+			for (const value of iterator) {
+				if (predicate(value, index++)) {
+					yield value
+				}
+			}
+		})
+	},
+
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @param {number} limit
+	 * @returns {ReverseIterableIterator<any>}
+	 */
+	take(limit) {
+		const count = toIteratorCount(limit, 'take')
+
+		return deriveIterator(this, function * (iterator, reversed) {
+			if (count === 0) {
+				return
+			}
+
+			if (!reversed) {
+				let remaining = count
+				for (const value of iterator) {
+					yield value
+
+					if (--remaining === 0) {
+						return
+					}
+				}
+			}
+			else if (count === Infinity) {
+				yield * iterator
+			}
+			else {
+				// The first `count` values are the last ones of the reverse iterator.
+				/** @type {any[]} */ let buffer = []
+				for (const value of iterator) {
+					buffer.push(value)
+
+					if (buffer.length >= 2 * count) {
+						buffer = buffer.slice(-count)
+					}
+				}
+
+				yield * buffer.slice(-count)
+			}
+		})
+	},
+
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @param {number} limit
+	 * @returns {ReverseIterableIterator<any>}
+	 */
+	drop(limit) {
+		const count = toIteratorCount(limit, 'drop')
+
+		return deriveIterator(this, function * (iterator, reversed) {
+			if (!reversed) {
+				let remaining = count
+				for (const value of iterator) {
+					if (remaining > 0) {
+						remaining--
+					}
+					else {
+						yield value
+					}
+				}
+			}
+			else if (count !== Infinity) {
+				// The first `count` values are the last ones of the reverse iterator so each value is held back until `count` more values followed it.
+				/** @type {any[]} */ let queue = []
+				let head = 0
+				for (const value of iterator) {
+					queue.push(value)
+
+					if (queue.length - head > count) {
+						yield queue[head++]
+
+						if (head >= 1024 && head * 2 >= queue.length) {
+							queue = queue.slice(head)
+							head = 0
+						}
+					}
+				}
+			}
+		})
+	},
+
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @param {(value: any, index: number) => Iterable<any>} callbackfn
+	 * @returns {ReverseIterableIterator<any>}
+	 */
+	flatMap(callbackfn) {
+		assertCallable(callbackfn, 'flatMap')
+
+		return deriveIterator(this, function * (iterator, reversed) {
+			let index = 0
+			for (const value of iterator) {
+				const inner = callbackfn(value, index++)
+
+				if (inner === null || typeof inner !== 'object' || typeof inner[Symbol.iterator] !== 'function') {
+					throw new TypeError('ReverseIterableIterator.prototype.flatMap: The callback must return an iterable object')
+				}
+
+				if (!reversed) {
+					yield * inner
+				}
+				else if (typeof (/** @type {any} */ (inner)).reverseIterator === 'function') {
+					yield * (/** @type {ReverseIterableIterator<any>} */ (inner)).reverseIterator()
+				}
+				else {
+					yield * Array.from(inner).reverse()
+				}
+			}
+		})
+	},
+
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @param {(accumulator: any, value: any, index: number) => any} callbackfn
+	 * @param {any} [initialValue]
+	 * @returns {any}
+	 */
+	reduce(callbackfn, initialValue) {
+		assertCallable(callbackfn, 'reduce')
+
+		let index = 0
+		let accumulator = initialValue
+		if (arguments.length < 2) {
+			const result = this.next()
+
+			if (result.done) {
+				throw new TypeError('ReverseIterableIterator.prototype.reduce: Reduce of empty iterator with no initial value')
+			}
+
+			accumulator = result.value
+			index++
+		}
+
+		for (const value of this) {
+			accumulator = callbackfn(accumulator, value, index++)
+		}
+
+		return accumulator
+	},
+
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @returns {any[]}
+	 */
+	toArray() {
+		return Array.from(this)
+	},
+
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @param {(value: any, index: number) => unknown} predicate
+	 * @returns {boolean}
+	 */
+	some(predicate) {
+		assertCallable(predicate, 'some')
+
+		let index = 0
+		for (const value of this) {
+			if (predicate(value, index++)) {
+				return true
+			}
+		}
+
+		return false
+	},
+
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @param {(value: any, index: number) => unknown} predicate
+	 * @returns {boolean}
+	 */
+	every(predicate) {
+		assertCallable(predicate, 'every')
+
+		let index = 0
+		for (const value of this) {
+			if (!predicate(value, index++)) {
+				return false
+			}
+		}
+
+		return true
+	},
+
+	/**
+	 * @this {ReverseIterableIterator<any>}
+	 * @param {(value: any, index: number) => unknown} predicate
+	 * @returns {any}
+	 */
+	find(predicate) {
+		assertCallable(predicate, 'find')
+
+		let index = 0
+		for (const value of this) {
+			if (predicate(value, index++)) {
+				return value
+			}
+		}
+
+		return undefined
+	},
+}
+
+/**
+ * Creates a lazily evaluated reverse-iterable iterator which applies `transform` to `source`. Calling its `reverseIterator()` method applies `transform` to the reverse iterator of `source` instead.
+ *
+ * @param {ReverseIterableIterator<any>} source
+ * @param {(iterator: ReverseIterableIterator<any>, reversed: boolean) => Iterator<any>} transform
+ * @returns {ReverseIterableIterator<any>}
+ */
+function deriveIterator(source, transform) {
+	let iterator = transform(source, false)
+
+	return Object.assign(Object.create(iteratorHelpers), {
+		reverseIterator() {
+			iterator = transform(source.reverseIterator(), true)
+
+			// Return the iterable itself.
+			return this
+		},
+
+		[Symbol.iterator]() {
+			// Return the iterable itself.
+			return this
+		},
+
+		next() {
+			return iterator.next()
+		},
+	})
+}
+
+/**
+ * @param {unknown} callbackfn
+ * @param {string} methodName Name of the calling method used in the error message.
+ * @throws {TypeError} if `callbackfn` is not a function.
+ */
+function assertCallable(callbackfn, methodName) {
+	if (typeof callbackfn !== 'function') {
+		throw new TypeError(`ReverseIterableIterator.prototype.${methodName}: The callback must be a function`)
+	}
+}
+
+/**
+ * Validates the argument of `take()` and `drop()` the same way `Iterator.prototype.take()` does.
+ *
+ * @param {number} limit
+ * @param {string} methodName Name of the calling method used in the error message.
+ * @returns {number} a non-negative integer or `Infinity`.
+ * @throws {RangeError} if `limit` is `NaN` or negative.
+ */
+function toIteratorCount(limit, methodName) {
+	const number = Number(limit)
+
+	if (Number.isNaN(number)) {
+		throw new RangeError(`ReverseIterableIterator.prototype.${methodName}: The limit must be a number`)
+	}
+
+	const count = Math.trunc(number)
+	if (count < 0) {
+		throw new RangeError(`ReverseIterableIterator.prototype.${methodName}: The limit must not be negative`)
+	}
+
+	return count
+}
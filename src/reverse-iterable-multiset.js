@@ -0,0 +1,328 @@
+import ReverseIterableSet from './reverse-iterable-set.js'
+
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableIterator<V>} ReverseIterableIterator
+ */
+
+/**
+ * @template V
+ * @typedef {{ value: V, count: number }} MultisetEntry
+ */
+
+/**
+ * An ordered multiset (also known as bag): like a `ReverseIterableSet`, it keeps its distinct values in the order they were first added, but it also counts how often each value has been added.
+ *
+ * The values and their counts are stored as entries in a `ReverseIterableSet` object which is keyed by the value, so looking up and updating a count takes constant time. Values are compared with [SameValueZero][1] like in `Set`.
+ *
+ * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Equality_comparisons_and_sameness#same-value-zero_equality
+ *
+ * @template V
+ */
+export default class ReverseIterableMultiset {
+	/** @type {ReverseIterableSet<MultisetEntry<V>>} */ #entries = new ReverseIterableSet(null, { key: (entry) => entry.value })
+	#totalSize = 0
+
+	/**
+	 * A `ReverseIterableMultiset` object can be constructed from any iterable. Each occurrence of a value is counted.
+	 *
+	 * @param {Iterable<V> | null} [iterable]
+	 */
+	constructor(iterable) {
+		if (iterable !== undefined && iterable !== null) {
+			for (const value of iterable) {
+				this.add(value)
+			}
+		}
+	}
+
+	/**
+	 * The [`@@toStringTag`][1] property is used by [`Object.prototype.toString()`][2].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Symbol/toStringTag
+	 * [2]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/toString
+	 *
+	 * @returns {string}
+	 */
+	get [Symbol.toStringTag]() {
+		return 'ReverseIterableMultiset'
+	}
+
+	/**
+	 * The `size` accessor property returns the number of distinct values in a `ReverseIterableMultiset` object.
+	 *
+	 * @returns {number} the number of distinct values in the `ReverseIterableMultiset` object.
+	 */
+	get size() {
+		return this.#entries.size
+	}
+
+	/**
+	 * The `totalSize` accessor property returns the number of values in a `ReverseIterableMultiset` object counting each occurrence, i.e. the sum of all counts.
+	 *
+	 * @returns {number} the sum of the counts of all values in the `ReverseIterableMultiset` object.
+	 */
+	get totalSize() {
+		return this.#totalSize
+	}
+
+	/**
+	 * The `has()` method returns a boolean indicating whether a value exists in a `ReverseIterableMultiset` object or not.
+	 *
+	 * @param {V} value
+	 * @returns {boolean} `true` if the value exists in the `ReverseIterableMultiset` object otherwise `false`.
+	 */
+	has(value) {
+		return this.#entries.has(ReverseIterableSet.byKey(value))
+	}
+
+	/**
+	 * The `count()` method returns how often `value` occurs in a `ReverseIterableMultiset` object.
+	 *
+	 * @param {V} value
+	 * @returns {number} the count of `value` or `0` if it doesn't exist in the `ReverseIterableMultiset` object.
+	 */
+	count(value) {
+		return this.#getEntry(value)?.count ?? 0
+	}
+
+	/**
+	 * The `add()` method adds `n` occurrences of `value` to a `ReverseIterableMultiset` object. A new value is added to the end; adding an existing value only increases its count and keeps its position.
+	 *
+	 * @param {V} value The value to add.
+	 * @param {number} [n] The number of occurrences to add. Defaults to `1`.
+	 * @returns {ReverseIterableMultiset<V>} the `ReverseIterableMultiset` object.
+	 * @throws {RangeError} if `n` isn't a positive safe integer.
+	 */
+	add(value, n = 1) {
+		assertCount(n, 'add')
+		const entry = this.#getEntry(value)
+
+		if (entry === undefined) {
+			this.#entries.add({ value, count: n })
+		}
+		else {
+			entry.count += n
+		}
+
+		this.#totalSize += n
+
+		return this
+	}
+
+	/**
+	 * The `remove()` method removes up to `n` occurrences of `value` from a `ReverseIterableMultiset` object. Once its count drops to zero, the value is removed entirely; adding it again adds it to the end.
+	 *
+	 * @param {V} value The value to remove.
+	 * @param {number} [n] The number of occurrences to remove. Defaults to `1`.
+	 * @returns {number} the number of occurrences which have been removed. This is less than `n` if `value` occurred less than `n` times.
+	 * @throws {RangeError} if `n` isn't a positive safe integer.
+	 */
+	remove(value, n = 1) {
+		assertCount(n, 'remove')
+		const entry = this.#getEntry(value)
+
+		if (entry === undefined) {
+			return 0
+		}
+
+		const removed = Math.min(n, entry.count)
+		if (removed === entry.count) {
+			this.#entries.delete(entry)
+		}
+		else {
+			entry.count -= removed
+		}
+
+		this.#totalSize -= removed
+
+		return removed
+	}
+
+	/**
+	 * The `delete()` method removes all occurrences of `value` from a `ReverseIterableMultiset` object.
+	 *
+	 * @param {V} value
+	 * @returns {boolean} `true` if `value` has been removed otherwise `false`.
+	 */
+	delete(value) {
+		const entry = this.#getEntry(value)
+
+		if (entry === undefined) {
+			return false
+		}
+
+		this.#totalSize -= entry.count
+
+		return this.#entries.delete(entry)
+	}
+
+	/**
+	 * The `clear()` method removes all values from a `ReverseIterableMultiset` object.
+	 */
+	clear() {
+		this.#entries.clear()
+		this.#totalSize = 0
+	}
+
+	/**
+	 * The `first()` method returns the first value of a `ReverseIterableMultiset` object.
+	 *
+	 * @returns {V | undefined} the first value or `undefined` if the `ReverseIterableMultiset` object is empty.
+	 */
+	first() {
+		return this.#entries.first()?.value
+	}
+
+	/**
+	 * The `last()` method returns the last value of a `ReverseIterableMultiset` object.
+	 *
+	 * @returns {V | undefined} the last value or `undefined` if the `ReverseIterableMultiset` object is empty.
+	 */
+	last() {
+		return this.#entries.last()?.value
+	}
+
+	/**
+	 * The `forEach()` method executes a provided function once per each distinct value in the `ReverseIterableMultiset` object, in insertion order.
+	 *
+	 * @param {(value: V, count: number, multiset: ReverseIterableMultiset<V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 * @throws {TypeError} if `callbackfn` isn't a function.
+	 */
+	forEach(callbackfn, thisArg) {
+		assertCallable(callbackfn, 'forEach')
+		for (const [value, count] of this.entries()) {
+			callbackfn.call(thisArg, value, count, this)
+		}
+	}
+
+	/**
+	 * The `forEachReverse()` method executes a provided function once per each distinct value in the `ReverseIterableMultiset` object, in reverse insertion order.
+	 *
+	 * @param {(value: V, count: number, multiset: ReverseIterableMultiset<V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 * @throws {TypeError} if `callbackfn` isn't a function.
+	 */
+	forEachReverse(callbackfn, thisArg) {
+		assertCallable(callbackfn, 'forEachReverse')
+		for (const [value, count] of this.entries().reverseIterator()) {
+			callbackfn.call(thisArg, value, count, this)
+		}
+	}
+
+	/**
+	 * The initial value of the [@@iterator][1] property is the same function object as the initial value of the `values` property.
+	 *
+	 * [1]:  https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/@@iterator
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableMultiset` object.
+	 */
+	[Symbol.iterator]() {
+		return this.values()
+	}
+
+	/**
+	 * Allows using the [iteration protocols][1] for reverse iteration.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
+	 *
+	 * @returns {ReverseIterableIterator<V>} a reverse iterable iterator for the `ReverseIterableMultiset` object.
+	 */
+	reverseIterator() {
+		return this.values().reverseIterator()
+	}
+
+	/**
+	 * The `values()` method returns a new [Iterator][1] object that contains each distinct value in a `ReverseIterableMultiset` object once, in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableMultiset` object.
+	 */
+	values() {
+		return this.#entries.values().map((entry) => entry.value)
+	}
+
+	/**
+	 * The `keys()` method is an alias for the `values()` method (for similarity with `Set` objects).
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableMultiset` object.
+	 */
+	keys() {
+		return this.values()
+	}
+
+	/**
+	 * The `elements()` method returns a new [Iterator][1] object that contains each value in a `ReverseIterableMultiset` object repeated by its count, in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableMultiset` object.
+	 */
+	elements() {
+		return this.#entries.values().flatMap((entry) => repeat(entry))
+	}
+
+	/**
+	 * The `entries()` method returns a new [Iterator][1] object that contains an array of `[value, count]` for each distinct value in a `ReverseIterableMultiset` object, in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<[V, number]>} an iterable iterator for the `ReverseIterableMultiset` object.
+	 */
+	entries() {
+		return this.#entries.values().map(/** @returns {[V, number]} */ (entry) => [entry.value, entry.count])
+	}
+
+	/**
+	 * @param {V} value
+	 * @returns {MultisetEntry<V> | undefined} the entry holding the count of `value`.
+	 */
+	#getEntry(value) {
+		return this.#entries.get(ReverseIterableSet.byKey(value))
+	}
+}
+
+/**
+ * @param {number} n
+ * @param {string} methodName Name of the calling method used in the error message.
+ * @throws {RangeError} if `n` isn't a positive safe integer.
+ */
+function assertCount(n, methodName) {
+	// Beyond `Number.MAX_SAFE_INTEGER`, adding 1 to a count may not change it.
+	if (!Number.isSafeInteger(n) || n <= 0) {
+		throw new RangeError(`ReverseIterableMultiset.prototype.${methodName}: The count must be a positive safe integer`)
+	}
+}
+
+/**
+ * @param {unknown} callbackfn
+ * @param {string} methodName Name of the calling method used in the error message.
+ * @throws {TypeError} if `callbackfn` isn't a function.
+ */
+function assertCallable(callbackfn, methodName) {
+	if (typeof callbackfn !== 'function') {
+		throw new TypeError(`ReverseIterableMultiset.prototype.${methodName}: The callback must be a function`)
+	}
+}
+
+/**
+ * Creates an iterable which repeats the value of `entry` by its count in both directions. The count is read when iterating, so it reflects changes made in the meantime.
+ *
+ * @template V
+ * @param {MultisetEntry<V>} entry
+ * @returns {Iterable<V> & { reverseIterator: () => Iterator<V> }}
+ */
+function repeat(entry) {
+	function * generate() {
+		for (let i = 0; i < entry.count; i++) {
+			yield entry.value
+		}
+	}
+
+	return {
+		[Symbol.iterator]: generate,
+		reverseIterator: generate,
+	}
+}
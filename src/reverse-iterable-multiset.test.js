@@ -0,0 +1,130 @@
+import { describe, expect, test } from 'vitest'
+
+import ReverseIterableMultiset from './reverse-iterable-multiset.js'
+
+describe('ReverseIterableMultiset', () => {
+	test('Construct multiset', () => {
+		const multiset = new ReverseIterableMultiset(['a', 'b', 'a', 'c', 'a'])
+
+		expect(multiset.size).toBe(3)
+		expect(multiset.totalSize).toBe(5)
+		expect([...multiset]).toEqual(['a', 'b', 'c'])
+		expect(multiset.count('a')).toBe(3)
+		expect(new ReverseIterableMultiset().size).toBe(0)
+		expect(new ReverseIterableMultiset(null).totalSize).toBe(0)
+	})
+
+	test('multiset.add()/multiset.count()/multiset.has()', () => {
+		/** @type {ReverseIterableMultiset<string>} */ const multiset = new ReverseIterableMultiset()
+
+		expect(multiset.add('b')).toBe(multiset)
+		multiset.add('a', 3).add('b', 2)
+		expect([...multiset]).toEqual(['b', 'a'])
+		expect(multiset.count('a')).toBe(3)
+		expect(multiset.count('b')).toBe(3)
+		expect(multiset.count('x')).toBe(0)
+		expect(multiset.has('a')).toBe(true)
+		expect(multiset.has('x')).toBe(false)
+		expect(multiset.totalSize).toBe(6)
+
+		for (const n of [0, -1, 1.5, NaN, Infinity, 1e300, Number.MAX_SAFE_INTEGER + 1]) {
+			expect(() => multiset.add('a', n)).toThrow(RangeError)
+		}
+		expect(() => multiset.add('a', 1e300)).toThrow('ReverseIterableMultiset.prototype.add: The count must be a positive safe integer')
+		expect(multiset.count('a')).toBe(3)
+	})
+
+	test('multiset.remove()', () => {
+		const multiset = new ReverseIterableMultiset(['a', 'a', 'a', 'b', 'c'])
+
+		expect(multiset.remove('a')).toBe(1)
+		expect(multiset.count('a')).toBe(2)
+		expect(multiset.remove('a', 5)).toBe(2)
+		expect(multiset.has('a')).toBe(false)
+		expect(multiset.remove('a')).toBe(0)
+		expect(multiset.remove('x', 2)).toBe(0)
+		expect(multiset.size).toBe(2)
+		expect(multiset.totalSize).toBe(2)
+		expect(() => multiset.remove('b', 0)).toThrow(RangeError)
+		expect(() => multiset.remove('b', 1e300)).toThrow(RangeError)
+		expect(multiset.count('b')).toBe(1)
+
+		// A value which has been removed entirely is added to the end again.
+		multiset.add('a')
+		expect([...multiset]).toEqual(['b', 'c', 'a'])
+	})
+
+	test('multiset.delete()/multiset.clear()', () => {
+		const multiset = new ReverseIterableMultiset(['a', 'b', 'b', 'c'])
+
+		expect(multiset.delete('b')).toBe(true)
+		expect(multiset.delete('b')).toBe(false)
+		expect([...multiset]).toEqual(['a', 'c'])
+		expect(multiset.totalSize).toBe(2)
+
+		multiset.clear()
+		expect(multiset.size).toBe(0)
+		expect(multiset.totalSize).toBe(0)
+		expect(multiset.first()).toBe(undefined)
+		expect(multiset.last()).toBe(undefined)
+	})
+
+	test('multiset.first()/multiset.last()', () => {
+		const multiset = new ReverseIterableMultiset(['a', 'b', 'c', 'a'])
+
+		expect(multiset.first()).toBe('a')
+		expect(multiset.last()).toBe('c')
+	})
+
+	test('Values are compared with SameValueZero', () => {
+		const multiset = new ReverseIterableMultiset([NaN, 0, -0, NaN, '0', {}])
+
+		expect(multiset.count(NaN)).toBe(2)
+		expect(multiset.count(0)).toBe(2)
+		expect(multiset.count('0')).toBe(1)
+		expect(multiset.count({})).toBe(0)
+		expect(multiset.size).toBe(4)
+	})
+
+	test('Iteration', () => {
+		const multiset = new ReverseIterableMultiset(['a', 'b', 'a', 'c', 'c', 'a'])
+		/** @type {[string, number][]} */ const forEachEntries = []
+		/** @type {[string, number][]} */ const forEachReverseEntries = []
+
+		multiset.forEach((value, count, object) => {
+			expect(object).toBe(multiset)
+			forEachEntries.push([value, count])
+		})
+		multiset.forEachReverse((value, count) => forEachReverseEntries.push([value, count]))
+		expect(forEachEntries).toEqual([['a', 3], ['b', 1], ['c', 2]])
+		expect(forEachReverseEntries).toEqual([['c', 2], ['b', 1], ['a', 3]])
+		expect(() => multiset.forEach(/** @type {any} */ (null))).toThrow(TypeError)
+
+		expect([...multiset.values()]).toEqual(['a', 'b', 'c'])
+		expect([...multiset.keys()]).toEqual(['a', 'b', 'c'])
+		expect([...multiset.reverseIterator()]).toEqual(['c', 'b', 'a'])
+		expect([...multiset.entries()]).toEqual([['a', 3], ['b', 1], ['c', 2]])
+		expect([...multiset.entries().reverseIterator()]).toEqual([['c', 2], ['b', 1], ['a', 3]])
+		expect([...multiset.elements()]).toEqual(['a', 'a', 'a', 'b', 'c', 'c'])
+		expect([...multiset.elements().reverseIterator()]).toEqual(['c', 'c', 'b', 'a', 'a', 'a'])
+		expect(multiset.elements().filter((value) => value !== 'b').toArray()).toEqual(['a', 'a', 'a', 'c', 'c'])
+	})
+
+	test('Changing counts while iterating', () => {
+		const multiset = new ReverseIterableMultiset(['a', 'b', 'c'])
+		const elements = multiset.elements()
+		const entries = multiset.entries()
+
+		expect(elements.next().value).toBe('a')
+		expect(entries.next().value).toEqual(['a', 1])
+		multiset.add('b', 2)
+		multiset.delete('c')
+		multiset.add('d')
+		expect([...elements]).toEqual(['b', 'b', 'b', 'd'])
+		expect([...entries]).toEqual([['b', 3], ['d', 1]])
+	})
+
+	test('multiset[Symbol.toStringTag]', () => {
+		expect(Object.prototype.toString.call(new ReverseIterableMultiset())).toBe('[object ReverseIterableMultiset]')
+	})
+})
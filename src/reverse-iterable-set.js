@@ -1,43 +1,372 @@
+import { iteratorHelpers } from './iterator-helpers.js'
+
 /**
  * @template V
  * @typedef {import('../types/index.d.js').ReverseIterableIterator<V>} ReverseIterableIterator
  */
 /**
  * @template V
- * @typedef {import('../types/index.d.js').ReverseIterableSetNode<V>} ReverseIterableSetNode
+ * @typedef {import('../types/index.d.js').ReadonlySetLike<V>} ReadonlySetLike
+ */
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableSetComposition<V>} ReverseIterableSetComposition
+ */
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableSetOptions<V>} ReverseIterableSetOptions
+ */
+/**
+ * @typedef {import('../types/index.d.js').ReverseIterableSetRangeOptions} ReverseIterableSetRangeOptions
+ */
+/**
+ * @typedef {import('../types/index.d.js').ReverseIterableSetAsyncIteratorOptions} ReverseIterableSetAsyncIteratorOptions
+ */
+/**
+ * @typedef {import('../types/index.d.js').ReverseIterableSetCursorOptions} ReverseIterableSetCursorOptions
+ */
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableSetCursor<V>} ReverseIterableSetCursor
+ */
+/**
+ * @typedef {import('../types/index.d.js').ReverseIterableSetEqualsOptions} ReverseIterableSetEqualsOptions
+ */
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableSetPatchOperation<V>} ReverseIterableSetPatchOperation
+ */
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableSetChange<V>} ReverseIterableSetChange
+ */
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableSetCodec<V>} ReverseIterableSetCodec
+ */
+/**
+ * @template T
+ * @typedef {import('../types/index.d.js').JSONTypeHandler<T>} JSONTypeHandler
+ */
+/**
+ * A function registered with `ReverseIterableSet.prototype.subscribe()`.
+ *
+ * @template V
+ * @typedef {(change: ReverseIterableSetChange<V>, set: ReverseIterableSet<V>) => void} ReverseIterableSetListener
+ */
+/**
+ * Lets an iterator or a cursor follow the nodes it refers to when they are deleted. `onDelete()` is called before a node is deleted while its links are still intact. See `#registerTracker()`.
+ *
+ * @typedef {{ onDelete: (node: number) => void }} ReverseIterableSetNodeTracker
+ */
+/**
+ * A change recorded for transactions and the history. Positions are recorded instead of nodes because undoing a change creates new nodes.
+ *
+ * @template V
+ * @typedef {{ type: 'add' | 'delete', value: V, key: unknown, index: number }
+ * 	| { type: 'move', key: unknown, oldIndex: number, index: number }
+ * 	| { type: 'clear', entries: [V, unknown][] }
+ * 	| { type: 'reorder', oldKeys: unknown[], keys: unknown[] }} ReverseIterableSetRecord
  */
 
+/**
+ * Marks the absence of a node, e.g. as the next node of the last node.
+ */
+const NIL = -1
+
+/**
+ * The number of nodes the storage has room for initially. It doubles whenever it runs out of room.
+ */
+const INITIAL_CAPACITY = 8
+
 /**
  * A reverse-iterable set implementation based on the built-in [`Set`][1] object.
  *
  * It exposes its order via iterable iterators which can be used for both forwards and backwards iteration. Like `Set`, the order of `ReverseIterableSet` is the insertion order.
  *
+ * Each value is stored in a node. A node is the index of a slot in a set of parallel arrays: `#values` (and `#keys` with the `key` option) hold the value of each node and typed arrays hold the links of the doubly linked list and the order-statistic tree. This avoids allocating an object per value. The slots of deleted nodes are kept in a free list and reused.
+ *
  * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set
  *
  * @template V
+ * @implements {ReverseIterableSetComposition<V>}
  */
 export default class ReverseIterableSet {
-	/** @type {Map<V, ReverseIterableSetNode<V>>} */ _setMap
-	/** @type {ReverseIterableSetNode<V> | null} */ _firstNode
-	/** @type {ReverseIterableSetNode<V> | null} */ _lastNode
+	/** @type {Map<unknown, number>} */ #setMap
+	/** @type {V[]} */ #values
+	/** @type {unknown[] | null} */ #keys
+	/** @type {Int32Array} */ #nextNodes
+	/** @type {Int32Array} */ #prevNodes
+	/** @type {Int32Array} */ #parentNodes
+	/** @type {Int32Array} */ #leftNodes
+	/** @type {Int32Array} */ #rightNodes
+	/** @type {Int32Array} */ #subtreeSizes
+	/** @type {Uint32Array} */ #priorities
+	/** @type {number} */ #usedSlots
+	/** @type {number} */ #freeNode
+	/** @type {number} */ #firstNode
+	/** @type {number} */ #lastNode
+	/** @type {number} */ #rootNode
+	/** @type {Map<WeakRef<object>, ReverseIterableSetNodeTracker>} */ #trackers
+	/** @type {number} */ #generation
+	/** @type {number} */ #maxSize
+	/** @type {'fifo' | 'lru'} */ #eviction
+	/** @type {((value: V) => void) | null} */ #onEvict
+	/** @type {Set<ReverseIterableSetListener<V>>} */ #listeners
+	/** @type {((value: V) => unknown) | null} */ #key
+	/** @type {((a: V, b: V) => number) | null} */ #compare
+	/** @type {ReverseIterableSetRecord<V>[] | null} */ #journal
+	/** @type {ReverseIterableSetRecord<V>[][] | null} */ #undoStack
+	/** @type {ReverseIterableSetRecord<V>[][] | null} */ #redoStack
+	/** @type {number} */ #historyLimit
+	/** @type {boolean} */ #replaying
 
 	/**
 	 * An [iterable][1] object that accepts any value as elements.
 	 *
+	 * With the `key` option, the uniqueness of values is decided by the keys the function derives from them instead of the values themselves. The set stores the first value added for each key.
+	 *
+	 * With the `compare` option, the set is sorted: values are kept in the order defined by the comparison function instead of insertion order. Methods which place a value at a specific position (e.g. `addFirst()` or `moveBefore()`) throw a `TypeError` in sorted mode.
+	 *
+	 * With the `history` option, changes are recorded so that they can be reverted with `undo()` and reapplied with `redo()`. A number limits how many changes are kept.
+	 *
+	 * With the `maxSize` option, the set is bounded: adding a value to a full set evicts the first value (or the last value if the new value is added at the start). With the `eviction` option set to `'lru'`, `add()` and `has()` move an existing value to the end, so the first value is always the least recently used one. These moves aren't recorded in the history.
+	 *
 	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols#The_iterable_protocol
 	 *
-	 * @param {Iterable<V>} [iterable]
+	 * @param {Iterable<V> | null} [iterable]
+	 * @param {ReverseIterableSetOptions<V>} [options]
+	 * @throws {TypeError} if `iterable` is neither iterable nor `null` or `undefined`.
 	 */
-	constructor(iterable) {
-		this._setMap = new Map()
-		this._firstNode = null
-		this._lastNode = null
+	constructor(iterable, options = {}) {
+		const { maxSize = Infinity, eviction = 'fifo', onEvict = null, key = null, compare = null, history = false } = options
+
+		if (maxSize !== Infinity && (!Number.isInteger(maxSize) || maxSize < 1)) {
+			throw new RangeError('ReverseIterableSet: The `maxSize` option must be a positive integer or Infinity')
+		}
+
+		if (eviction !== 'fifo' && eviction !== 'lru') {
+			throw new RangeError('ReverseIterableSet: The `eviction` option must be "fifo" or "lru"')
+		}
+
+		if (onEvict !== null && typeof onEvict !== 'function') {
+			throw new TypeError('ReverseIterableSet: The `onEvict` option must be a function')
+		}
+
+		if (key !== null && typeof key !== 'function') {
+			throw new TypeError('ReverseIterableSet: The `key` option must be a function')
+		}
+
+		if (compare !== null && typeof compare !== 'function') {
+			throw new TypeError('ReverseIterableSet: The `compare` option must be a function')
+		}
+
+		if (compare !== null && eviction === 'lru') {
+			throw new RangeError('ReverseIterableSet: The `eviction` option can\'t be "lru" in combination with the `compare` option')
+		}
+
+		if (typeof history !== 'boolean' && (!Number.isInteger(history) || history < 1)) {
+			throw new RangeError('ReverseIterableSet: The `history` option must be a boolean or a positive integer')
+		}
+
+		this.#setMap = new Map()
+		this.#values = []
+		this.#keys = key !== null ? [] : null
+		this.#nextNodes = new Int32Array(INITIAL_CAPACITY)
+		this.#prevNodes = new Int32Array(INITIAL_CAPACITY)
+		this.#parentNodes = new Int32Array(INITIAL_CAPACITY)
+		this.#leftNodes = new Int32Array(INITIAL_CAPACITY)
+		this.#rightNodes = new Int32Array(INITIAL_CAPACITY)
+		this.#subtreeSizes = new Int32Array(INITIAL_CAPACITY)
+		this.#priorities = new Uint32Array(INITIAL_CAPACITY)
+		this.#usedSlots = 0
+		this.#freeNode = NIL
+		this.#firstNode = NIL
+		this.#lastNode = NIL
+		this.#rootNode = NIL
+		this.#trackers = new Map()
+		this.#generation = 0
+		this.#maxSize = maxSize
+		this.#eviction = eviction
+		this.#onEvict = onEvict
+		this.#listeners = new Set()
+		this.#key = key
+		this.#compare = compare
+		this.#journal = null
+		this.#undoStack = null
+		this.#redoStack = null
+		this.#historyLimit = typeof history === 'number' ? history : Infinity
+		this.#replaying = false
+
+		if (iterable !== undefined && iterable !== null) {
+			assertIterable(iterable, 'ReverseIterableSet')
 
-		if (iterable !== undefined) {
 			for (const element of iterable) {
 				this.add(element)
 			}
 		}
+
+		// The initial values are not part of the history.
+		if (history !== false) {
+			this.#undoStack = []
+			this.#redoStack = []
+		}
+	}
+
+	/**
+	 * The `from()` static method creates a new set from an iterable, like [`Array.from()`][1]. Called on a subclass, it creates an instance of the subclass. The values are added with its `add()` method.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/from
+	 *
+	 * @template T
+	 * @template [U=T]
+	 * @param {Iterable<T>} iterable
+	 * @param {(value: T, index: number) => U} [mapFn] A function called with each value and its position. Its return value is added instead of the value.
+	 * @param {any} [thisArg] The value to use as `this` when calling `mapFn`.
+	 * @returns {ReverseIterableSet<U>} a new `ReverseIterableSet` object (or an instance of the subclass).
+	 * @throws {TypeError} if `mapFn` is neither a function nor `undefined`.
+	 */
+	static from(iterable, mapFn, thisArg) {
+		assertIterable(iterable, 'ReverseIterableSet.from')
+
+		if (mapFn !== undefined && typeof mapFn !== 'function') {
+			throw new TypeError('ReverseIterableSet.from: The `mapFn` argument must be a function')
+		}
+
+		/** @type {ReverseIterableSet<U>} */ const set = new this()
+		let index = 0
+		for (const value of iterable) {
+			set.add(mapFn !== undefined ? mapFn.call(thisArg, value, index++) : /** @type {U} */ (/** @type {unknown} */ (value)))
+		}
+
+		return set
+	}
+
+	/**
+	 * The `of()` static method creates a new set from its arguments, like [`Array.of()`][1]. Called on a subclass, it creates an instance of the subclass. The values are added with its `add()` method.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/of
+	 *
+	 * @template T
+	 * @param {...T} values
+	 * @returns {ReverseIterableSet<T>} a new `ReverseIterableSet` object (or an instance of the subclass).
+	 */
+	static of(...values) {
+		/** @type {ReverseIterableSet<T>} */ const set = new this()
+		for (const value of values) {
+			set.add(value)
+		}
+
+		return set
+	}
+
+	/**
+	 * The `fromJSON()` static method creates a `ReverseIterableSet` object from the result of `toJSON()` (or its JSON string representation).
+	 *
+	 * @template V
+	 * @param {unknown[] | string} data An array or a JSON string representing an array.
+	 * @param {ReverseIterableSetOptions<V> & { codec?: ReverseIterableSetCodec<V>, reviver?: (value: any, index: number) => V }} [options] `codec` decodes each element (see `createJSONCodec()`), then `reviver` is called with each decoded element and its position. All other options are passed to the constructor.
+	 * @returns {ReverseIterableSet<V>} a new `ReverseIterableSet` object (or an instance of the subclass it is called on).
+	 * @throws {TypeError} if `data` doesn't represent an array.
+	 */
+	static fromJSON(data, options = {}) {
+		const { codec, reviver, ...setOptions } = options
+		const elements = typeof data === 'string' ? JSON.parse(data) : data
+
+		if (!Array.isArray(elements)) {
+			throw new TypeError('ReverseIterableSet.fromJSON: The data must be an array or a JSON string representing an array')
+		}
+
+		/** @type {ReverseIterableSet<V>} */ const set = new this(null, setOptions)
+		elements.forEach((element, index) => {
+			const value = codec !== undefined ? codec.decode(element) : element
+			set.add(reviver !== undefined ? reviver(value, index) : value)
+		})
+
+		return set
+	}
+
+	/**
+	 * The `createJSONCodec()` static method creates a codec for `toJSON()` and `fromJSON()` which round-trips values JSON can't represent.
+	 *
+	 * Such values are encoded as objects of the form `{ "$type": name, "value": data }`. Out of the box, the codec supports `undefined`, non-finite numbers, `-0`, `BigInt` values, `Date` objects and nested `ReverseIterableSet` objects. Additional types (e.g. class instances) can be supported with `types`, which take precedence over the built-in ones. All other values are passed through unchanged.
+	 *
+	 * @param {JSONTypeHandler<any>[]} [types] Additional type handlers.
+	 * @returns {ReverseIterableSetCodec<any>} a codec.
+	 */
+	static createJSONCodec(types = []) {
+		const handlers = [...types, ...builtInJSONTypes]
+
+		/** @type {ReverseIterableSetCodec<any>} */ const codec = {
+			encode(value) {
+				for (const handler of handlers) {
+					if (handler.test(value)) {
+						return { $type: handler.name, value: handler.encode(value, codec) }
+					}
+				}
+
+				return value
+			},
+
+			decode(data) {
+				if (data !== null && typeof data === 'object' && typeof data.$type === 'string') {
+					const handler = handlers.find(({ name }) => name === data.$type)
+
+					if (handler === undefined) {
+						throw new TypeError(`ReverseIterableSet codec: Unknown type "${data.$type}"`)
+					}
+
+					return handler.decode(data.value, codec)
+				}
+
+				return data
+			},
+		}
+
+		return codec
+	}
+
+	/**
+	 * The `byKey()` static method creates a key lookup. Methods which locate an existing value (e.g. `has()`, `delete()`, `iteratorFor()` or `moveBefore()`) accept a key lookup in place of a value to find the value by its key (see the `key` option of the constructor).
+	 *
+	 * @param {unknown} key
+	 * @returns {KeyLookup} a key lookup for `key`.
+	 */
+	static byKey(key) {
+		return new KeyLookup(key)
+	}
+
+	/**
+	 * The [`@@species`][1] accessor property returns the constructor used to create new sets in methods like `union()`, `slice()` or `clone()`. It returns `this`, so these methods create instances of a subclass they are called on. A subclass can override it to return another constructor, which is called with an iterable (or `undefined`) and an options object.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Symbol/species
+	 *
+	 * @returns {typeof ReverseIterableSet} the constructor on which it is accessed.
+	 */
+	static get [Symbol.species]() {
+		return this
+	}
+
+	/**
+	 * The `isReverseIterableSet()` static method determines whether `value` is a `ReverseIterableSet` object, i.e. whether it was created by the `ReverseIterableSet` constructor (or the constructor of a subclass). Unlike `instanceof`, it can't be fooled by changing the prototype of an object or by `Symbol.hasInstance`.
+	 *
+	 * @param {unknown} value
+	 * @returns {value is ReverseIterableSet<unknown>} `true` if `value` is a `ReverseIterableSet` object otherwise `false`.
+	 */
+	static isReverseIterableSet(value) {
+		// Only objects initialized by the constructor have the private fields.
+		return value !== null && (typeof value === 'object' || typeof value === 'function') && #setMap in value
+	}
+
+	/**
+	 * @param {unknown} receiver The `this` value of a method call.
+	 * @param {string} methodName Name of the calling method used in the error message.
+	 * @throws {TypeError} if `receiver` isn't a `ReverseIterableSet` object.
+	 */
+	static #assertReceiver(receiver, methodName) {
+		if (!ReverseIterableSet.isReverseIterableSet(receiver)) {
+			throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The method must be called on a ReverseIterableSet object`)
+		}
 	}
 
 	/**
@@ -57,58 +386,99 @@ export default class ReverseIterableSet {
 	 * @returns the size of the `ReverseIterableSet` object.
 	 */
 	get size() {
-		return this._setMap.size
+		ReverseIterableSet.#assertReceiver(this, 'size')
+
+		return this.#setMap.size
 	}
 
 	/**
 	 * The `clear()` method removes all elements from a `ReverseIterableSet` object.
 	 */
 	clear() {
-		this._setMap.clear()
-		this._firstNode = null
-		this._lastNode = null
+		ReverseIterableSet.#assertReceiver(this, 'clear')
+		if (this.#setMap.size === 0) {
+			return
+		}
+
+		/** @type {ReverseIterableSetChange<V> | null} */ const change = this.#listeners.size > 0
+			? { type: 'clear', values: [...this.values()] }
+			: null
+
+		if (this.#isRecording()) {
+			/** @type {[V, unknown][]} */ const entries = []
+			for (let node = this.#firstNode; node !== NIL; node = this.#nextOf(node)) {
+				entries.push([this.#valueOf(node), this.#getKey(node)])
+			}
+
+			this.#record({ type: 'clear', entries })
+		}
+
+		// The typed arrays keep their capacity. Only the values need to be released.
+		this.#setMap.clear()
+		this.#values = []
+		if (this.#keys !== null) {
+			this.#keys = []
+		}
+		this.#usedSlots = 0
+		this.#freeNode = NIL
+		this.#firstNode = NIL
+		this.#lastNode = NIL
+		this.#rootNode = NIL
+
+		// Lets iterators know that their current node is gone.
+		this.#generation++
+
+		if (change !== null) {
+			this.#notify(change)
+		}
 	}
 
 	/**
 	 * The `has()` method returns a boolean indicating whether `value` exists in the set.
 	 *
-	 * @param {V} value
+	 * In `'lru'` eviction mode, an existing value is moved to the end.
+	 *
+	 * @param {V | KeyLookup} value A value or a key lookup created with `ReverseIterableSet.byKey()`.
 	 * @returns {boolean} `true` if an element with the specified key exists in a `ReverseIterableSet` object otherwise `false`.
 	 */
 	has(value) {
-		return this._setMap.has(value)
+		ReverseIterableSet.#assertReceiver(this, 'has')
+		const node = this.#findNode(value)
+
+		if (node === NIL) {
+			return false
+		}
+
+		if (this.#eviction === 'lru') {
+			this.#touchNode(node)
+		}
+
+		return true
+	}
+
+	/**
+	 * The `get()` method returns the value stored in a `ReverseIterableSet` object for `value`. This is useful with the `key` option of the constructor: the stored value is the first value added for a key.
+	 *
+	 * @param {V | KeyLookup} value A value or a key lookup created with `ReverseIterableSet.byKey()`.
+	 * @returns {V | undefined} the stored value or `undefined` if no such value exists in the `ReverseIterableSet` object.
+	 */
+	get(value) {
+		ReverseIterableSet.#assertReceiver(this, 'get')
+
+		return this.#getValue(this.#findNode(value))
 	}
 
 	/**
 	 * The `add()` method adds a new value to a `ReverseIterableSet` object in insertion order.
 	 *
+	 * In `'lru'` eviction mode, an existing value is moved to the end. In sorted mode, the value is inserted at its sorted position (after values which compare as equal) in logarithmic time.
+	 *
 	 * @param {V} value The value to add to the `ReverseIterableSet` object.
 	 * @returns the `ReverseIterableSet` object.
 	 */
 	add(value) {
-		if (this.has(value)) {
-			return this
-		}
-
-		/** @type {ReverseIterableSetNode<V>} */ const node = {
-			value,
-			nextNode: null,
-			prevNode: null,
-		}
-		this._setMap.set(value, node)
-
-		// If there is already a last node it needs to be linked with the new node.
-		if (this._lastNode !== null) {
-			node.prevNode = this._lastNode
-			this._lastNode.nextNode = node
-		}
-
-		// If there is only one entry in the map, set the first node reference.
-		if (this._firstNode === null) {
-			this._firstNode = node
-		}
-
-		this._lastNode = node
+		ReverseIterableSet.#assertReceiver(this, 'add')
+		this.#addValue(value, this.#keyOf(value))
 
 		return this
 	}
@@ -118,188 +488,3221 @@ export default class ReverseIterableSet {
 	 *
 	 * @param {V} value The value to add to the `ReverseIterableSet` object.
 	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {TypeError} in sorted mode.
 	 */
 	addFirst(value) {
-		if (this.has(value)) {
+		ReverseIterableSet.#assertReceiver(this, 'addFirst')
+		this.#assertUnsorted('addFirst')
+		const key = this.#keyOf(value)
+
+		if (this.#setMap.has(key)) {
 			return this
 		}
 
-		/** @type {ReverseIterableSetNode<V>} */ const node = {
-			value: value,
-			nextNode: null,
-			prevNode: null,
-		}
-		this._setMap.set(value, node)
+		this.#insertNode(value, key, NIL, this.#firstNode)
 
-		// If there is already a first node it needs to be linked with the new node.
-		if (this._firstNode !== null) {
-			node.nextNode = this._firstNode
-			this._firstNode.prevNode = node
-		}
+		return this
+	}
+
+	/**
+	 * The `insertBefore()` method adds a new value to a `ReverseIterableSet` object directly before the existing value `ref`. Like `add()`, it doesn't change the position of a value that already exists.
+	 *
+	 * @param {V | KeyLookup} ref An existing value or a key lookup before which to insert `value`.
+	 * @param {V} value The value to add to the `ReverseIterableSet` object.
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {RangeError} if `ref` doesn't exist in the `ReverseIterableSet` object.
+	 * @throws {TypeError} in sorted mode.
+	 */
+	insertBefore(ref, value) {
+		ReverseIterableSet.#assertReceiver(this, 'insertBefore')
+		this.#assertUnsorted('insertBefore')
+		const refNode = this.#getNode(ref, 'insertBefore')
+
+		const key = this.#keyOf(value)
 
-		// If there is only one entry in the map, set the last node reference.
-		if (this._lastNode === null) {
-			this._lastNode = node
+		if (this.#setMap.has(key)) {
+			return this
 		}
 
-		this._firstNode = node
+		this.#insertNode(value, key, this.#prevOf(refNode), refNode)
 
 		return this
 	}
 
 	/**
-	 * The `delete()` method removes the specified value from a `ReverseIterableSet` object.
+	 * The `insertAfter()` method adds a new value to a `ReverseIterableSet` object directly after the existing value `ref`. Like `add()`, it doesn't change the position of a value that already exists.
 	 *
-	 * @param {V} value The value to remove from the `ReverseIterableSet` object.
-	 * @returns {boolean} `true` if a value in the `ReverseIterableSet` object existed and has been removed or `false` if the value did not exist.
+	 * @param {V | KeyLookup} ref An existing value or a key lookup after which to insert `value`.
+	 * @param {V} value The value to add to the `ReverseIterableSet` object.
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {RangeError} if `ref` doesn't exist in the `ReverseIterableSet` object.
+	 * @throws {TypeError} in sorted mode.
 	 */
-	delete(value) {
-		const node = this._setMap.get(value)
+	insertAfter(ref, value) {
+		ReverseIterableSet.#assertReceiver(this, 'insertAfter')
+		this.#assertUnsorted('insertAfter')
+		const refNode = this.#getNode(ref, 'insertAfter')
 
-		if (node === undefined) {
-			return false
-		}
+		const key = this.#keyOf(value)
 
-		if (node.prevNode !== null && node.nextNode !== null) {
-			// `node` is in the middle.
-			node.prevNode.nextNode = node.nextNode
-			node.nextNode.prevNode = node.prevNode
-		}
-		else if (node.prevNode !== null) {
-			// `node` is the last node a new last node needs to be linked.
-			node.prevNode.nextNode = null
-			this._lastNode = node.prevNode
-		}
-		else if (node.nextNode !== null) {
-			// `node` is the first node a new first node needs to linked.
-			node.nextNode.prevNode = null
-			this._firstNode = node.nextNode
-		}
-		else {
-			// `node` is the first and last node.
-			// Both first and last node reference need to be unset.
-			this._firstNode = null
-			this._lastNode = null
+		if (this.#setMap.has(key)) {
+			return this
 		}
 
-		return this._setMap.delete(value)
+		this.#insertNode(value, key, refNode, this.#nextOf(refNode))
+
+		return this
 	}
 
 	/**
-	 * The `forEach()` method executes a provided function once per each value/value pair in the `ReverseIterableSet` object, in insertion order. For reference, see [`Set.prototype.forEach`][1].
-	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/forEach
+	 * The `moveBefore()` method moves the existing value `value` of a `ReverseIterableSet` object directly before the existing value `ref`.
 	 *
-	 * @param {(value2: V, value1: V, set: ReverseIterableSet<V>) => void} callbackfn
-	 * @param {any} [thisArg]
+	 * @param {V | KeyLookup} ref An existing value or a key lookup before which to move `value`.
+	 * @param {V | KeyLookup} value An existing value or a key lookup for it.
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {RangeError} if `ref` or `value` don't exist in the `ReverseIterableSet` object.
+	 * @throws {TypeError} in sorted mode.
 	 */
-	forEach(callbackfn, thisArg) {
-		for (const [value1, value2] of this.entries()) {
-			callbackfn.call(thisArg, value2, value1, this)
+	moveBefore(ref, value) {
+		ReverseIterableSet.#assertReceiver(this, 'moveBefore')
+		this.#assertUnsorted('moveBefore')
+		const refNode = this.#getNode(ref, 'moveBefore')
+		const node = this.#getNode(value, 'moveBefore')
+
+		if (node !== refNode && node !== this.#prevOf(refNode)) {
+			this.#moveNode(node, this.#prevOf(refNode), refNode)
 		}
+
+		return this
 	}
 
 	/**
-	 * The `forEachReverse()` method executes a provided function once per each value/value pair in the `ReverseIterableSet` object, in reverse insertion order.
+	 * The `moveAfter()` method moves the existing value `value` of a `ReverseIterableSet` object directly after the existing value `ref`.
 	 *
-	 * @param {(value2: V, value1: V, set: ReverseIterableSet<V>) => void} callbackfn
-	 * @param {any} [thisArg]
+	 * @param {V | KeyLookup} ref An existing value or a key lookup after which to move `value`.
+	 * @param {V | KeyLookup} value An existing value or a key lookup for it.
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {RangeError} if `ref` or `value` don't exist in the `ReverseIterableSet` object.
+	 * @throws {TypeError} in sorted mode.
 	 */
-	forEachReverse(callbackfn, thisArg) {
-		for (const [value1, value2] of this.entries().reverseIterator()) {
-			callbackfn.call(thisArg, value2, value1, this)
+	moveAfter(ref, value) {
+		ReverseIterableSet.#assertReceiver(this, 'moveAfter')
+		this.#assertUnsorted('moveAfter')
+		const refNode = this.#getNode(ref, 'moveAfter')
+		const node = this.#getNode(value, 'moveAfter')
+
+		if (node !== refNode && node !== this.#nextOf(refNode)) {
+			this.#moveNode(node, refNode, this.#nextOf(refNode))
 		}
+
+		return this
 	}
 
 	/**
-	 * The initial value of the [@@iterator][1] property is the same function object as the initial value of the `values` property.
-	 *
-	 * [1]:  https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/@@iterator
+	 * The `moveToFront()` method moves the existing value `value` to the start of a `ReverseIterableSet` object.
 	 *
-	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableSet` object.
+	 * @param {V | KeyLookup} value An existing value or a key lookup for it.
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {RangeError} if `value` doesn't exist in the `ReverseIterableSet` object.
+	 * @throws {TypeError} in sorted mode.
 	 */
-	[Symbol.iterator]() {
-		return this.values()
+	moveToFront(value) {
+		ReverseIterableSet.#assertReceiver(this, 'moveToFront')
+		this.#assertUnsorted('moveToFront')
+		const node = this.#getNode(value, 'moveToFront')
+
+		if (node !== this.#firstNode) {
+			this.#moveNode(node, NIL, this.#firstNode)
+		}
+
+		return this
 	}
 
 	/**
-	 * Allows using the [iteration protocols][1] for reverse iteration.
+	 * The `moveToBack()` method moves the existing value `value` to the end of a `ReverseIterableSet` object.
 	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
-	 *
-	 *  @returns {IterableIterator<V>} a reverse iterable iterator for the `ReverseIterableSet` object.
+	 * @param {V | KeyLookup} value An existing value or a key lookup for it.
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {RangeError} if `value` doesn't exist in the `ReverseIterableSet` object.
+	 * @throws {TypeError} in sorted mode.
 	 */
-	reverseIterator() {
-		return this.values().reverseIterator()
+	moveToBack(value) {
+		ReverseIterableSet.#assertReceiver(this, 'moveToBack')
+		this.#assertUnsorted('moveToBack')
+		const node = this.#getNode(value, 'moveToBack')
+
+		if (node !== this.#lastNode) {
+			this.#moveNode(node, this.#lastNode, NIL)
+		}
+
+		return this
 	}
 
 	/**
-	 * The `entries()` method returns a new [Iterator][1] object that contains the `[value, value]` pairs for each value in a `ReverseIterableSet` object in insertion order.
+	 * The `sort()` method sorts the values of a `ReverseIterableSet` object in place. For reference, see [`Array.prototype.sort`][1].
 	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 * The sort is stable. Like `Array.prototype.sort`, values are compared as strings if `compareFn` is omitted, and `undefined` is sorted to the end. The values are sorted before the set is changed, so the set is left unchanged if `compareFn` throws.
 	 *
-	 * @returns {ReverseIterableIterator<[V, V]>} an iterable iterator for the `ReverseIterableSet` object.
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/sort
+	 *
+	 * @param {(a: V, b: V) => number} [compareFn] A function that defines the sort order.
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {TypeError} if `compareFn` is neither a function nor `undefined` or in sorted mode.
 	 */
-	entries() {
-		const getIteratorValue = /** @type {(node: ReverseIterableSetNode<V>) => [V, V]} */ (node) => [node.value, node.value]
+	sort(compareFn) {
+		ReverseIterableSet.#assertReceiver(this, 'sort')
+		this.#assertUnsorted('sort')
 
-		return this._iterableIterator(getIteratorValue)
-	}
+		if (compareFn !== undefined && typeof compareFn !== 'function') {
+			throw new TypeError('ReverseIterableSet.prototype.sort: The comparison function must be either a function or undefined')
+		}
+
+		const compare = compareFn ?? compareAsStrings
+		this.#reorder(this.#getNodes().sort((a, b) => compare(this.#valueOf(a), this.#valueOf(b))))
+
+		return this
+	}
+
+	/**
+	 * The `reverse()` method reverses the order of the values of a `ReverseIterableSet` object in place. For reference, see [`Array.prototype.reverse`][1].
+	 *
+	 * Afterwards, `add()` appends values after the value which was the first one before.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/reverse
+	 *
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {TypeError} in sorted mode.
+	 */
+	reverse() {
+		ReverseIterableSet.#assertReceiver(this, 'reverse')
+		this.#assertUnsorted('reverse')
+		this.#reorder(this.#getNodes().reverse())
+
+		return this
+	}
+
+	/**
+	 * The `rotate()` method moves the first `count` values of a `ReverseIterableSet` object to its end, keeping their order. A negative `count` moves the last `-count` values to the start instead.
+	 *
+	 * @param {number} count The number of values to move. It can be larger than the size of the set.
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {RangeError} if `count` isn't an integer.
+	 * @throws {TypeError} in sorted mode.
+	 */
+	rotate(count) {
+		ReverseIterableSet.#assertReceiver(this, 'rotate')
+		this.#assertUnsorted('rotate')
+
+		if (!Number.isInteger(count)) {
+			throw new RangeError('ReverseIterableSet.prototype.rotate: The count must be an integer')
+		}
+
+		const size = this.size
+		// The remainder has the sign of `count`, so negative counts need to be shifted into the range from 0 to `size - 1`.
+		const shift = size > 0 ? (count % size + size) % size : 0
+
+		if (shift !== 0) {
+			const nodes = this.#getNodes()
+			this.#reorder(nodes.slice(shift).concat(nodes.slice(0, shift)))
+		}
+
+		return this
+	}
+
+	/**
+	 * The `shuffle()` method puts the values of a `ReverseIterableSet` object in a random order in place using the [Fisher–Yates shuffle][1].
+	 *
+	 * [1]: https://en.wikipedia.org/wiki/Fisher%E2%80%93Yates_shuffle
+	 *
+	 * @param {() => number} [randomFn] A function returning a number from `0` (inclusive) to `1` (exclusive) like `Math.random`, which is the default. Passing a seeded random number generator makes the order reproducible.
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {RangeError} if `randomFn` returns a number out of range.
+	 * @throws {TypeError} if `randomFn` isn't a function or in sorted mode.
+	 */
+	shuffle(randomFn = Math.random) {
+		ReverseIterableSet.#assertReceiver(this, 'shuffle')
+		this.#assertUnsorted('shuffle')
+
+		if (typeof randomFn !== 'function') {
+			throw new TypeError('ReverseIterableSet.prototype.shuffle: The random number generator must be a function')
+		}
+
+		const nodes = this.#getNodes()
+		for (let index = nodes.length - 1; index > 0; index--) {
+			const otherIndex = Math.floor(randomFn() * (index + 1))
+
+			if (!(otherIndex >= 0 && otherIndex <= index)) {
+				throw new RangeError('ReverseIterableSet.prototype.shuffle: The random number generator must return numbers from 0 (inclusive) to 1 (exclusive)')
+			}
+
+			const node = /** @type {number} */ (nodes[index])
+			nodes[index] = /** @type {number} */ (nodes[otherIndex])
+			nodes[otherIndex] = node
+		}
+
+		this.#reorder(nodes)
+
+		return this
+	}
+
+	/**
+	 * The `delete()` method removes the specified value from a `ReverseIterableSet` object.
+	 *
+	 * @param {V | KeyLookup} value The value to remove from the `ReverseIterableSet` object or a key lookup for it.
+	 * @returns {boolean} `true` if a value in the `ReverseIterableSet` object existed and has been removed or `false` if the value did not exist.
+	 */
+	delete(value) {
+		ReverseIterableSet.#assertReceiver(this, 'delete')
+		const node = this.#findNode(value)
+
+		if (node === NIL) {
+			return false
+		}
+
+		this.#deleteNode(node)
+
+		return true
+	}
+
+	/**
+	 * The `addAll()` method adds the values of `iterable` to a `ReverseIterableSet` object like `add()` does for each of them.
+	 *
+	 * The values are read from `iterable` before the first one is added, so the set is left unchanged if iterating `iterable` throws.
+	 *
+	 * @param {Iterable<V>} iterable The values to add.
+	 * @returns {number} the number of values which have been added.
+	 * @throws {TypeError} if `iterable` isn't iterable.
+	 */
+	addAll(iterable) {
+		ReverseIterableSet.#assertReceiver(this, 'addAll')
+		assertIterable(iterable, 'ReverseIterableSet.prototype.addAll')
+
+		return this.#batch(() => this.#addAll(iterable))
+	}
+
+	/**
+	 * The `addAllFirst()` method adds the values of `iterable` to the start of a `ReverseIterableSet` object, keeping their order. Like `addFirst()`, it doesn't change the position of a value that already exists.
+	 *
+	 * The values are read from `iterable` before the first one is added, so the set is left unchanged if iterating `iterable` throws.
+	 *
+	 * @param {Iterable<V>} iterable The values to add.
+	 * @returns {number} the number of values which have been added.
+	 * @throws {TypeError} in sorted mode.
+	 * @throws {TypeError} if `iterable` isn't iterable.
+	 */
+	addAllFirst(iterable) {
+		ReverseIterableSet.#assertReceiver(this, 'addAllFirst')
+		assertIterable(iterable, 'ReverseIterableSet.prototype.addAllFirst')
+
+		return this.#batch(() => this.#addAllFirst(iterable))
+	}
+
+	/**
+	 * The `deleteAll()` method removes the values of `iterable` from a `ReverseIterableSet` object.
+	 *
+	 * The values are read from `iterable` before the first one is removed, so the set is left unchanged if iterating `iterable` throws.
+	 *
+	 * @param {Iterable<V | KeyLookup>} iterable The values to remove or key lookups for them.
+	 * @returns {number} the number of values which have been removed.
+	 * @throws {TypeError} if `iterable` isn't iterable.
+	 */
+	deleteAll(iterable) {
+		ReverseIterableSet.#assertReceiver(this, 'deleteAll')
+		assertIterable(iterable, 'ReverseIterableSet.prototype.deleteAll')
+
+		return this.#batch(() => this.#deleteAll(iterable))
+	}
+
+	/**
+	 * The `retainAll()` method removes all values from a `ReverseIterableSet` object except for the ones for which `predicate` returns a truthy value or, if an iterable is passed, the ones contained in `iterable`.
+	 *
+	 * The predicate is called for all values (or `iterable` is read completely) before the first value is removed, so the set is left unchanged if either throws.
+	 *
+	 * @param {((value: V, index: number, set: ReverseIterableSet<V>) => unknown) | Iterable<V>} predicateOrIterable
+	 * @returns {number} the number of values which have been removed.
+	 * @throws {TypeError} if `predicateOrIterable` is neither a function nor iterable.
+	 */
+	retainAll(predicateOrIterable) {
+		ReverseIterableSet.#assertReceiver(this, 'retainAll')
+
+		if (typeof predicateOrIterable !== 'function') {
+			assertIterable(predicateOrIterable, 'ReverseIterableSet.prototype.retainAll')
+		}
+
+		return this.#batch(() => this.#retainAll(predicateOrIterable))
+	}
+
+	/**
+	 * The `replaceRange()` method removes the values from position `start` up to (but not including) position `end` of a `ReverseIterableSet` object and adds the values of `iterable` in their place. Negative integers count back from the last value. For reference, see [`Array.prototype.splice`][1].
+	 *
+	 * Values of `iterable` which exist in the set outside of the replaced range keep their position. The values are read from `iterable` before the set is changed, so the set is left unchanged if iterating `iterable` throws.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/splice
+	 *
+	 * @param {number} start The position of the first value to replace.
+	 * @param {number} [end] The position after the last value to replace. Defaults to `this.size`.
+	 * @param {Iterable<V>} [iterable] The values to add. Defaults to none.
+	 * @returns {{ deleted: number, added: number }} the number of values which have been removed and added.
+	 * @throws {TypeError} in sorted mode.
+	 * @throws {TypeError} if `iterable` isn't iterable.
+	 */
+	replaceRange(start, end, iterable = []) {
+		ReverseIterableSet.#assertReceiver(this, 'replaceRange')
+		assertIterable(iterable, 'ReverseIterableSet.prototype.replaceRange')
+
+		return this.#batch(() => this.#replaceRange(start, end, iterable))
+	}
+
+	/**
+	 * The `first()` method returns the first value of a `ReverseIterableSet` object.
+	 *
+	 * @returns {V | undefined} the first value or `undefined` if the `ReverseIterableSet` object is empty.
+	 */
+	first() {
+		ReverseIterableSet.#assertReceiver(this, 'first')
+
+		return this.#getValue(this.#firstNode)
+	}
+
+	/**
+	 * The `last()` method returns the last value of a `ReverseIterableSet` object.
+	 *
+	 * @returns {V | undefined} the last value or `undefined` if the `ReverseIterableSet` object is empty.
+	 */
+	last() {
+		ReverseIterableSet.#assertReceiver(this, 'last')
+
+		return this.#getValue(this.#lastNode)
+	}
+
+	/**
+	 * The `peekFirst()` method returns the first value of a `ReverseIterableSet` object without removing it. It is equivalent to `first()`.
+	 *
+	 * @returns {V | undefined} the first value or `undefined` if the `ReverseIterableSet` object is empty.
+	 */
+	peekFirst() {
+		ReverseIterableSet.#assertReceiver(this, 'peekFirst')
+
+		return this.first()
+	}
+
+	/**
+	 * The `peekLast()` method returns the last value of a `ReverseIterableSet` object without removing it. It is equivalent to `last()`.
+	 *
+	 * @returns {V | undefined} the last value or `undefined` if the `ReverseIterableSet` object is empty.
+	 */
+	peekLast() {
+		ReverseIterableSet.#assertReceiver(this, 'peekLast')
+
+		return this.last()
+	}
+
+	/**
+	 * The `next()` method returns the value following `value` in a `ReverseIterableSet` object.
+	 *
+	 * @param {V | KeyLookup} value An existing value or a key lookup for it.
+	 * @returns {V | undefined} the value following `value` or `undefined` if `value` is the last value or doesn't exist in the `ReverseIterableSet` object.
+	 */
+	next(value) {
+		ReverseIterableSet.#assertReceiver(this, 'next')
+		const node = this.#findNode(value)
+
+		return node !== NIL ? this.#getValue(this.#nextOf(node)) : undefined
+	}
+
+	/**
+	 * The `prev()` method returns the value preceding `value` in a `ReverseIterableSet` object.
+	 *
+	 * @param {V | KeyLookup} value An existing value or a key lookup for it.
+	 * @returns {V | undefined} the value preceding `value` or `undefined` if `value` is the first value or doesn't exist in the `ReverseIterableSet` object.
+	 */
+	prev(value) {
+		ReverseIterableSet.#assertReceiver(this, 'prev')
+		const node = this.#findNode(value)
+
+		return node !== NIL ? this.#getValue(this.#prevOf(node)) : undefined
+	}
+
+	/**
+	 * The `shift()` method removes the first value from a `ReverseIterableSet` object and returns it.
+	 *
+	 * @returns {V | undefined} the removed value or `undefined` if the `ReverseIterableSet` object is empty.
+	 */
+	shift() {
+		ReverseIterableSet.#assertReceiver(this, 'shift')
+		if (this.#firstNode === NIL) {
+			return undefined
+		}
+
+		const value = this.#valueOf(this.#firstNode)
+		this.#deleteNode(this.#firstNode)
+
+		return value
+	}
+
+	/**
+	 * The `pop()` method removes the last value from a `ReverseIterableSet` object and returns it.
+	 *
+	 * @returns {V | undefined} the removed value or `undefined` if the `ReverseIterableSet` object is empty.
+	 */
+	pop() {
+		ReverseIterableSet.#assertReceiver(this, 'pop')
+		if (this.#lastNode === NIL) {
+			return undefined
+		}
+
+		const value = this.#valueOf(this.#lastNode)
+		this.#deleteNode(this.#lastNode)
+
+		return value
+	}
+
+	/**
+	 * The `at()` method returns the value at position `index` of a `ReverseIterableSet` object. Negative integers count back from the last value. For reference, see [`Array.prototype.at`][1].
+	 *
+	 * Runs in logarithmic time.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/at
+	 *
+	 * @param {number} index The position of the value to return.
+	 * @returns {V | undefined} the value at position `index` or `undefined` if `index` is out of range.
+	 */
+	at(index) {
+		ReverseIterableSet.#assertReceiver(this, 'at')
+		const relativeIndex = toRelativeIndex(index, this.size, 0)
+
+		if (relativeIndex < 0 || relativeIndex >= this.size) {
+			return undefined
+		}
+
+		return this.#valueOf(this.#getNodeAt(relativeIndex))
+	}
+
+	/**
+	 * The `indexOf()` method returns the position of `value` in a `ReverseIterableSet` object.
+	 *
+	 * Runs in logarithmic time.
+	 *
+	 * @param {V | KeyLookup} value The value to locate or a key lookup for it.
+	 * @returns {number} the position of `value` or `-1` if `value` doesn't exist in the `ReverseIterableSet` object.
+	 */
+	indexOf(value) {
+		ReverseIterableSet.#assertReceiver(this, 'indexOf')
+		const node = this.#findNode(value)
+
+		return node !== NIL ? this.#getIndexOfNode(node) : -1
+	}
+
+	/**
+	 * The `clone()` method returns a shallow copy of a `ReverseIterableSet` object with the same values in the same order and the same options. The history of the `ReverseIterableSet` object isn't copied. The copy is created with the constructor returned by `[Symbol.species]`, so cloning an instance of a subclass creates an instance of the subclass.
+	 *
+	 * @returns {ReverseIterableSet<V>} a new `ReverseIterableSet` object.
+	 */
+	clone() {
+		ReverseIterableSet.#assertReceiver(this, 'clone')
+		/** @type {ReverseIterableSetOptions<V>} */ const options = {
+			maxSize: this.#maxSize,
+			eviction: this.#eviction,
+		}
+
+		if (this.#onEvict !== null) {
+			options.onEvict = this.#onEvict
+		}
+
+		if (this.#key !== null) {
+			options.key = this.#key
+		}
+
+		if (this.#compare !== null) {
+			options.compare = this.#compare
+		}
+
+		if (this.#undoStack !== null) {
+			options.history = this.#historyLimit !== Infinity ? this.#historyLimit : true
+		}
+
+		return this.#createDerived(this, options)
+	}
+
+	/**
+	 * The `slice()` method returns a new `ReverseIterableSet` object containing the values from position `start` up to (but not including) position `end`. Negative integers count back from the last value. For reference, see [`Array.prototype.slice`][1].
+	 *
+	 * Locating `start` runs in logarithmic time.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice
+	 *
+	 * @param {number} [start] The position of the first value to include. Defaults to `0`.
+	 * @param {number} [end] The position after the last value to include. Defaults to `this.size`.
+	 * @returns {ReverseIterableSet<V>} a new `ReverseIterableSet` object.
+	 */
+	slice(start, end) {
+		ReverseIterableSet.#assertReceiver(this, 'slice')
+		const size = this.size
+		const from = Math.max(toRelativeIndex(start, size, 0), 0)
+		const to = Math.min(toRelativeIndex(end, size, size), size)
+		/** @type {ReverseIterableSet<V>} */ const result = this.#createDerived()
+
+		if (from < to) {
+			for (let index = from, node = this.#getNodeAt(from); index < to; index++, node = this.#nextOf(node)) {
+				result.add(this.#valueOf(node))
+			}
+		}
+
+		return result
+	}
+
+	/**
+	 * The `subscribe()` method registers a function which is called synchronously after each change of a `ReverseIterableSet` object.
+	 *
+	 * The listener receives a change object describing the change and the `ReverseIterableSet` object. Adding, deleting and moving a value is reported with the value, its position and its neighbors (for `'delete'` changes, the position and neighbors it had before). `clear()` is reported as a single `'clear'` change with the removed values. `sort()`, `reverse()`, `rotate()` and `shuffle()` are reported as a single `'reorder'` change with the values in their new order. Operations which don't change the set (e.g. adding an existing value) are not reported.
+	 *
+	 * @param {ReverseIterableSetListener<V>} listener
+	 * @returns {() => void} a function which unsubscribes `listener`.
+	 */
+	subscribe(listener) {
+		ReverseIterableSet.#assertReceiver(this, 'subscribe')
+		if (typeof listener !== 'function') {
+			throw new TypeError('ReverseIterableSet.prototype.subscribe: The listener must be a function')
+		}
+
+		// Wrapping the listener allows subscribing the same function more than once.
+		/** @type {ReverseIterableSetListener<V>} */ const subscription = (change, set) => listener(change, set)
+		this.#listeners.add(subscription)
+
+		return () => {
+			this.#listeners.delete(subscription)
+		}
+	}
+
+	/**
+	 * The `transaction()` method calls `fn` with the `ReverseIterableSet` object. If `fn` throws, all changes it made to the set are reverted and the error is rethrown. Transactions can be nested.
+	 *
+	 * `fn` must be synchronous. With the `history` option, all changes made by `fn` are undone and redone as one step.
+	 *
+	 * @template T
+	 * @param {(set: ReverseIterableSet<V>) => T} fn
+	 * @returns {T} the result of `fn`.
+	 */
+	transaction(fn) {
+		ReverseIterableSet.#assertReceiver(this, 'transaction')
+		if (typeof fn !== 'function') {
+			throw new TypeError('ReverseIterableSet.prototype.transaction: The argument must be a function')
+		}
+
+		const outerJournal = this.#journal
+		/** @type {ReverseIterableSetRecord<V>[]} */ const journal = []
+		this.#journal = journal
+
+		/** @type {T} */ let result
+		try {
+			result = fn(this)
+		}
+		catch (error) {
+			this.#journal = outerJournal
+			this.#replay(journal, true)
+			throw error
+		}
+
+		this.#journal = outerJournal
+		if (outerJournal !== null) {
+			outerJournal.push(...journal)
+		}
+		else {
+			this.#commit(journal)
+		}
+
+		return result
+	}
+
+	/**
+	 * The `undo()` method reverts the last change (or transaction) of a `ReverseIterableSet` object created with the `history` option, restoring the positions of all affected values.
+	 *
+	 * @returns {boolean} `true` if a change has been reverted otherwise `false`.
+	 * @throws {TypeError} if the `history` option is not set or if called during a transaction.
+	 */
+	undo() {
+		ReverseIterableSet.#assertReceiver(this, 'undo')
+		const [undoStack, redoStack] = this.#getHistory('undo')
+		const records = undoStack.pop()
+
+		if (records === undefined) {
+			return false
+		}
+
+		this.#replay(records, true)
+		redoStack.push(records)
+
+		return true
+	}
+
+	/**
+	 * The `redo()` method reapplies the last change reverted with `undo()`. Making another change discards the changes that can be redone.
+	 *
+	 * @returns {boolean} `true` if a change has been reapplied otherwise `false`.
+	 * @throws {TypeError} if the `history` option is not set or if called during a transaction.
+	 */
+	redo() {
+		ReverseIterableSet.#assertReceiver(this, 'redo')
+		const [undoStack, redoStack] = this.#getHistory('redo')
+		const records = redoStack.pop()
+
+		if (records === undefined) {
+			return false
+		}
+
+		this.#replay(records, false)
+		undoStack.push(records)
+
+		return true
+	}
+
+	/**
+	 * The `forEach()` method executes a provided function once per each value/value pair in the `ReverseIterableSet` object, in insertion order. For reference, see [`Set.prototype.forEach`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/forEach
+	 *
+	 * @param {(value2: V, value1: V, set: ReverseIterableSet<V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 * @throws {TypeError} if `callbackfn` isn't a function.
+	 */
+	forEach(callbackfn, thisArg) {
+		ReverseIterableSet.#assertReceiver(this, 'forEach')
+
+		if (typeof callbackfn !== 'function') {
+			throw new TypeError('ReverseIterableSet.prototype.forEach: The callback must be a function')
+		}
+
+		for (const [value1, value2] of this.entries()) {
+			callbackfn.call(thisArg, value2, value1, this)
+		}
+	}
+
+	/**
+	 * The `forEachReverse()` method executes a provided function once per each value/value pair in the `ReverseIterableSet` object, in reverse insertion order.
+	 *
+	 * @param {(value2: V, value1: V, set: ReverseIterableSet<V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 * @throws {TypeError} if `callbackfn` isn't a function.
+	 */
+	forEachReverse(callbackfn, thisArg) {
+		ReverseIterableSet.#assertReceiver(this, 'forEachReverse')
+
+		if (typeof callbackfn !== 'function') {
+			throw new TypeError('ReverseIterableSet.prototype.forEachReverse: The callback must be a function')
+		}
+
+		for (const [value1, value2] of this.entries().reverseIterator()) {
+			callbackfn.call(thisArg, value2, value1, this)
+		}
+	}
+
+	/**
+	 * The initial value of the [@@iterator][1] property is the same function object as the initial value of the `values` property.
+	 *
+	 * [1]:  https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/@@iterator
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableSet` object.
+	 */
+	[Symbol.iterator]() {
+		ReverseIterableSet.#assertReceiver(this, '[Symbol.iterator]')
+
+		return this.values()
+	}
+
+	/**
+	 * Allows using the [iteration protocols][1] for reverse iteration.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
+	 *
+	 *  @returns {ReverseIterableIterator<V>} a reverse iterable iterator for the `ReverseIterableSet` object.
+	 */
+	reverseIterator() {
+		ReverseIterableSet.#assertReceiver(this, 'reverseIterator')
+
+		return this.values().reverseIterator()
+	}
+
+	/**
+	 * The `entries()` method returns a new [Iterator][1] object that contains the `[value, value]` pairs for each value in a `ReverseIterableSet` object in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<[V, V]>} an iterable iterator for the `ReverseIterableSet` object.
+	 */
+	entries() {
+		ReverseIterableSet.#assertReceiver(this, 'entries')
+		const getIteratorValue = /** @type {(value: V) => [V, V]} */ (value) => [value, value]
+
+		return this.#iterableIterator(getIteratorValue)
+	}
+
+	/**
+	 * The `values()` method returns a new [Iterator][1] object that contains the values in a `ReverseIterableSet` object in insertion order.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableSet` object.
+	 */
+	values() {
+		ReverseIterableSet.#assertReceiver(this, 'values')
+		const getIteratorValue = /** @type {(value: V) => V} */ (value) => value
+
+		return this.#iterableIterator(getIteratorValue)
+	}
+
+	/**
+	 * The `keys()` method is the same function object as the `values()` method. It exists for compatibility with `Set` and makes a `ReverseIterableSet` object a set-like object which can be passed to the set composition methods of both `ReverseIterableSet` and `Set`.
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableSet` object.
+	 */
+	keys() {
+		ReverseIterableSet.#assertReceiver(this, 'keys')
+
+		return this.values()
+	}
+
+	/**
+	 * The `iteratorFor()` method returns a new [Iterator][1] object that contains the `[value, value]` pairs for each element in a `ReverseIterableSet` object in insertion order **starting with the pair specified by the `value` parameter**.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @param {V | KeyLookup} value The value to start iterating from or a key lookup for it.
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableSet` object.
+	 */
+	iteratorFor(value) {
+		ReverseIterableSet.#assertReceiver(this, 'iteratorFor')
+		let startNode = this.#findNode(value)
+		const getIteratorValue = /** @type {(value: V) => V} */ (value) => value
+
+		return this.#iterableIterator(getIteratorValue, startNode)
+	}
+
+	/**
+	 * The `cursor()` method returns a new cursor object for a `ReverseIterableSet` object. A cursor points at a value and can be moved back and forth with `next()` and `prev()`. It can delete the value it points at and insert values next to it.
+	 *
+	 * If the value a cursor points at is deleted, the cursor points at the gap the value left: `next()` and `prev()` move to the values after and before the gap and inserted values fill it. A cursor without a start value points at the gap between the last and the first value, which is also where a cursor points after the set was cleared.
+	 *
+	 * @param {V | KeyLookup} [startValue] The value to point at or a key lookup for it. If omitted or `undefined`, the cursor doesn't point at a value.
+	 * @param {ReverseIterableSetCursorOptions} [options] With `wrap`, `next()` continues with the first value after the last one and `prev()` with the last value before the first one.
+	 * @returns {ReverseIterableSetCursor<V>} a cursor for the `ReverseIterableSet` object.
+	 * @throws {RangeError} if `startValue` doesn't exist in the `ReverseIterableSet` object.
+	 */
+	cursor(startValue, options = {}) {
+		ReverseIterableSet.#assertReceiver(this, 'cursor')
+		const { wrap = false } = options
+		const startNode = startValue !== undefined ? this.#getNode(startValue, 'cursor') : NIL
+
+		return this.#cursor(startNode, wrap)
+	}
+
+	/**
+	 * Allows using the [async iteration protocols][1], e.g. with `for await...of`. The iterator yields the values in insertion order and then waits for values added later instead of finishing.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols#the_async_iterator_and_async_iterable_protocols
+	 *
+	 * @param {ReverseIterableSetAsyncIteratorOptions} [options] `signal` stops the iteration when aborted. With `consume`, each value is deleted from the set when it is yielded.
+	 * @returns {AsyncIterableIterator<V>} an async iterable iterator for the `ReverseIterableSet` object.
+	 */
+	[Symbol.asyncIterator](options = {}) {
+		ReverseIterableSet.#assertReceiver(this, '[Symbol.asyncIterator]')
+
+		return this.#asyncIterator(NIL, options, '[Symbol.asyncIterator]')
+	}
+
+	/**
+	 * The `asyncIteratorFor()` method is the async counterpart of `iteratorFor()`: It returns a new async iterator that yields the values in insertion order **starting with the value specified by the `value` parameter** and then waits for values added later.
+	 *
+	 * @param {V | KeyLookup} value The value to start iterating from or a key lookup for it.
+	 * @param {ReverseIterableSetAsyncIteratorOptions} [options] `signal` stops the iteration when aborted. With `consume`, each value is deleted from the set when it is yielded.
+	 * @returns {AsyncIterableIterator<V>} an async iterable iterator for the `ReverseIterableSet` object.
+	 */
+	asyncIteratorFor(value, options = {}) {
+		ReverseIterableSet.#assertReceiver(this, 'asyncIteratorFor')
+
+		return this.#asyncIterator(this.#findNode(value), options, 'asyncIteratorFor')
+	}
+
+	/**
+	 * The `range()` method returns a new [Iterator][1] object that contains the values of a `ReverseIterableSet` object between the values `from` and `to`. The order of `from` and `to` doesn't matter: the range always covers the values between them.
+	 *
+	 * Like other iterators, the iterator reflects changes made during iteration. It ends early when a bound is deleted or the values between the bounds run out.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @param {V | KeyLookup} from A value or a key lookup for one bound of the range.
+	 * @param {V | KeyLookup} to A value or a key lookup for the other bound of the range.
+	 * @param {ReverseIterableSetRangeOptions} [options]
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the range.
+	 * @throws {RangeError} if `from` or `to` don't exist in the `ReverseIterableSet` object and the `ifMissing` option is `'throw'`.
+	 */
+	range(from, to, options = {}) {
+		ReverseIterableSet.#assertReceiver(this, 'range')
+		const { inclusive = true, direction = 'forward', ifMissing = 'throw' } = options
+		const fromNode = this.#getRangeBound(from, ifMissing, 'range')
+		const toNode = this.#getRangeBound(to, ifMissing, 'range')
+		const getIteratorValue = /** @type {(value: V) => V} */ (value) => value
+
+		return this.#rangeIterator(getIteratorValue, fromNode, toNode, inclusive, direction, 'range')
+	}
+
+	/**
+	 * The `rangeEntries()` method works like `range()` but the iterator contains `[value, value]` pairs like the one returned by `entries()`.
+	 *
+	 * @param {V | KeyLookup} from A value or a key lookup for one bound of the range.
+	 * @param {V | KeyLookup} to A value or a key lookup for the other bound of the range.
+	 * @param {ReverseIterableSetRangeOptions} [options]
+	 * @returns {ReverseIterableIterator<[V, V]>} an iterable iterator for the range.
+	 * @throws {RangeError} if `from` or `to` don't exist in the `ReverseIterableSet` object and the `ifMissing` option is `'throw'`.
+	 */
+	rangeEntries(from, to, options = {}) {
+		ReverseIterableSet.#assertReceiver(this, 'rangeEntries')
+		const { inclusive = true, direction = 'forward', ifMissing = 'throw' } = options
+		const fromNode = this.#getRangeBound(from, ifMissing, 'rangeEntries')
+		const toNode = this.#getRangeBound(to, ifMissing, 'rangeEntries')
+		const getIteratorValue = /** @type {(value: V) => [V, V]} */ (value) => [value, value]
+
+		return this.#rangeIterator(getIteratorValue, fromNode, toNode, inclusive, direction, 'rangeEntries')
+	}
+
+	/**
+	 * The `floor()` method returns the greatest value of a sorted `ReverseIterableSet` object which is less than or equal to `value`. `value` doesn't need to exist in the set.
+	 *
+	 * Runs in logarithmic time.
+	 *
+	 * @param {V} value
+	 * @returns {V | undefined} the greatest value less than or equal to `value` or `undefined` if there is no such value.
+	 * @throws {TypeError} if the `ReverseIterableSet` object isn't sorted.
+	 */
+	floor(value) {
+		ReverseIterableSet.#assertReceiver(this, 'floor')
+		this.#assertSorted('floor')
+		const node = this.#searchNode(value, true)
+
+		return this.#getValue(node !== NIL ? this.#prevOf(node) : this.#lastNode)
+	}
+
+	/**
+	 * The `ceiling()` method returns the least value of a sorted `ReverseIterableSet` object which is greater than or equal to `value`. `value` doesn't need to exist in the set.
+	 *
+	 * Runs in logarithmic time.
+	 *
+	 * @param {V} value
+	 * @returns {V | undefined} the least value greater than or equal to `value` or `undefined` if there is no such value.
+	 * @throws {TypeError} if the `ReverseIterableSet` object isn't sorted.
+	 */
+	ceiling(value) {
+		ReverseIterableSet.#assertReceiver(this, 'ceiling')
+		this.#assertSorted('ceiling')
+
+		return this.#getValue(this.#searchNode(value, false))
+	}
+
+	/**
+	 * The `lower()` method returns the greatest value of a sorted `ReverseIterableSet` object which is strictly less than `value`. `value` doesn't need to exist in the set.
+	 *
+	 * Runs in logarithmic time.
+	 *
+	 * @param {V} value
+	 * @returns {V | undefined} the greatest value less than `value` or `undefined` if there is no such value.
+	 * @throws {TypeError} if the `ReverseIterableSet` object isn't sorted.
+	 */
+	lower(value) {
+		ReverseIterableSet.#assertReceiver(this, 'lower')
+		this.#assertSorted('lower')
+		const node = this.#searchNode(value, false)
+
+		return this.#getValue(node !== NIL ? this.#prevOf(node) : this.#lastNode)
+	}
+
+	/**
+	 * The `higher()` method returns the least value of a sorted `ReverseIterableSet` object which is strictly greater than `value`. `value` doesn't need to exist in the set.
+	 *
+	 * Runs in logarithmic time.
+	 *
+	 * @param {V} value
+	 * @returns {V | undefined} the least value greater than `value` or `undefined` if there is no such value.
+	 * @throws {TypeError} if the `ReverseIterableSet` object isn't sorted.
+	 */
+	higher(value) {
+		ReverseIterableSet.#assertReceiver(this, 'higher')
+		this.#assertSorted('higher')
+
+		return this.#getValue(this.#searchNode(value, true))
+	}
+
+	/**
+	 * The `between()` method returns a new [Iterator][1] object that contains the values of a sorted `ReverseIterableSet` object from `low` up to `high`. Unlike with `range()`, `low` and `high` don't need to exist in the set.
+	 *
+	 * Locating the bounds runs in logarithmic time. The iterator reflects changes made during iteration like the one returned by `range()`.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @param {V} low The lower bound.
+	 * @param {V} high The upper bound.
+	 * @param {Omit<ReverseIterableSetRangeOptions, 'ifMissing'>} [options] With `inclusive` set to `false`, values equal to a bound are excluded.
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the values between `low` and `high`.
+	 * @throws {TypeError} if the `ReverseIterableSet` object isn't sorted.
+	 */
+	between(low, high, options = {}) {
+		ReverseIterableSet.#assertReceiver(this, 'between')
+		this.#assertSorted('between')
+		const { inclusive = true, direction = 'forward' } = options
+		const compare = /** @type {(a: V, b: V) => number} */ (this.#compare)
+
+		let lowNode = this.#searchNode(low, !inclusive)
+		const afterHighNode = this.#searchNode(high, inclusive)
+		let highNode = afterHighNode !== NIL ? this.#prevOf(afterHighNode) : this.#lastNode
+
+		if (lowNode !== NIL && highNode !== NIL && compare(this.#valueOf(lowNode), this.#valueOf(highNode)) > 0) {
+			lowNode = NIL
+			highNode = NIL
+		}
+
+		const getIteratorValue = /** @type {(value: V) => V} */ (value) => value
+
+		return this.#rangeIterator(getIteratorValue, lowNode, highNode, true, direction, 'between')
+	}
+
+	/**
+	 * The `union()` method returns a new `ReverseIterableSet` object containing the elements of the `ReverseIterableSet` object followed by the elements of `other` which are not in the `ReverseIterableSet` object. For reference, see [`Set.prototype.union`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/union
+	 *
+	 * @template U
+	 * @param {ReadonlySetLike<U>} other A set-like object.
+	 * @returns {ReverseIterableSet<V | U>} a new `ReverseIterableSet` object in the order of the `ReverseIterableSet` object, then the order of `other`.
+	 */
+	union(other) {
+		ReverseIterableSet.#assertReceiver(this, 'union')
+		const record = getSetRecord(other, 'union')
+		/** @type {ReverseIterableSet<V | U>} */ const result = this.#createDerived(/** @type {Iterable<V | U>} */ (this))
+
+		for (const value of record.keys()) {
+			result.add(value)
+		}
+
+		return result
+	}
+
+	/**
+	 * The `intersection()` method returns a new `ReverseIterableSet` object containing the elements of the `ReverseIterableSet` object which are also in `other`. For reference, see [`Set.prototype.intersection`][1].
+	 *
+	 * Unlike `Set.prototype.intersection`, the result is always in the order of the `ReverseIterableSet` object regardless of which of the two sets is smaller.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/intersection
+	 *
+	 * @template U
+	 * @param {ReadonlySetLike<U>} other A set-like object.
+	 * @returns {ReverseIterableSet<V & U>} a new `ReverseIterableSet` object in the order of the `ReverseIterableSet` object.
+	 */
+	intersection(other) {
+		ReverseIterableSet.#assertReceiver(this, 'intersection')
+		const record = getSetRecord(other, 'intersection')
+		/** @type {ReverseIterableSet<V & U>} */ const result = this.#createDerived()
+
+		for (const value of this.values()) {
+			if (record.has(value)) {
+				result.add(/** @type {V & U} */ (value))
+			}
+		}
+
+		return result
+	}
+
+	/**
+	 * The `difference()` method returns a new `ReverseIterableSet` object containing the elements of the `ReverseIterableSet` object which are not in `other`. For reference, see [`Set.prototype.difference`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/difference
+	 *
+	 * @template U
+	 * @param {ReadonlySetLike<U>} other A set-like object.
+	 * @returns {ReverseIterableSet<V>} a new `ReverseIterableSet` object in the order of the `ReverseIterableSet` object.
+	 */
+	difference(other) {
+		ReverseIterableSet.#assertReceiver(this, 'difference')
+		const record = getSetRecord(other, 'difference')
+		/** @type {ReverseIterableSet<V>} */ const result = this.#createDerived()
+
+		for (const value of this.values()) {
+			if (!record.has(value)) {
+				result.add(value)
+			}
+		}
+
+		return result
+	}
+
+	/**
+	 * The `symmetricDifference()` method returns a new `ReverseIterableSet` object containing the elements which are in either the `ReverseIterableSet` object or `other`, but not in both. For reference, see [`Set.prototype.symmetricDifference`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/symmetricDifference
+	 *
+	 * @template U
+	 * @param {ReadonlySetLike<U>} other A set-like object.
+	 * @returns {ReverseIterableSet<V | U>} a new `ReverseIterableSet` object in the order of the `ReverseIterableSet` object, then the order of `other`.
+	 */
+	symmetricDifference(other) {
+		ReverseIterableSet.#assertReceiver(this, 'symmetricDifference')
+		const record = getSetRecord(other, 'symmetricDifference')
+		/** @type {ReverseIterableSet<V | U>} */ const result = this.#createDerived(/** @type {Iterable<V | U>} */ (this))
+
+		for (const value of record.keys()) {
+			if (this.#setMap.has(this.#keyOf(/** @type {any} */ (value)))) {
+				result.delete(value)
+			}
+			else {
+				result.add(value)
+			}
+		}
+
+		return result
+	}
+
+	/**
+	 * The `isSubsetOf()` method returns a boolean indicating whether all elements of the `ReverseIterableSet` object are in `other`. For reference, see [`Set.prototype.isSubsetOf`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/isSubsetOf
+	 *
+	 * @param {ReadonlySetLike<unknown>} other A set-like object.
+	 * @returns {boolean} `true` if all elements of the `ReverseIterableSet` object are in `other` otherwise `false`.
+	 */
+	isSubsetOf(other) {
+		ReverseIterableSet.#assertReceiver(this, 'isSubsetOf')
+		const record = getSetRecord(other, 'isSubsetOf')
+
+		if (this.size > record.size) {
+			return false
+		}
+
+		for (const value of this.values()) {
+			if (!record.has(value)) {
+				return false
+			}
+		}
+
+		return true
+	}
+
+	/**
+	 * The `isSupersetOf()` method returns a boolean indicating whether all elements of `other` are in the `ReverseIterableSet` object. For reference, see [`Set.prototype.isSupersetOf`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/isSupersetOf
+	 *
+	 * @param {ReadonlySetLike<unknown>} other A set-like object.
+	 * @returns {boolean} `true` if all elements of `other` are in the `ReverseIterableSet` object otherwise `false`.
+	 */
+	isSupersetOf(other) {
+		ReverseIterableSet.#assertReceiver(this, 'isSupersetOf')
+		const record = getSetRecord(other, 'isSupersetOf')
+
+		if (this.size < record.size) {
+			return false
+		}
+
+		for (const value of record.keys()) {
+			if (!this.#setMap.has(this.#keyOf(/** @type {any} */ (value)))) {
+				return false
+			}
+		}
+
+		return true
+	}
+
+	/**
+	 * The `isDisjointFrom()` method returns a boolean indicating whether the `ReverseIterableSet` object has no elements in common with `other`. For reference, see [`Set.prototype.isDisjointFrom`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/isDisjointFrom
+	 *
+	 * @param {ReadonlySetLike<unknown>} other A set-like object.
+	 * @returns {boolean} `true` if the `ReverseIterableSet` object has no elements in common with `other` otherwise `false`.
+	 */
+	isDisjointFrom(other) {
+		ReverseIterableSet.#assertReceiver(this, 'isDisjointFrom')
+		const record = getSetRecord(other, 'isDisjointFrom')
+
+		if (this.size <= record.size) {
+			for (const value of this.values()) {
+				if (record.has(value)) {
+					return false
+				}
+			}
+		}
+		else {
+			for (const value of record.keys()) {
+				if (this.#setMap.has(this.#keyOf(/** @type {any} */ (value)))) {
+					return false
+				}
+			}
+		}
+
+		return true
+	}
+
+	/**
+	 * The `equals()` method returns a boolean indicating whether the `ReverseIterableSet` object and `other` contain the same values and, unless the `ordered` option is `false`, in the same order.
+	 *
+	 * Values are compared the way `has()` does, so with the `key` option, values with the same key are equal.
+	 *
+	 * @param {ReadonlySetLike<unknown>} other A set-like object. Its order is the order of its `keys()` method.
+	 * @param {ReverseIterableSetEqualsOptions} [options]
+	 * @returns {boolean} `true` if both contain the same values (in the same order) otherwise `false`.
+	 */
+	equals(other, options = {}) {
+		ReverseIterableSet.#assertReceiver(this, 'equals')
+		const { ordered = true } = options
+		const record = getSetRecord(other, 'equals')
+
+		if (this.size !== record.size) {
+			return false
+		}
+
+		if (!ordered) {
+			// Values of `other` with the same key would find the same node.
+			/** @type {Set<number>} */ const nodes = new Set()
+			for (const value of record.keys()) {
+				const node = this.#setMap.get(this.#keyOf(/** @type {any} */ (value)))
+
+				if (node === undefined || nodes.has(node)) {
+					return false
+				}
+
+				nodes.add(node)
+			}
+
+			return nodes.size === this.#setMap.size
+		}
+
+		let node = this.#firstNode
+		for (const value of record.keys()) {
+			if (node === NIL || this.#setMap.get(this.#keyOf(/** @type {any} */ (value))) !== node) {
+				return false
+			}
+
+			node = this.#nextOf(node)
+		}
+
+		return node === NIL
+	}
+
+	/**
+	 * The `diff()` method returns the operations which transform the order of the `ReverseIterableSet` object into the order of `other` with as few operations as possible. It doesn't change the set. `applyPatch()` applies the operations.
+	 *
+	 * Values which are only in the `ReverseIterableSet` object are deleted first. Then, values which are only in `other` are inserted and values which are out of place are moved, in the order of `other`. Values forming a [longest increasing subsequence][1] of positions stay in place, so the number of moves is minimal.
+	 *
+	 * Each operation describes the value, its position and its neighbors after it was inserted or moved (or before it was deleted), taking all previous operations into account. This allows applying the operations to other representations of the set, e.g. elements in the DOM.
+	 *
+	 * [1]: https://en.wikipedia.org/wiki/Longest_increasing_subsequence
+	 *
+	 * @param {ReadonlySetLike<V>} other A set-like object. Its order is the order of its `keys()` method.
+	 * @returns {ReverseIterableSetPatchOperation<V>[]} the operations.
+	 */
+	diff(other) {
+		ReverseIterableSet.#assertReceiver(this, 'diff')
+		const entries = this.#collectEntries(getSetRecord(other, 'diff').keys())
+		/** @type {Map<unknown, number>} */ const targetIndexes = new Map(entries.map(([, key], index) => [key, index]))
+		// The operations are simulated on a copy to determine the positions and neighbors.
+		/** @type {ReverseIterableSet<V>} */ const copy = new ReverseIterableSet(this, this.#key !== null ? { key: this.#key } : {})
+		/** @type {ReverseIterableSetPatchOperation<V>[]} */ const patch = []
+
+		/**
+		 * @param {'insert' | 'delete' | 'move'} type
+		 * @param {unknown} key The key of the value in `copy`.
+		 */
+		const addOperation = (type, key) => {
+			const lookup = new KeyLookup(key)
+			patch.push({ type, value: /** @type {V} */ (copy.get(lookup)), index: copy.indexOf(lookup), prev: copy.prev(lookup), next: copy.next(lookup) })
+		}
+
+		for (const value of this.values()) {
+			const key = this.#keyOf(value)
+
+			if (!targetIndexes.has(key)) {
+				addOperation('delete', key)
+				copy.delete(new KeyLookup(key))
+			}
+		}
+
+		const stableIndexes = new Set(getLongestIncreasingSubsequence(Array.from(copy, (value) => /** @type {number} */ (targetIndexes.get(this.#keyOf(value))))))
+
+		entries.forEach(([value, key], index) => {
+			if (stableIndexes.has(index)) {
+				return
+			}
+
+			const lookup = new KeyLookup(key)
+			// Each value is placed after its predecessor in `other`, which is already in place.
+			const prevLookup = index > 0 ? new KeyLookup(/** @type {[V, unknown]} */ (entries[index - 1])[1]) : null
+
+			if (copy.has(lookup)) {
+				if (prevLookup !== null) {
+					copy.moveAfter(prevLookup, lookup)
+				}
+				else {
+					copy.moveToFront(lookup)
+				}
+
+				addOperation('move', key)
+			}
+			else {
+				if (prevLookup !== null) {
+					copy.insertAfter(prevLookup, value)
+				}
+				else {
+					copy.addFirst(value)
+				}
+
+				addOperation('insert', key)
+			}
+		})
+
+		return patch
+	}
+
+	/**
+	 * The `applyPatch()` method applies operations as returned by `diff()` to the `ReverseIterableSet` object. The operations are applied in order: values are inserted and moved to the position `index` and deleted regardless of their position.
+	 *
+	 * The operations are applied in a transaction, so the set is left unchanged if an operation doesn't match the set.
+	 *
+	 * @param {Iterable<ReverseIterableSetPatchOperation<V>>} patch
+	 * @returns {this} the `ReverseIterableSet` object.
+	 * @throws {RangeError} if a value to delete or move doesn't exist in the `ReverseIterableSet` object, a value to insert already exists or an `index` is out of range.
+	 * @throws {TypeError} if an operation has an unknown type or in sorted mode.
+	 */
+	applyPatch(patch) {
+		ReverseIterableSet.#assertReceiver(this, 'applyPatch')
+		this.#assertUnsorted('applyPatch')
+
+		this.transaction(() => {
+			for (const operation of patch) {
+				this.#applyOperation(operation)
+			}
+		})
+
+		return this
+	}
+
+	/**
+	 * The `toJSON()` method returns an array of the values of a `ReverseIterableSet` object in insertion order. It is called by [`JSON.stringify()`][1].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify
+	 *
+	 * @param {{ codec?: ReverseIterableSetCodec<V> } | string} [options] `codec` encodes each value (see `createJSONCodec()`). `JSON.stringify()` passes a property name instead which is ignored.
+	 * @returns {unknown[]} an array of the (encoded) values.
+	 */
+	toJSON(options) {
+		ReverseIterableSet.#assertReceiver(this, 'toJSON')
+		const codec = options !== null && typeof options === 'object' ? options.codec : undefined
+		const values = [...this.values()]
+
+		return codec !== undefined ? values.map((value) => codec.encode(value)) : values
+	}
+
+	/**
+	 * The `toString()` method returns a string listing the values of a `ReverseIterableSet` object in insertion order, similar to how Node.js prints a `Set`: `ReverseIterableSet(2) { 'a', 'b' }`.
+	 *
+	 * @returns {string} a string representation of the `ReverseIterableSet` object.
+	 */
+	toString() {
+		ReverseIterableSet.#assertReceiver(this, 'toString')
+		const values = [...this.values()].map(formatValue)
+
+		return `ReverseIterableSet(${values.length}) {${values.length > 0 ? ` ${values.join(', ')} ` : ''}}`
+	}
+
+	/**
+	 * Used by [`util.inspect()`][1] and thus `console.log()` in Node.js to print the values in insertion order like a `Set` instead of the internal structure.
+	 *
+	 * [1]: https://nodejs.org/api/util.html#utilinspectobject-options
+	 *
+	 * @param {number} depth The remaining depth for nested values.
+	 * @param {{ stylize: (text: string, styleType: string) => string }} options
+	 * @param {(value: unknown, options: object) => string} inspect
+	 * @returns {string}
+	 */
+	[Symbol.for('nodejs.util.inspect.custom')](depth, options, inspect) {
+		ReverseIterableSet.#assertReceiver(this, '[Symbol.for(\'nodejs.util.inspect.custom\')]')
+
+		if (depth < 0) {
+			return options.stylize('[ReverseIterableSet]', 'special')
+		}
+
+		// Inspecting a `Set` with the same values reuses the formatting of Node.js (e.g. line breaks, colors and the depth of nested values).
+		return inspect(new Set(this.values()), { ...options, depth }).replace(/^Set/, 'ReverseIterableSet')
+	}
+
+	/**
+	 * The `validate()` method checks the invariants of the internal structure of a `ReverseIterableSet` object: the links between the nodes and the first and last node, the map from keys to nodes, the order-statistic tree and, if set, the `compare` and `maxSize` options. It's meant for debugging and takes linear time.
+	 *
+	 * @throws {Error} if an invariant doesn't hold. The message describes the problem.
+	 */
+	validate() {
+		ReverseIterableSet.#assertReceiver(this, 'validate')
+		const size = this.#setMap.size
+		let prevNode = NIL
+		let index = 0
+
+		for (let node = this.#firstNode; node !== NIL; prevNode = node, node = this.#nextOf(node), index++) {
+			if (index >= size) {
+				throw createValidationError(`The list has more nodes than the map has entries (${size}) which indicates a cycle`)
+			}
+
+			// Freed slots have a subtree size of 0.
+			if (node < 0 || node >= this.#usedSlots || this.#subtreeSizeOf(node) === 0) {
+				throw createValidationError(`The node at index ${index} has been freed`)
+			}
+
+			if (this.#prevOf(node) !== prevNode) {
+				throw createValidationError(index === 0 ? 'The first node has a previous node' : `The node at index ${index} doesn't link back to the node at index ${index - 1}`)
+			}
+
+			if (this.#setMap.get(this.#getKey(node)) !== node) {
+				throw createValidationError(`The map doesn't contain the node at index ${index} under its key`)
+			}
+
+			if (this.#key !== null && this.#setMap.get(this.#key(this.#valueOf(node))) !== node) {
+				throw createValidationError(`The key of the value at index ${index} has changed`)
+			}
+
+			if (this.#compare !== null && prevNode !== NIL && this.#compare(this.#valueOf(prevNode), this.#valueOf(node)) > 0) {
+				throw createValidationError(`The values at index ${index - 1} and ${index} are out of order`)
+			}
+		}
+
+		if (prevNode !== this.#lastNode) {
+			throw createValidationError('The last node isn\'t the end of the list')
+		}
+
+		if (index !== size) {
+			throw createValidationError(`The list has ${index} nodes but the map has ${size} entries`)
+		}
+
+		let freeNodes = 0
+		for (let node = this.#freeNode; node !== NIL && freeNodes <= this.#usedSlots; node = this.#nextOf(node)) {
+			freeNodes++
+		}
+
+		if (size + freeNodes !== this.#usedSlots) {
+			throw createValidationError(`${this.#usedSlots} slots are used but the set has ${size} nodes and ${freeNodes} free slots`)
+		}
+
+		if (size > this.#maxSize) {
+			throw createValidationError(`The size ${size} exceeds the maximum size ${this.#maxSize}`)
+		}
+
+		this.#validateTree()
+	}
+
+	/**
+	 * Creates a new set for the results of methods like `union()` or `slice()` with the constructor returned by `[Symbol.species]`. Unless `options` are passed, it inherits the `key` and `compare` options.
+	 *
+	 * @template U
+	 * @param {Iterable<U>} [iterable]
+	 * @param {ReverseIterableSetOptions<any>} [options]
+	 * @returns {ReverseIterableSet<U>}
+	 */
+	#createDerived(iterable, options) {
+		if (options === undefined) {
+			options = {}
+
+			if (this.#key !== null) {
+				options.key = this.#key
+			}
+
+			if (this.#compare !== null) {
+				options.compare = this.#compare
+			}
+		}
+
+		const Species = getSpeciesConstructor(this)
+
+		return new Species(iterable, options)
+	}
+
+	/**
+	 * Derives the key under which `value` is stored in the map.
+	 *
+	 * @param {V} value
+	 * @returns {unknown} the key of `value`.
+	 */
+	#keyOf(value) {
+		return this.#key !== null ? this.#key(value) : value
+	}
+
+	/**
+	 * Returns the node for a value or a key lookup.
+	 *
+	 * @param {V | KeyLookup} value
+	 * @returns {number} the node or `NIL` if no such node exists.
+	 */
+	#findNode(value) {
+		return this.#setMap.get(value instanceof KeyLookup ? value.key : this.#keyOf(value)) ?? NIL
+	}
+
+	/**
+	 * Implements `addAll()`.
+	 *
+	 * @param {Iterable<V>} iterable
+	 * @returns {number}
+	 */
+	#addAll(iterable) {
+		let added = 0
+
+		for (const [value, key] of this.#collectEntries(iterable)) {
+			if (this.#addValue(value, key)) {
+				added++
+			}
+		}
+
+		return added
+	}
+
+	/**
+	 * Implements `addAllFirst()`.
+	 *
+	 * @param {Iterable<V>} iterable
+	 * @returns {number}
+	 */
+	#addAllFirst(iterable) {
+		this.#assertUnsorted('addAllFirst')
+		const entries = this.#collectEntries(iterable).filter(([, key]) => !this.#setMap.has(key))
+
+		// Adding the values in reverse order to the start keeps their order and lets a full set evict values from the end.
+		for (let index = entries.length - 1; index >= 0; index--) {
+			const [value, key] = /** @type {[V, unknown]} */ (entries[index])
+			this.#insertNode(value, key, NIL, this.#firstNode)
+		}
+
+		return entries.length
+	}
+
+	/**
+	 * Implements `deleteAll()`.
+	 *
+	 * @param {Iterable<V | KeyLookup>} iterable
+	 * @returns {number}
+	 */
+	#deleteAll(iterable) {
+		let deleted = 0
+
+		for (const value of Array.from(iterable)) {
+			if (this.delete(value)) {
+				deleted++
+			}
+		}
+
+		return deleted
+	}
+
+	/**
+	 * Implements `retainAll()`.
+	 *
+	 * @param {((value: V, index: number, set: ReverseIterableSet<V>) => unknown) | Iterable<V>} predicateOrIterable
+	 * @returns {number}
+	 */
+	#retainAll(predicateOrIterable) {
+		/** @type {number[]} */ const nodes = []
+
+		if (typeof predicateOrIterable === 'function') {
+			let index = 0
+			for (let node = this.#firstNode; node !== NIL; node = this.#nextOf(node)) {
+				if (!predicateOrIterable(this.#valueOf(node), index++, this)) {
+					nodes.push(node)
+				}
+			}
+		}
+		else {
+			const keys = new Set(this.#collectEntries(predicateOrIterable).map(([, key]) => key))
+			for (let node = this.#firstNode; node !== NIL; node = this.#nextOf(node)) {
+				if (!keys.has(this.#getKey(node))) {
+					nodes.push(node)
+				}
+			}
+		}
+
+		for (const node of nodes) {
+			this.#deleteNode(node)
+		}
+
+		return nodes.length
+	}
+
+	/**
+	 * Implements `replaceRange()`.
+	 *
+	 * @param {number} start
+	 * @param {number} [end]
+	 * @param {Iterable<V>} [iterable]
+	 * @returns {{ deleted: number, added: number }}
+	 */
+	#replaceRange(start, end, iterable = []) {
+		this.#assertUnsorted('replaceRange')
+		const entries = this.#collectEntries(iterable)
+		const size = this.size
+		const from = Math.min(Math.max(toRelativeIndex(start, size, 0), 0), size)
+		const to = Math.max(Math.min(toRelativeIndex(end, size, size), size), from)
+
+		/** @type {number[]} */ const nodes = []
+		for (let index = from, node = from < to ? this.#getNodeAt(from) : NIL; index < to && node !== NIL; index++, node = this.#nextOf(node)) {
+			nodes.push(node)
+		}
+
+		let prevNode = from > 0 ? this.#getNodeAt(from - 1) : NIL
+		for (const node of nodes) {
+			this.#deleteNode(node)
+		}
+
+		let added = 0
+		for (const [value, key] of entries) {
+			if (!this.#setMap.has(key)) {
+				// The inserted node is never evicted, so it can serve as the anchor for the next value.
+				prevNode = this.#insertNode(value, key, prevNode, prevNode !== NIL ? this.#nextOf(prevNode) : this.#firstNode)
+				added++
+			}
+		}
+
+		return { deleted: nodes.length, added }
+	}
+
+	/**
+	 * Adds `value` at the end (or at its sorted position in sorted mode). In `'lru'` eviction mode, an existing value is moved to the end.
+	 *
+	 * @param {V} value
+	 * @param {unknown} key The key of `value`.
+	 * @returns {boolean} whether `value` has been added.
+	 */
+	#addValue(value, key) {
+		const existingNode = this.#setMap.get(key)
+
+		if (existingNode !== undefined) {
+			if (this.#eviction === 'lru') {
+				this.#touchNode(existingNode)
+			}
+
+			return false
+		}
+
+		if (this.#compare !== null) {
+			const nextNode = this.#searchNode(value, true)
+			this.#insertNode(value, key, nextNode !== NIL ? this.#prevOf(nextNode) : this.#lastNode, nextNode)
+		}
+		else {
+			this.#insertNode(value, key, this.#lastNode, NIL)
+		}
+
+		return true
+	}
+
+	/**
+	 * Reads the values of `iterable` and derives their keys. Values which occur repeatedly are skipped.
+	 *
+	 * @param {Iterable<V>} iterable
+	 * @returns {[V, unknown][]} the value/key pairs of the new values in the order of `iterable`.
+	 */
+	#collectEntries(iterable) {
+		/** @type {Map<unknown, V>} */ const entries = new Map()
+
+		for (const value of iterable) {
+			const key = this.#keyOf(value)
+
+			if (!entries.has(key)) {
+				entries.set(key, value)
+			}
+		}
+
+		return Array.from(entries, ([key, value]) => /** @type {[V, unknown]} */ ([value, key]))
+	}
+
+	/**
+	 * Returns the first node of a sorted set whose value is greater than `value` or, if `strict` is `false`, greater than or equal to `value`.
+	 *
+	 * @param {V} value
+	 * @param {boolean} strict
+	 * @returns {number} the node or `NIL` if no such node exists.
+	 */
+	#searchNode(value, strict) {
+		const compare = /** @type {(a: V, b: V) => number} */ (this.#compare)
+		let result = NIL
+
+		for (let node = this.#rootNode; node !== NIL;) {
+			const comparison = compare(this.#valueOf(node), value)
+
+			if (strict ? comparison > 0 : comparison >= 0) {
+				result = node
+				node = this.#leftOf(node)
+			}
+			else {
+				node = this.#rightOf(node)
+			}
+		}
+
+		return result
+	}
+
+	/**
+	 * @param {string} methodName Name of the calling method used in the error message.
+	 * @throws {TypeError} if the `ReverseIterableSet` object isn't sorted.
+	 */
+	#assertSorted(methodName) {
+		if (this.#compare === null) {
+			throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The method requires the \`compare\` option`)
+		}
+	}
+
+	/**
+	 * @param {string} methodName Name of the calling method used in the error message.
+	 * @throws {TypeError} if the `ReverseIterableSet` object is sorted.
+	 */
+	#assertUnsorted(methodName) {
+		if (this.#compare !== null) {
+			throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The method is not available in sorted mode`)
+		}
+	}
+
+	/**
+	 * Creates a new node for `value` and registers it in the map under `key`. The node still needs to be linked into the list with `#linkNode()`.
+	 *
+	 * @param {V} value
+	 * @param {unknown} key
+	 * @returns {number} the new node.
+	 */
+	#createNode(value, key) {
+		const node = this.#allocateNode()
+		this.#values[node] = value
+		if (this.#keys !== null) {
+			this.#keys[node] = key
+		}
+		this.#nextNodes[node] = NIL
+		this.#prevNodes[node] = NIL
+		this.#parentNodes[node] = NIL
+		this.#leftNodes[node] = NIL
+		this.#rightNodes[node] = NIL
+		this.#priorities[node] = Math.random() * 0x100000000
+		this.#subtreeSizes[node] = 1
+		this.#setMap.set(key, node)
+
+		return node
+	}
+
+	/**
+	 * Returns the slot of a freed node or, if there is none, the next unused slot. The storage doubles its capacity when it is full.
+	 *
+	 * @returns {number} the slot for a new node.
+	 */
+	#allocateNode() {
+		if (this.#freeNode !== NIL) {
+			const node = this.#freeNode
+			this.#freeNode = this.#nextOf(node)
+
+			return node
+		}
+
+		if (this.#usedSlots === this.#nextNodes.length) {
+			const capacity = this.#usedSlots * 2
+			this.#nextNodes = growTypedArray(this.#nextNodes, capacity)
+			this.#prevNodes = growTypedArray(this.#prevNodes, capacity)
+			this.#parentNodes = growTypedArray(this.#parentNodes, capacity)
+			this.#leftNodes = growTypedArray(this.#leftNodes, capacity)
+			this.#rightNodes = growTypedArray(this.#rightNodes, capacity)
+			this.#subtreeSizes = growTypedArray(this.#subtreeSizes, capacity)
+			this.#priorities = growTypedArray(this.#priorities, capacity)
+		}
+
+		return this.#usedSlots++
+	}
+
+	/**
+	 * Adds the slot of a deleted node to the free list. The value and key are released so that they can be garbage-collected.
+	 *
+	 * @param {number} node An unlinked node.
+	 */
+	#freeNodeSlot(node) {
+		this.#values[node] = /** @type {V} */ (undefined)
+		if (this.#keys !== null) {
+			this.#keys[node] = undefined
+		}
+		// `validate()` recognizes freed slots by their subtree size.
+		this.#subtreeSizes[node] = 0
+		this.#nextNodes[node] = this.#freeNode
+		this.#freeNode = node
+	}
+
+	/**
+	 * @param {number} node A node or `NIL`.
+	 * @returns {V | undefined} the value of `node` or `undefined` for `NIL`.
+	 */
+	#getValue(node) {
+		return node !== NIL ? this.#values[node] : undefined
+	}
+
+	/**
+	 * @param {number} node
+	 * @returns {V} the value of `node`.
+	 */
+	#valueOf(node) {
+		return /** @type {V} */ (this.#values[node])
+	}
+
+	/**
+	 * @param {number} node
+	 * @returns {unknown} the key under which `node` is stored in the map.
+	 */
+	#getKey(node) {
+		return this.#keys !== null ? this.#keys[node] : this.#values[node]
+	}
+
+	/**
+	 * @param {number} node
+	 * @returns {number} the node following `node` or `NIL`.
+	 */
+	#nextOf(node) {
+		return /** @type {number} */ (this.#nextNodes[node])
+	}
+
+	/**
+	 * @param {number} node
+	 * @returns {number} the node preceding `node` or `NIL`.
+	 */
+	#prevOf(node) {
+		return /** @type {number} */ (this.#prevNodes[node])
+	}
+
+	/**
+	 * @param {number} node
+	 * @returns {number} the parent of `node` in the tree or `NIL`.
+	 */
+	#parentOf(node) {
+		return /** @type {number} */ (this.#parentNodes[node])
+	}
+
+	/**
+	 * @param {number} node
+	 * @returns {number} the left child of `node` in the tree or `NIL`.
+	 */
+	#leftOf(node) {
+		return /** @type {number} */ (this.#leftNodes[node])
+	}
+
+	/**
+	 * @param {number} node
+	 * @returns {number} the right child of `node` in the tree or `NIL`.
+	 */
+	#rightOf(node) {
+		return /** @type {number} */ (this.#rightNodes[node])
+	}
+
+	/**
+	 * @param {number} node
+	 * @returns {number} the priority of `node` in the tree.
+	 */
+	#priorityOf(node) {
+		return /** @type {number} */ (this.#priorities[node])
+	}
+
+	/**
+	 * @param {number} node A node or `NIL`.
+	 * @returns {number} the number of nodes in the subtree rooted at `node` (`0` for `NIL`).
+	 */
+	#subtreeSizeOf(node) {
+		return node !== NIL ? /** @type {number} */ (this.#subtreeSizes[node]) : 0
+	}
+
+	/**
+	 * Registers the tracker of an iterator or a cursor so that it is notified before a node is deleted. Only a weak reference to `owner` is held, so iterators and cursors which are no longer used don't need to be unregistered. `tracker` must not refer to `owner`, not even through the scope its methods were created in, as it would keep `owner` alive. This is why trackers are created by static methods like `#createIteratorTracker()`.
+	 *
+	 * @param {object} owner The iterator or cursor object.
+	 * @param {ReverseIterableSetNodeTracker} tracker
+	 * @returns {WeakRef<object>} the reference to pass to `#unregisterTracker()`.
+	 */
+	#registerTracker(owner, tracker) {
+		// Trackers of collected owners are removed by `#deleteNode()`. Sweeping them whenever their number reaches a power of two also bounds their number if no values are deleted.
+		const count = this.#trackers.size
+		if (count >= INITIAL_CAPACITY && (count & (count - 1)) === 0) {
+			for (const ref of this.#trackers.keys()) {
+				if (ref.deref() === undefined) {
+					this.#trackers.delete(ref)
+				}
+			}
+		}
+
+		const ref = new WeakRef(owner)
+		this.#trackers.set(ref, tracker)
+
+		return ref
+	}
+
+	/**
+	 * @param {WeakRef<object>} ref A reference returned by `#registerTracker()`.
+	 */
+	#unregisterTracker(ref) {
+		this.#trackers.delete(ref)
+	}
+
+	/**
+	 * Returns the node for a value or a key lookup.
+	 *
+	 * @param {V | KeyLookup} value
+	 * @param {string} methodName Name of the calling method used in the error message.
+	 * @returns {number} the node for `value`.
+	 * @throws {RangeError} if `value` doesn't exist in the `ReverseIterableSet` object.
+	 */
+	#getNode(value, methodName) {
+		const node = this.#findNode(value)
+
+		if (node === NIL) {
+			throw new RangeError(`ReverseIterableSet.prototype.${methodName}: The value is not in the set`)
+		}
+
+		return node
+	}
+
+	/**
+	 * Creates a node for the new value `value`, links it between `prevNode` and `nextNode`, reports the change and evicts values if the set exceeds its maximum size.
+	 *
+	 * @param {V} value
+	 * @param {unknown} key The key of `value`.
+	 * @param {number} prevNode
+	 * @param {number} nextNode
+	 * @returns {number} the new node.
+	 */
+	#insertNode(value, key, prevNode, nextNode) {
+		// An insertion and the evictions it causes are undone together.
+		if (this.#undoStack !== null && this.#journal === null && !this.#replaying) {
+			return this.#batch(() => this.#insertNode(value, key, prevNode, nextNode))
+		}
+
+		const node = this.#linkNewNode(value, key, prevNode, nextNode)
+
+		// Evicting in `finally` keeps the set within its maximum size even if a listener throws.
+		try {
+			if (this.#listeners.size > 0) {
+				this.#notify(this.#describeChange('add', node))
+			}
+		}
+		finally {
+			this.#evictOverflow(node)
+		}
+
+		return node
+	}
+
+	/**
+	 * Creates a node for the new value `value`, links it between `prevNode` and `nextNode` and reports the change. Unlike `#insertNode()`, no values are evicted.
+	 *
+	 * @param {V} value
+	 * @param {unknown} key The key of `value`.
+	 * @param {number} prevNode
+	 * @param {number} nextNode
+	 * @returns {number} the new node.
+	 */
+	#addNode(value, key, prevNode, nextNode) {
+		const node = this.#linkNewNode(value, key, prevNode, nextNode)
+
+		if (this.#listeners.size > 0) {
+			this.#notify(this.#describeChange('add', node))
+		}
+
+		return node
+	}
+
+	/**
+	 * Creates a node for the new value `value`, links it between `prevNode` and `nextNode` and records the change. Listeners aren't notified.
+	 *
+	 * @param {V} value
+	 * @param {unknown} key The key of `value`.
+	 * @param {number} prevNode
+	 * @param {number} nextNode
+	 * @returns {number} the new node.
+	 */
+	#linkNewNode(value, key, prevNode, nextNode) {
+		const node = this.#createNode(value, key)
+		this.#linkNode(node, prevNode, nextNode)
+
+		if (this.#isRecording()) {
+			this.#record({ type: 'add', value, key, index: this.#getIndexOfNode(node) })
+		}
+
+		return node
+	}
+
+	/**
+	 * Like `#addNode()` but links the new node at position `index`.
+	 *
+	 * @param {V} value
+	 * @param {unknown} key The key of `value`.
+	 * @param {number} index
+	 */
+	#addNodeAt(value, key, index) {
+		const prevNode = index > 0 ? this.#getNodeAt(index - 1) : NIL
+		this.#addNode(value, key, prevNode, prevNode !== NIL ? this.#nextOf(prevNode) : this.#firstNode)
+	}
+
+	/**
+	 * Deletes `node`, frees its slot and reports the change.
+	 *
+	 * @param {number} node
+	 */
+	#deleteNode(node) {
+		const change = this.#listeners.size > 0 ? this.#describeChange('delete', node) : null
+		const key = this.#getKey(node)
+
+		if (this.#isRecording()) {
+			this.#record({ type: 'delete', value: this.#valueOf(node), key, index: this.#getIndexOfNode(node) })
+		}
+
+		// Iterators move on to a neighbor before the slot is freed and possibly reused for another value.
+		for (const [ref, tracker] of this.#trackers) {
+			if (ref.deref() !== undefined) {
+				tracker.onDelete(node)
+			}
+			else {
+				this.#trackers.delete(ref)
+			}
+		}
+
+		this.#unlinkNode(node)
+		this.#setMap.delete(key)
+		this.#freeNodeSlot(node)
+
+		if (change !== null) {
+			this.#notify(change)
+		}
+	}
+
+	/**
+	 * Moves `node` between `prevNode` and `nextNode` and reports the change. `prevNode` and `nextNode` must be adjacent and must not be `node` itself.
+	 *
+	 * @param {number} node
+	 * @param {number} prevNode
+	 * @param {number} nextNode
+	 */
+	#moveNode(node, prevNode, nextNode) {
+		const isRecording = this.#isRecording()
+		const oldIndex = this.#listeners.size > 0 || isRecording ? this.#getIndexOfNode(node) : -1
+
+		this.#unlinkNode(node)
+		this.#linkNode(node, prevNode, nextNode)
+
+		if (isRecording) {
+			this.#record({ type: 'move', key: this.#getKey(node), oldIndex, index: this.#getIndexOfNode(node) })
+		}
+
+		if (this.#listeners.size > 0) {
+			this.#notify({ ...this.#describeChange('move', node), oldIndex })
+		}
+	}
+
+	/**
+	 * @returns {number[]} all nodes in list order.
+	 */
+	#getNodes() {
+		/** @type {number[]} */ const nodes = []
+		for (let node = this.#firstNode; node !== NIL; node = this.#nextOf(node)) {
+			nodes.push(node)
+		}
+
+		return nodes
+	}
+
+	/**
+	 * Relinks the list so that the nodes are in the order of `nodes`, rebuilds the order-statistic tree and reports the change unless the order stays the same.
+	 *
+	 * @param {number[]} nodes All nodes in their new order.
+	 */
+	#reorder(nodes) {
+		const oldNodes = this.#getNodes()
+
+		if (oldNodes.every((node, index) => node === nodes[index])) {
+			return
+		}
+
+		if (this.#isRecording()) {
+			this.#record({ type: 'reorder', oldKeys: oldNodes.map((node) => this.#getKey(node)), keys: nodes.map((node) => this.#getKey(node)) })
+		}
+
+		let prevNode = NIL
+		for (const node of nodes) {
+			this.#prevNodes[node] = prevNode
+
+			if (prevNode !== NIL) {
+				this.#nextNodes[prevNode] = node
+			}
+			else {
+				this.#firstNode = node
+			}
+
+			prevNode = node
+		}
+
+		this.#nextNodes[prevNode] = NIL
+		this.#lastNode = prevNode
+		this.#buildTree(nodes)
+
+		if (this.#listeners.size > 0) {
+			this.#notify({ type: 'reorder', values: nodes.map((node) => this.#valueOf(node)) })
+		}
+	}
+
+	/**
+	 * Builds the order-statistic tree for `nodes` in linear time. The nodes keep their priorities.
+	 *
+	 * The nodes on the right spine of the tree built so far are kept on a stack. Each node becomes the right child of the last node on the spine with a higher priority and takes the nodes with lower priorities as its left subtree. A node's subtree is complete once it is taken off the spine.
+	 *
+	 * @param {number[]} nodes All nodes in list order.
+	 */
+	#buildTree(nodes) {
+		/** @type {number[]} */ const spine = []
+		const completeSubtree = (/** @type {number} */ node) => {
+			this.#subtreeSizes[node] = 1 + this.#subtreeSizeOf(this.#leftOf(node)) + this.#subtreeSizeOf(this.#rightOf(node))
+		}
+
+		for (const node of nodes) {
+			let leftNode = NIL
+			while (spine.length > 0 && this.#priorityOf(/** @type {number} */ (spine.at(-1))) < this.#priorityOf(node)) {
+				leftNode = /** @type {number} */ (spine.pop())
+				completeSubtree(leftNode)
+			}
+
+			const parentNode = spine.at(-1) ?? NIL
+			this.#parentNodes[node] = parentNode
+			this.#leftNodes[node] = leftNode
+			this.#rightNodes[node] = NIL
+
+			if (leftNode !== NIL) {
+				this.#parentNodes[leftNode] = node
+			}
+
+			if (parentNode !== NIL) {
+				this.#rightNodes[parentNode] = node
+			}
+
+			spine.push(node)
+		}
+
+		for (let index = spine.length - 1; index >= 0; index--) {
+			completeSubtree(/** @type {number} */ (spine[index]))
+		}
+
+		this.#rootNode = spine[0] ?? NIL
+	}
+
+	/**
+	 * Applies an operation of a patch created by `diff()`.
+	 *
+	 * @param {ReverseIterableSetPatchOperation<V>} operation
+	 */
+	#applyOperation(operation) {
+		const { type, value, index } = operation
+		const node = this.#findNode(value)
+
+		if (type === 'delete') {
+			if (node === NIL) {
+				throw new RangeError('ReverseIterableSet.prototype.applyPatch: The value to delete is not in the set')
+			}
+
+			this.#deleteNode(node)
+		}
+		else if (type === 'insert') {
+			if (node !== NIL) {
+				throw new RangeError('ReverseIterableSet.prototype.applyPatch: The value to insert is already in the set')
+			}
+
+			if (!Number.isInteger(index) || index < 0 || index > this.size) {
+				throw new RangeError('ReverseIterableSet.prototype.applyPatch: The index is out of range')
+			}
+
+			const prevNode = index > 0 ? this.#getNodeAt(index - 1) : NIL
+			this.#insertNode(value, this.#keyOf(value), prevNode, prevNode !== NIL ? this.#nextOf(prevNode) : this.#firstNode)
+		}
+		else if (type === 'move') {
+			if (node === NIL) {
+				throw new RangeError('ReverseIterableSet.prototype.applyPatch: The value to move is not in the set')
+			}
+
+			if (!Number.isInteger(index) || index < 0 || index >= this.size) {
+				throw new RangeError('ReverseIterableSet.prototype.applyPatch: The index is out of range')
+			}
+
+			this.#moveNodeTo(node, index)
+		}
+		else {
+			throw new TypeError(`ReverseIterableSet.prototype.applyPatch: Unknown operation type "${type}"`)
+		}
+	}
+
+	/**
+	 * Moves `node` to position `index`.
+	 *
+	 * @param {number} node
+	 * @param {number} index
+	 */
+	#moveNodeTo(node, index) {
+		const currentIndex = this.#getIndexOfNode(node)
+
+		if (index < currentIndex) {
+			this.#moveNode(node, index > 0 ? this.#getNodeAt(index - 1) : NIL, this.#getNodeAt(index))
+		}
+		else if (index > currentIndex) {
+			const prevNode = this.#getNodeAt(index)
+			this.#moveNode(node, prevNode, this.#nextOf(prevNode))
+		}
+	}
+
+	/**
+	 * Whether changes need to be recorded for a transaction or the history.
+	 *
+	 * @returns {boolean}
+	 */
+	#isRecording() {
+		return (this.#journal !== null || this.#undoStack !== null) && !this.#replaying
+	}
+
+	/**
+	 * Records a change in the journal of the current transaction or as a separate step in the history.
+	 *
+	 * @param {ReverseIterableSetRecord<V>} record
+	 */
+	#record(record) {
+		if (this.#journal !== null) {
+			this.#journal.push(record)
+		}
+		else {
+			this.#commit([record])
+		}
+	}
+
+	/**
+	 * Adds `records` as one step to the history and discards the steps that could be redone.
+	 *
+	 * @param {ReverseIterableSetRecord<V>[]} records
+	 */
+	#commit(records) {
+		if (this.#undoStack === null || this.#redoStack === null || records.length === 0) {
+			return
+		}
+
+		this.#undoStack.push(records)
+		if (this.#undoStack.length > this.#historyLimit) {
+			this.#undoStack.shift()
+		}
+
+		this.#redoStack.length = 0
+	}
+
+	/**
+	 * Calls `fn` and records all its changes as one step in the history.
+	 *
+	 * @template T
+	 * @param {() => T} fn
+	 * @returns {T} the result of `fn`.
+	 */
+	#batch(fn) {
+		if (this.#undoStack === null || this.#journal !== null || this.#replaying) {
+			return fn()
+		}
+
+		/** @type {ReverseIterableSetRecord<V>[]} */ const journal = []
+		this.#journal = journal
+
+		try {
+			return fn()
+		}
+		finally {
+			this.#journal = null
+			this.#commit(journal)
+		}
+	}
+
+	/**
+	 * Applies `records` again or, if `inverse` is `true`, reverts them in reverse order. The changes are reported but not recorded.
+	 *
+	 * @param {ReverseIterableSetRecord<V>[]} records
+	 * @param {boolean} inverse
+	 */
+	#replay(records, inverse) {
+		this.#replaying = true
+
+		try {
+			for (let i = 0; i < records.length; i++) {
+				const record = /** @type {ReverseIterableSetRecord<V>} */ (records[inverse ? records.length - 1 - i : i])
+
+				if (record.type === 'clear') {
+					if (inverse) {
+						record.entries.forEach(([value, key], index) => this.#addNodeAt(value, key, index))
+					}
+					else {
+						this.clear()
+					}
+				}
+				else if (record.type === 'reorder') {
+					this.#reorder((inverse ? record.oldKeys : record.keys).map((key) => /** @type {number} */ (this.#setMap.get(key))))
+				}
+				else if (record.type === 'move') {
+					this.#moveNodeTo(/** @type {number} */ (this.#setMap.get(record.key)), inverse ? record.oldIndex : record.index)
+				}
+				else if ((record.type === 'add') !== inverse) {
+					this.#addNodeAt(record.value, record.key, record.index)
+				}
+				else {
+					this.#deleteNode(/** @type {number} */ (this.#setMap.get(record.key)))
+				}
+			}
+		}
+		finally {
+			this.#replaying = false
+		}
+	}
+
+	/**
+	 * Throws if the history is disabled or a transaction is in progress.
+	 *
+	 * @param {string} methodName
+	 * @returns {[ReverseIterableSetRecord<V>[][], ReverseIterableSetRecord<V>[][]]} the undo and the redo stack.
+	 */
+	#getHistory(methodName) {
+		if (this.#undoStack === null || this.#redoStack === null) {
+			throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The method requires the \`history\` option`)
+		}
+
+		if (this.#journal !== null) {
+			throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The method can't be called during a transaction`)
+		}
+
+		return [this.#undoStack, this.#redoStack]
+	}
+
+	/**
+	 * Describes a change of `node` with its current position and neighbors.
+	 *
+	 * @template {'add' | 'delete' | 'move'} T
+	 * @param {T} type
+	 * @param {number} node
+	 * @returns {{ type: T, value: V, index: number, prev: V | undefined, next: V | undefined }}
+	 */
+	#describeChange(type, node) {
+		return {
+			type,
+			value: this.#valueOf(node),
+			index: this.#getIndexOfNode(node),
+			prev: this.#getValue(this.#prevOf(node)),
+			next: this.#getValue(this.#nextOf(node)),
+		}
+	}
+
+	/**
+	 * Calls the listeners registered with `subscribe()`.
+	 *
+	 * @param {ReverseIterableSetChange<V>} change
+	 */
+	#notify(change) {
+		// Listeners subscribed while notifying are only called for subsequent changes. Listeners unsubscribed while notifying are not called anymore.
+		for (const listener of [...this.#listeners]) {
+			if (this.#listeners.has(listener)) {
+				listener(change, this)
+			}
+		}
+	}
+
+	/**
+	 * Moves `node` to the end of the list, marking it as the most recently used node in `'lru'` eviction mode.
+	 *
+	 * Unlike `#moveNode()`, this doesn't record the move: reading a value isn't a step of its own in the history and doesn't discard the steps which can be redone. Listeners are still notified so that they can follow the order.
+	 *
+	 * @param {number} node
+	 */
+	#touchNode(node) {
+		if (node === this.#lastNode) {
+			return
+		}
+
+		const oldIndex = this.#listeners.size > 0 ? this.#getIndexOfNode(node) : -1
+
+		this.#unlinkNode(node)
+		this.#linkNode(node, this.#lastNode, NIL)
+
+		if (this.#listeners.size > 0) {
+			this.#notify({ ...this.#describeChange('move', node), oldIndex })
+		}
+	}
+
+	/**
+	 * Evicts values while the set exceeds its maximum size. Values are evicted from the start unless `insertedNode` is the first node, in which case they are evicted from the end.
+	 *
+	 * If a listener or `onEvict` throws, the remaining values are still evicted and the first error is thrown afterwards.
+	 *
+	 * @param {number} insertedNode The node that was just inserted.
+	 */
+	#evictOverflow(insertedNode) {
+		let failed = false
+		/** @type {unknown} */ let error
+
+		/**
+		 * @param {() => void} fn
+		 */
+		const attempt = (fn) => {
+			try {
+				fn()
+			}
+			catch (e) {
+				if (!failed) {
+					failed = true
+					error = e
+				}
+			}
+		}
+
+		while (this.#setMap.size > this.#maxSize) {
+			const node = insertedNode !== this.#firstNode ? this.#firstNode : this.#lastNode
+			const value = this.#valueOf(node)
+			// Listeners are called after the node has been deleted, so the loop makes progress even if one of them throws.
+			attempt(() => this.#deleteNode(node))
+
+			const onEvict = this.#onEvict
+			if (onEvict !== null) {
+				attempt(() => onEvict(value))
+			}
+		}
+
+		if (failed) {
+			throw error
+		}
+	}
+
+	/**
+	 * Links `node` into the list between `prevNode` and `nextNode` which must be adjacent (or `NIL` at the respective end of the list).
+	 *
+	 * @param {number} node
+	 * @param {number} prevNode
+	 * @param {number} nextNode
+	 */
+	#linkNode(node, prevNode, nextNode) {
+		this.#prevNodes[node] = prevNode
+		this.#nextNodes[node] = nextNode
+
+		// If there is no previous node, `node` becomes the first node.
+		if (prevNode !== NIL) {
+			this.#nextNodes[prevNode] = node
+		}
+		else {
+			this.#firstNode = node
+		}
+
+		// If there is no next node, `node` becomes the last node.
+		if (nextNode !== NIL) {
+			this.#prevNodes[nextNode] = node
+		}
+		else {
+			this.#lastNode = node
+		}
+
+		this.#insertTreeNode(node, prevNode, nextNode)
+	}
+
+	/**
+	 * Unlinks `node` from the list. The node keeps its own links to its former neighbors.
+	 *
+	 * @param {number} node
+	 */
+	#unlinkNode(node) {
+		const prevNode = this.#prevOf(node)
+		const nextNode = this.#nextOf(node)
+
+		if (prevNode !== NIL && nextNode !== NIL) {
+			// `node` is in the middle.
+			this.#nextNodes[prevNode] = nextNode
+			this.#prevNodes[nextNode] = prevNode
+		}
+		else if (prevNode !== NIL) {
+			// `node` is the last node a new last node needs to be linked.
+			this.#nextNodes[prevNode] = NIL
+			this.#lastNode = prevNode
+		}
+		else if (nextNode !== NIL) {
+			// `node` is the first node a new first node needs to linked.
+			this.#prevNodes[nextNode] = NIL
+			this.#firstNode = nextNode
+		}
+		else {
+			// `node` is the first and last node.
+			// Both first and last node reference need to be unset.
+			this.#firstNode = NIL
+			this.#lastNode = NIL
+		}
+
+		this.#removeTreeNode(node)
+	}
+
+	/**
+	 * Checks that the order-statistic tree contains the nodes in list order and that its parent links, subtree sizes and priorities are consistent. Expects the list itself to be valid.
+	 *
+	 * @throws {Error} if an invariant doesn't hold.
+	 */
+	#validateTree() {
+		if (this.#rootNode !== NIL && this.#parentOf(this.#rootNode) !== NIL) {
+			throw createValidationError('The root of the tree has a parent node')
+		}
+
+		// Traverses the tree in order which must visit the nodes in list order.
+		/** @type {number[]} */ const stack = []
+		let expectedNode = this.#firstNode
+		let node = this.#rootNode
+		let index = 0
+
+		while (node !== NIL || stack.length > 0) {
+			for (; node !== NIL; node = this.#leftOf(node)) {
+				if (stack.length >= this.#setMap.size) {
+					throw createValidationError('The tree is deeper than the number of nodes which indicates a cycle')
+				}
+
+				stack.push(node)
+			}
+
+			node = /** @type {number} */ (stack.pop())
+
+			if (node !== expectedNode) {
+				throw createValidationError(`The tree doesn't contain the node at index ${index} in list order`)
+			}
+
+			for (const childNode of [this.#leftOf(node), this.#rightOf(node)]) {
+				if (childNode !== NIL && this.#parentOf(childNode) !== node) {
+					throw createValidationError(`A child of the node at index ${index} in the tree doesn't link back to it`)
+				}
+
+				if (childNode !== NIL && this.#priorityOf(childNode) > this.#priorityOf(node)) {
+					throw createValidationError(`A child of the node at index ${index} in the tree has a higher priority`)
+				}
+			}
+
+			if (this.#subtreeSizeOf(node) !== 1 + this.#subtreeSizeOf(this.#leftOf(node)) + this.#subtreeSizeOf(this.#rightOf(node))) {
+				throw createValidationError(`The subtree size of the node at index ${index} is wrong`)
+			}
+
+			expectedNode = this.#nextOf(node)
+			node = this.#rightOf(node)
+			index++
+		}
+
+		if (expectedNode !== NIL) {
+			throw createValidationError(`The tree doesn't contain the node at index ${index}`)
+		}
+	}
+
+	/**
+	 * Inserts `node` into the order-statistic tree between its list neighbors `prevNode` and `nextNode`.
+	 *
+	 * The tree is a [treap][1] whose in-order traversal matches the order of the list. Each node stores the size of its subtree which allows computing positions in logarithmic time.
+	 *
+	 * [1]: https://en.wikipedia.org/wiki/Treap
+	 *
+	 * @param {number} node
+	 * @param {number} prevNode
+	 * @param {number} nextNode
+	 */
+	#insertTreeNode(node, prevNode, nextNode) {
+		this.#parentNodes[node] = NIL
+		this.#leftNodes[node] = NIL
+		this.#rightNodes[node] = NIL
+		this.#subtreeSizes[node] = 1
+
+		// The in-order predecessor either has no right child or the in-order successor is the leftmost node of that right subtree.
+		if (prevNode !== NIL && this.#rightOf(prevNode) === NIL) {
+			this.#rightNodes[prevNode] = node
+			this.#parentNodes[node] = prevNode
+		}
+		else if (nextNode !== NIL) {
+			this.#leftNodes[nextNode] = node
+			this.#parentNodes[node] = nextNode
+		}
+		else {
+			this.#rootNode = node
+		}
+
+		for (let ancestor = this.#parentOf(node); ancestor !== NIL; ancestor = this.#parentOf(ancestor)) {
+			this.#subtreeSizes[ancestor] = this.#subtreeSizeOf(ancestor) + 1
+		}
+
+		while (this.#parentOf(node) !== NIL && this.#priorityOf(node) > this.#priorityOf(this.#parentOf(node))) {
+			this.#rotateUp(node)
+		}
+	}
+
+	/**
+	 * Removes `node` from the order-statistic tree.
+	 *
+	 * @param {number} node
+	 */
+	#removeTreeNode(node) {
+		// Rotate `node` down until it is a leaf.
+		for (let leftNode = this.#leftOf(node), rightNode = this.#rightOf(node); leftNode !== NIL || rightNode !== NIL; leftNode = this.#leftOf(node), rightNode = this.#rightOf(node)) {
+			const child = rightNode === NIL || (leftNode !== NIL && this.#priorityOf(leftNode) > this.#priorityOf(rightNode))
+				? leftNode
+				: rightNode
+			this.#rotateUp(child)
+		}
+
+		const parentNode = this.#parentOf(node)
+		if (parentNode === NIL) {
+			this.#rootNode = NIL
+		}
+		else if (this.#leftOf(parentNode) === node) {
+			this.#leftNodes[parentNode] = NIL
+		}
+		else {
+			this.#rightNodes[parentNode] = NIL
+		}
+
+		for (let ancestor = parentNode; ancestor !== NIL; ancestor = this.#parentOf(ancestor)) {
+			this.#subtreeSizes[ancestor] = this.#subtreeSizeOf(ancestor) - 1
+		}
+
+		this.#parentNodes[node] = NIL
+	}
+
+	/**
+	 * Rotates `node` up by one level in the order-statistic tree, preserving its in-order traversal.
+	 *
+	 * @param {number} node A node with a parent node.
+	 */
+	#rotateUp(node) {
+		const parentNode = this.#parentOf(node)
+		const grandparentNode = this.#parentOf(parentNode)
+
+		if (this.#leftOf(parentNode) === node) {
+			const rightNode = this.#rightOf(node)
+			this.#leftNodes[parentNode] = rightNode
+			if (rightNode !== NIL) {
+				this.#parentNodes[rightNode] = parentNode
+			}
+			this.#rightNodes[node] = parentNode
+		}
+		else {
+			const leftNode = this.#leftOf(node)
+			this.#rightNodes[parentNode] = leftNode
+			if (leftNode !== NIL) {
+				this.#parentNodes[leftNode] = parentNode
+			}
+			this.#leftNodes[node] = parentNode
+		}
+
+		this.#parentNodes[parentNode] = node
+		this.#parentNodes[node] = grandparentNode
+
+		if (grandparentNode === NIL) {
+			this.#rootNode = node
+		}
+		else if (this.#leftOf(grandparentNode) === parentNode) {
+			this.#leftNodes[grandparentNode] = node
+		}
+		else {
+			this.#rightNodes[grandparentNode] = node
+		}
+
+		this.#subtreeSizes[parentNode] = 1 + this.#subtreeSizeOf(this.#leftOf(parentNode)) + this.#subtreeSizeOf(this.#rightOf(parentNode))
+		this.#subtreeSizes[node] = 1 + this.#subtreeSizeOf(this.#leftOf(node)) + this.#subtreeSizeOf(this.#rightOf(node))
+	}
+
+	/**
+	 * Returns the node at position `index`.
+	 *
+	 * @param {number} index An integer between `0` and `this.size - 1`.
+	 * @returns {number} the node at position `index`.
+	 */
+	#getNodeAt(index) {
+		let node = this.#rootNode
+		let remaining = index
+
+		while (true) {
+			const leftSize = this.#subtreeSizeOf(this.#leftOf(node))
+
+			if (remaining < leftSize) {
+				node = this.#leftOf(node)
+			}
+			else if (remaining > leftSize) {
+				remaining -= leftSize + 1
+				node = this.#rightOf(node)
+			}
+			else {
+				return node
+			}
+		}
+	}
+
+	/**
+	 * Returns the position of `node`.
+	 *
+	 * @param {number} node
+	 * @returns {number} the position of `node`.
+	 */
+	#getIndexOfNode(node) {
+		let index = this.#subtreeSizeOf(this.#leftOf(node))
+
+		for (let child = node, parent = this.#parentOf(node); parent !== NIL; child = parent, parent = this.#parentOf(parent)) {
+			if (this.#rightOf(parent) === child) {
+				index += this.#subtreeSizeOf(this.#leftOf(parent)) + 1
+			}
+		}
+
+		return index
+	}
+
+	/**
+	 * Returns an object which is both an iterable and an iterator. It fulfills the requirements of the [iteration protocols][1] and also allowing reverse-iteration (not part of the mentioned protocols).
+	 *
+	 * - **Iterator requirements**: An object that implements a function `next`. This function returns an object with two properties: `value` and `done`.
+	 *
+	 * - **Iterable requirements**: An object that implements a function `[Symbol.iterator]()`. This function returns an iterator.
+	 *
+	 * - **Reverse-iterable requirements** (non-standard): An object that implements a function `reverseIterator`. This function returns an iterator with the special behavior of iterating in reverse insertion order. This is non-standard behavior.
+	 *
+	 * The iterator also inherits the helper methods of `iteratorHelpers` (e.g. `map()` and `filter()`).
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
+	 *
+	 * @param {(value: V) => [V, V] | V} getIteratorValue
+	 * @param {number} [startNode] Node to start iterating from
+	 * @returns {ReverseIterableIterator<any>} a reverse-iterable iterator
+	 */
+	#iterableIterator(getIteratorValue, startNode = NIL) {
+		// Store the set because inside the iterator methods, `this` will be bound to the iterator, not the `ReverseIterableSet` object.
+		const set = this
+		let generation = this.#generation
+		const state = {
+			// `currentNode` is the node returned last or, if `pending` is `true`, the node to return next.
+			currentNode: startNode,
+			pending: startNode !== NIL,
+			// Where to start in either direction if the start node is deleted.
+			startForwards: startNode,
+			startBackwards: startNode,
+			forwards: true,
+		}
+		let hasStartNode = startNode !== NIL
+		let done = false
+		const tracker = ReverseIterableSet.#createIteratorTracker(this, state)
+		/** @type {WeakRef<object> | null} */ let trackerRef = null
+
+		const iterator = Object.assign(Object.create(iteratorHelpers), {
+			reverseIterator() {
+				state.currentNode = hasStartNode ? state.startBackwards : NIL
+				state.pending = hasStartNode
+				state.forwards = false
+				done = false
+
+				// Return the iterable itself.
+				return this
+			},
+
+			[Symbol.iterator]() {
+				// Return the iterable itself.
+				return this
+			},
+
+			next() {
+				if (done) {
+					return {
+						value: undefined,
+						done: true,
+					}
+				}
+
+				const { currentNode, forwards } = state
+				let node
+				if (generation !== set.#generation) {
+					// The set was cleared in the meantime. Start over with the values added since.
+					node = forwards ? set.#firstNode : set.#lastNode
+					hasStartNode = false
+				}
+				else if (state.pending) {
+					node = currentNode
+				}
+				else if (currentNode !== NIL) {
+					node = forwards ? set.#nextOf(currentNode) : set.#prevOf(currentNode)
+				}
+				else {
+					node = forwards ? set.#firstNode : set.#lastNode
+				}
+
+				generation = set.#generation
+				state.currentNode = node
+				state.pending = false
+
+				if (node === NIL) {
+					done = true
+
+					if (trackerRef !== null && !hasStartNode) {
+						set.#unregisterTracker(trackerRef)
+						trackerRef = null
+					}
+
+					return {
+						value: undefined,
+						done: true,
+					}
+				}
+
+				if (trackerRef === null) {
+					trackerRef = set.#registerTracker(iterator, tracker)
+				}
+
+				return {
+					value: getIteratorValue(set.#valueOf(node)),
+					done: false,
+				}
+			},
+		})
+
+		// Iterators with a start node need to follow it from the start. Others are registered on the first call to `next()`.
+		if (hasStartNode) {
+			trackerRef = this.#registerTracker(iterator, tracker)
+		}
+
+		return iterator
+	}
+
+	/**
+	 * Creates the tracker of an iterator returned by `#iterableIterator()`. It is created outside of `#iterableIterator()` so that it doesn't keep the iterator alive (see `#registerTracker()`).
+	 *
+	 * @param {ReverseIterableSet<any>} set
+	 * @param {{ currentNode: number, pending: boolean, startForwards: number, startBackwards: number, forwards: boolean }} state The position of the iterator.
+	 * @returns {ReverseIterableSetNodeTracker}
+	 */
+	static #createIteratorTracker(set, state) {
+		return {
+			onDelete(node) {
+				// The iteration continues with the neighbor of a deleted node in the direction of the iteration. Values added after a deleted last node (or before a deleted first node when iterating in reverse) would be missed by waiting on that neighbor. They follow the opposite neighbor instead.
+				if (node === state.currentNode) {
+					const ahead = state.forwards ? set.#nextOf(node) : set.#prevOf(node)
+					if (ahead !== NIL) {
+						state.currentNode = ahead
+						state.pending = true
+					}
+					else {
+						state.currentNode = state.forwards ? set.#prevOf(node) : set.#nextOf(node)
+						state.pending = false
+					}
+				}
+
+				if (node === state.startForwards) {
+					state.startForwards = set.#nextOf(node)
+				}
+
+				if (node === state.startBackwards) {
+					state.startBackwards = set.#prevOf(node)
+				}
+			},
+		}
+	}
+
+	/**
+	 * Returns a cursor pointing at `startNode`. See `cursor()`.
+	 *
+	 * @param {number} startNode A node or `NIL` for the gap between the last and the first node.
+	 * @param {boolean} wrap
+	 * @returns {ReverseIterableSetCursor<V>}
+	 */
+	#cursor(startNode, wrap) {
+		// Store the set because inside the cursor methods, `this` will be bound to the cursor, not the `ReverseIterableSet` object.
+		const set = this
+		let generation = this.#generation
+		// If `currentNode` is `NIL`, the cursor points at the gap after `gapNode` (or before the first node if `gapNode` is `NIL`). Without `positioned`, it points at the gap between the last and the first node instead.
+		const state = {
+			currentNode: startNode,
+			gapNode: NIL,
+		}
+		let positioned = startNode !== NIL
+
+		/**
+		 * Lets the cursor point at the gap between the last and the first node if the set was cleared in the meantime.
+		 */
+		const update = () => {
+			if (generation !== set.#generation) {
+				generation = set.#generation
+				state.currentNode = NIL
+				state.gapNode = NIL
+				positioned = false
+			}
+		}
+
+		/**
+		 * @param {boolean} forwards
+		 * @returns {number} the node after (or before) the position of the cursor or `NIL` if there is none.
+		 */
+		const getAdjacentNode = (forwards) => {
+			update()
+
+			let node
+			if (state.currentNode !== NIL) {
+				node = forwards ? set.#nextOf(state.currentNode) : set.#prevOf(state.currentNode)
+			}
+			else if (!positioned) {
+				node = NIL
+			}
+			else if (forwards) {
+				node = state.gapNode !== NIL ? set.#nextOf(state.gapNode) : set.#firstNode
+			}
+			else {
+				node = state.gapNode
+			}
+
+			if (node === NIL && (wrap || !positioned)) {
+				node = forwards ? set.#firstNode : set.#lastNode
+			}
+
+			return node
+		}
+
+		/**
+		 * @param {boolean} forwards
+		 * @returns {V | undefined} the value the cursor was moved to or `undefined` if there is none.
+		 */
+		const move = (forwards) => {
+			const node = getAdjacentNode(forwards)
+
+			if (node === NIL) {
+				return undefined
+			}
+
+			state.currentNode = node
+			positioned = true
+
+			return set.#valueOf(node)
+		}
+
+		/**
+		 * @param {V} value
+		 * @param {boolean} before Whether `value` is inserted before the position of the cursor, i.e. where `prev()` finds it.
+		 * @param {string} methodName Name of the calling method used in the error message.
+		 */
+		const insert = (value, before, methodName) => {
+			set.#assertUnsorted(methodName)
+			update()
+
+			const key = set.#keyOf(value)
+
+			if (set.#setMap.has(key)) {
+				return
+			}
+
+			if (state.currentNode !== NIL) {
+				if (before) {
+					set.#insertNode(value, key, set.#prevOf(state.currentNode), state.currentNode)
+				}
+				else {
+					set.#insertNode(value, key, state.currentNode, set.#nextOf(state.currentNode))
+				}
+			}
+			else if (!positioned) {
+				if (before) {
+					set.#insertNode(value, key, set.#lastNode, NIL)
+				}
+				else {
+					set.#insertNode(value, key, NIL, set.#firstNode)
+				}
+			}
+			else {
+				const node = set.#insertNode(value, key, state.gapNode, state.gapNode !== NIL ? set.#nextOf(state.gapNode) : set.#firstNode)
+
+				// The gap stays after a value inserted before it unless the value was evicted right away.
+				if (before && set.#setMap.get(key) === node) {
+					state.gapNode = node
+				}
+			}
+		}
+
+		/** @type {ReverseIterableSetCursor<V>} */ const cursor = {
+			get value() {
+				update()
+
+				return set.#getValue(state.currentNode)
+			},
+
+			next() {
+				return move(true)
+			},
+
+			prev() {
+				return move(false)
+			},
+
+			peekNext() {
+				return set.#getValue(getAdjacentNode(true))
+			},
+
+			peekPrev() {
+				return set.#getValue(getAdjacentNode(false))
+			},
+
+			remove() {
+				update()
+
+				if (state.currentNode === NIL) {
+					return false
+				}
+
+				// The tracker lets the cursor point at the gap.
+				set.#deleteNode(state.currentNode)
+
+				return true
+			},
+
+			insertBefore(value) {
+				insert(value, true, 'insertBefore')
+
+				return this
+			},
+
+			insertAfter(value) {
+				insert(value, false, 'insertAfter')
+
+				return this
+			},
+		}
+		this.#registerTracker(cursor, ReverseIterableSet.#createCursorTracker(this, state))
+
+		return cursor
+	}
 
 	/**
-	 * The `values()` method returns a new [Iterator][1] object that contains the values in a `ReverseIterableSet` object in insertion order.
+	 * Creates the tracker of a cursor returned by `#cursor()`. See `#createIteratorTracker()`.
 	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
-	 *
-	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableSet` object.
+	 * @param {ReverseIterableSet<any>} set
+	 * @param {{ currentNode: number, gapNode: number }} state The position of the cursor.
+	 * @returns {ReverseIterableSetNodeTracker}
 	 */
-	values() {
-		const getIteratorValue = /** @type {(node: ReverseIterableSetNode<V>) => V} */ (node) => node.value
-
-		return this._iterableIterator(getIteratorValue)
+	static #createCursorTracker(set, state) {
+		return {
+			onDelete(node) {
+				if (node === state.currentNode) {
+					state.currentNode = NIL
+					state.gapNode = set.#prevOf(node)
+				}
+				else if (state.currentNode === NIL && node === state.gapNode) {
+					state.gapNode = set.#prevOf(node)
+				}
+			},
+		}
 	}
 
 	/**
-	 * The `iteratorFor()` method returns a new [Iterator][1] object that contains the `[value, value]` pairs for each element in a `ReverseIterableSet` object in insertion order **starting with the pair specified by the `value` parameter**.
+	 * Returns an async iterable iterator which yields the values from `startNode` (or the first node) onwards. When it runs out of values, `next()` waits for the next change which adds or moves a value.
 	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 * Like the iterators returned by `#iterableIterator()`, it continues after its current node even if that node has been deleted in the meantime. It starts over with the values added since if the set was cleared.
 	 *
-	 * @param {V} value The value to start iterating from.
-	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `ReverseIterableSet` object.
+	 * @param {number} startNode A node or `NIL` to start with the first node.
+	 * @param {ReverseIterableSetAsyncIteratorOptions} options
+	 * @param {string} methodName Name of the calling method used in the error message.
+	 * @returns {AsyncIterableIterator<V>}
 	 */
-	iteratorFor(value) {
-		let startNode = this._setMap.get(value)
-		const getIteratorValue = /** @type {(node: ReverseIterableSetNode<V>) => V} */ (node) => node.value
+	#asyncIterator(startNode, options, methodName) {
+		const { signal, consume = false } = options
+
+		if (signal !== undefined && !(signal instanceof AbortSignal)) {
+			throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The \`signal\` option must be an AbortSignal`)
+		}
+
+		// Store the set because inside the iterator methods, `this` will be bound to the iterator, not the `ReverseIterableSet` object.
+		const set = this
+		let generation = this.#generation
+		const state = {
+			// `currentNode` is the node yielded last or, if `pending` is `true`, the node to yield next. `NIL` without `pending` means starting with the first node.
+			currentNode: startNode,
+			pending: startNode !== NIL,
+		}
+		let done = false
+		/** @type {Set<() => void>} */ const wakeUps = new Set()
+
+		/**
+		 * @returns {number} the node to yield next or `NIL` if there is none yet.
+		 */
+		const getNextNode = () => {
+			if (generation !== set.#generation) {
+				return set.#firstNode
+			}
+
+			if (state.pending) {
+				return state.currentNode
+			}
+
+			return state.currentNode !== NIL ? set.#nextOf(state.currentNode) : set.#firstNode
+		}
 
-		return this._iterableIterator(getIteratorValue, startNode)
+		/**
+		 * Stops the iteration for good.
+		 */
+		const finish = () => {
+			done = true
+			set.#unregisterTracker(trackerRef)
+		}
+
+		/**
+		 * @returns {Promise<void>} a promise which is fulfilled on the next change adding or moving a value or when the iteration is stopped and which is rejected when `signal` is aborted.
+		 */
+		const waitForChange = () => new Promise((resolve, reject) => {
+			const stop = () => {
+				unsubscribe()
+				wakeUps.delete(stop)
+				signal?.removeEventListener('abort', abort)
+			}
+			const wakeUp = () => {
+				stop()
+				resolve()
+			}
+			const abort = () => {
+				finish()
+				stop()
+				reject(/** @type {AbortSignal} */ (signal).reason)
+			}
+			const unsubscribe = set.subscribe((change) => {
+				if (change.type !== 'delete') {
+					wakeUp()
+				}
+			})
+
+			wakeUps.add(wakeUp)
+			signal?.addEventListener('abort', abort)
+		})
+
+		/** @type {AsyncIterableIterator<V>} */ const iterator = {
+			[Symbol.asyncIterator]() {
+				// Return the iterable itself.
+				return this
+			},
+
+			async next() {
+				while (!done) {
+					if (signal?.aborted) {
+						finish()
+						throw signal.reason
+					}
+
+					const node = getNextNode()
+
+					if (node !== NIL) {
+						generation = set.#generation
+						state.currentNode = node
+						state.pending = false
+						const value = set.#valueOf(node)
+
+						if (consume) {
+							set.#deleteNode(node)
+						}
+
+						return {
+							value,
+							done: false,
+						}
+					}
+
+					await waitForChange()
+				}
+
+				return {
+					value: undefined,
+					done: true,
+				}
+			},
+
+			async return() {
+				finish()
+
+				// Lets pending calls to `next()` finish.
+				for (const wakeUp of [...wakeUps]) {
+					wakeUp()
+				}
+
+				return {
+					value: undefined,
+					done: true,
+				}
+			},
+		}
+		const trackerRef = this.#registerTracker(iterator, ReverseIterableSet.#createAsyncIteratorTracker(this, state))
+
+		return iterator
 	}
 
 	/**
-	 * Returns an object which is both an iterable and an iterator. It fulfills the requirements of the [iteration protocols][1] and also allowing reverse-iteration (not part of the mentioned protocols).
+	 * Creates the tracker of an async iterator returned by `#asyncIterator()`. See `#createIteratorTracker()`.
 	 *
-	 * - **Iterator requirements**: An object that implements a function `next`. This function returns an object with two properties: `value` and `done`.
-	 *
-	 * - **Iterable requirements**: An object that implements a function `[Symbol.iterator]()`. This function returns an iterator.
-	 *
-	 * - **Reverse-iterable requirements** (non-standard): An object that implements a function `reverseIterator`. This function returns an iterator with the special behavior of iterating in reverse insertion order. This is non-standard behavior.
+	 * @param {ReverseIterableSet<any>} set
+	 * @param {{ currentNode: number, pending: boolean }} state The position of the iterator.
+	 * @returns {ReverseIterableSetNodeTracker}
+	 */
+	static #createAsyncIteratorTracker(set, state) {
+		return {
+			onDelete(node) {
+				if (node !== state.currentNode) {
+					return
+				}
+
+				// Values added after a deleted last node would be missed by waiting on its next node. They follow its previous node instead.
+				if (set.#nextOf(node) !== NIL) {
+					state.currentNode = set.#nextOf(node)
+					state.pending = true
+				}
+				else {
+					state.currentNode = set.#prevOf(node)
+					state.pending = false
+				}
+			},
+		}
+	}
+
+	/**
+	 * Returns the node for a bound of a range.
 	 *
-	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
+	 * @param {V | KeyLookup} value
+	 * @param {'throw' | 'empty'} ifMissing
+	 * @param {string} methodName Name of the calling method used in the error message.
+	 * @returns {number} the node for `value` or `NIL` if `value` doesn't exist in the `ReverseIterableSet` object and `ifMissing` is `'empty'`.
+	 * @throws {RangeError} if `value` doesn't exist in the `ReverseIterableSet` object and `ifMissing` is `'throw'`.
+	 */
+	#getRangeBound(value, ifMissing, methodName) {
+		if (ifMissing !== 'throw' && ifMissing !== 'empty') {
+			throw new RangeError(`ReverseIterableSet.prototype.${methodName}: The \`ifMissing\` option must be "throw" or "empty"`)
+		}
+
+		return ifMissing === 'throw' ? this.#getNode(value, methodName) : this.#findNode(value)
+	}
+
+	/**
+	 * Returns a reverse-iterable iterator for the values between the nodes `fromNode` and `toNode`. Which bound comes first is determined when the iteration starts. Each value is checked against the current positions of the bounds, so the iteration also ends when a bound is moved past the current value. If a bound is `NIL`, the iterator is empty.
 	 *
-	 * @param {(node: ReverseIterableSetNode<V>) => [V, V] | V} getIteratorValue
-	 * @param {ReverseIterableSetNode<V>} [startNode] Node to start iterating from
+	 * @param {(value: V) => [V, V] | V} getIteratorValue
+	 * @param {number} fromNode
+	 * @param {number} toNode
+	 * @param {boolean} inclusive
+	 * @param {'forward' | 'reverse'} direction
+	 * @param {string} methodName Name of the calling method used in the error message.
 	 * @returns {ReverseIterableIterator<any>} a reverse-iterable iterator
 	 */
-	_iterableIterator(getIteratorValue, startNode) {
-		// Store the this.last node because inside the `reverseIterator()` method, `this` will be
-		// bound to the `iterableIterator` method, not the `ReverseIterableSet` object.
-		const lastNode = this._lastNode
-		let currentNode = startNode !== undefined ? startNode : this._firstNode
-		let forwards = true
+	#rangeIterator(getIteratorValue, fromNode, toNode, inclusive, direction, methodName) {
+		if (direction !== 'forward' && direction !== 'reverse') {
+			throw new RangeError(`ReverseIterableSet.prototype.${methodName}: The \`direction\` option must be "forward" or "reverse"`)
+		}
 
-		return {
+		// Store the set because inside the iterator methods, `this` will be bound to the iterator, not the `ReverseIterableSet` object.
+		const set = this
+		const generation = this.#generation
+		let lowNode = NIL
+		let highNode = NIL
+		const state = {
+			// `currentNode` is the node returned last or, if `pending` is `true`, the node to return next.
+			currentNode: NIL,
+			pending: false,
+			boundDeleted: fromNode === NIL || toNode === NIL,
+			forwards: direction === 'forward',
+		}
+		let started = false
+		let done = state.boundDeleted
+		/** @type {WeakRef<object> | null} */ let trackerRef = null
+
+		const iterator = Object.assign(Object.create(iteratorHelpers), {
 			reverseIterator() {
-				currentNode = startNode !== undefined ? startNode : lastNode
-				forwards = false
+				// The start node is determined lazily on the first call to `next()`.
+				state.currentNode = NIL
+				state.pending = false
+				started = false
+				done = state.boundDeleted
+				state.forwards = !state.forwards
 
 				// Return the iterable itself.
 				return this
@@ -311,18 +3714,391 @@ export default class ReverseIterableSet {
 			},
 
 			next() {
-				let value
+				if (done || state.boundDeleted || generation !== set.#generation) {
+					done = true
+
+					// The iterator can't be restarted once a bound is gone.
+					if (trackerRef !== null && (state.boundDeleted || generation !== set.#generation)) {
+						set.#unregisterTracker(trackerRef)
+						trackerRef = null
+						state.boundDeleted = true
+					}
+
+					return {
+						value: undefined,
+						done: true,
+					}
+				}
+
+				let node
+				if (!started) {
+					const fromIsLow = set.#getIndexOfNode(fromNode) <= set.#getIndexOfNode(toNode)
+					lowNode = fromIsLow ? fromNode : toNode
+					highNode = fromIsLow ? toNode : fromNode
+					node = state.forwards ? lowNode : highNode
+
+					if (!inclusive) {
+						node = state.forwards ? set.#nextOf(node) : set.#prevOf(node)
+					}
+				}
+				else if (state.pending) {
+					node = state.currentNode
+				}
+				else {
+					node = state.currentNode !== NIL ? (state.forwards ? set.#nextOf(state.currentNode) : set.#prevOf(state.currentNode)) : NIL
+				}
+
+				started = true
+				state.currentNode = node
+				state.pending = false
 
-				if (currentNode) {
-					value = getIteratorValue(currentNode)
-					currentNode = forwards ? currentNode.nextNode : currentNode.prevNode
+				if (node === NIL || !set.#isNodeInRange(node, lowNode, highNode, inclusive)) {
+					done = true
+
+					return {
+						value: undefined,
+						done: true,
+					}
 				}
 
 				return {
-					value: value,
-					done: value === undefined,
+					value: getIteratorValue(set.#valueOf(node)),
+					done: false,
+				}
+			},
+		})
+
+		if (!done) {
+			trackerRef = this.#registerTracker(iterator, ReverseIterableSet.#createRangeIteratorTracker(this, state, fromNode, toNode))
+		}
+
+		return iterator
+	}
+
+	/**
+	 * Creates the tracker of an iterator returned by `#rangeIterator()`. See `#createIteratorTracker()`.
+	 *
+	 * @param {ReverseIterableSet<any>} set
+	 * @param {{ currentNode: number, pending: boolean, boundDeleted: boolean, forwards: boolean }} state The position of the iterator.
+	 * @param {number} fromNode
+	 * @param {number} toNode
+	 * @returns {ReverseIterableSetNodeTracker}
+	 */
+	static #createRangeIteratorTracker(set, state, fromNode, toNode) {
+		return {
+			onDelete(node) {
+				if (node === fromNode || node === toNode) {
+					state.boundDeleted = true
+				}
+
+				// The iteration continues with the neighbor of a deleted node in the direction of the iteration. Values added after a deleted last node (or before a deleted first node when iterating in reverse) would be missed by waiting on that neighbor. They follow the opposite neighbor instead.
+				if (node === state.currentNode) {
+					const ahead = state.forwards ? set.#nextOf(node) : set.#prevOf(node)
+					if (ahead !== NIL) {
+						state.currentNode = ahead
+						state.pending = true
+					}
+					else {
+						state.currentNode = state.forwards ? set.#prevOf(node) : set.#nextOf(node)
+						state.pending = false
+					}
 				}
 			},
 		}
 	}
+
+	/**
+	 * @param {number} node
+	 * @param {number} lowNode
+	 * @param {number} highNode
+	 * @param {boolean} inclusive
+	 * @returns {boolean} whether `node` is positioned between `lowNode` and `highNode`.
+	 */
+	#isNodeInRange(node, lowNode, highNode, inclusive) {
+		const index = this.#getIndexOfNode(node)
+		const lowIndex = this.#getIndexOfNode(lowNode)
+		const highIndex = this.#getIndexOfNode(highNode)
+
+		return inclusive ? lowIndex <= index && index <= highIndex : lowIndex < index && index < highIndex
+	}
+}
+
+/**
+ * A key lookup created with `ReverseIterableSet.byKey()`.
+ */
+class KeyLookup {
+	/**
+	 * @param {unknown} key
+	 */
+	constructor(key) {
+		this.key = key
+	}
+}
+
+/**
+ * Type handlers used by `ReverseIterableSet.createJSONCodec()` for values which JSON can't represent.
+ *
+ * @type {JSONTypeHandler<any>[]}
+ */
+const builtInJSONTypes = [
+	{
+		name: 'undefined',
+		test: (value) => value === undefined,
+		encode: () => null,
+		decode: () => undefined,
+	},
+	{
+		name: 'Number',
+		test: (value) => typeof value === 'number' && (!Number.isFinite(value) || Object.is(value, -0)),
+		encode: (value) => Object.is(value, -0) ? '-0' : String(value),
+		decode: (data) => Number(data),
+	},
+	{
+		name: 'BigInt',
+		test: (value) => typeof value === 'bigint',
+		encode: (value) => value.toString(),
+		decode: (data) => BigInt(data),
+	},
+	{
+		name: 'Date',
+		test: (value) => value instanceof Date,
+		encode: (value) => value.getTime(),
+		decode: (data) => new Date(data),
+	},
+	{
+		name: 'ReverseIterableSet',
+		test: (value) => ReverseIterableSet.isReverseIterableSet(value),
+		encode: (value, codec) => value.toJSON({ codec }),
+		decode: (data, codec) => ReverseIterableSet.fromJSON(data, { codec }),
+	},
+]
+
+/**
+ * Finds a longest strictly increasing subsequence of `sequence` in `O(n log n)` time.
+ *
+ * @param {number[]} sequence
+ * @returns {number[]} the elements of the subsequence.
+ */
+function getLongestIncreasingSubsequence(sequence) {
+	// `tails[length - 1]` is the position of the smallest element which ends an increasing subsequence with `length` elements.
+	/** @type {number[]} */ const tails = []
+	/** @type {number[]} */ const predecessors = []
+
+	sequence.forEach((element, position) => {
+		let low = 0
+		let high = tails.length
+
+		while (low < high) {
+			const middle = (low + high) >>> 1
+
+			if (/** @type {number} */ (sequence[/** @type {number} */ (tails[middle])]) < element) {
+				low = middle + 1
+			}
+			else {
+				high = middle
+			}
+		}
+
+		predecessors[position] = low > 0 ? /** @type {number} */ (tails[low - 1]) : -1
+		tails[low] = position
+	})
+
+	/** @type {number[]} */ const subsequence = []
+	for (let position = tails.at(-1) ?? -1; position !== -1; position = /** @type {number} */ (predecessors[position])) {
+		subsequence.push(/** @type {number} */ (sequence[position]))
+	}
+
+	return subsequence.reverse()
+}
+
+/**
+ * The default comparison function of `ReverseIterableSet.prototype.sort()`. Like the one of `Array.prototype.sort()`, it compares the string representations of the values and sorts `undefined` to the end.
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {number}
+ */
+function compareAsStrings(a, b) {
+	if (a === undefined || b === undefined) {
+		return Number(a === undefined) - Number(b === undefined)
+	}
+
+	const stringA = String(a)
+	const stringB = String(b)
+
+	return stringA < stringB ? -1 : stringA > stringB ? 1 : 0
+}
+
+/**
+ * @template {Int32Array | Uint32Array} T
+ * @param {T} array
+ * @param {number} length
+ * @returns {T} a copy of `array` with the new length `length`.
+ */
+function growTypedArray(array, length) {
+	const result = /** @type {T} */ (new /** @type {any} */ (array.constructor)(length))
+	result.set(array)
+
+	return result
+}
+
+/**
+ * @param {string} message
+ * @returns {Error} an error reported by `ReverseIterableSet.prototype.validate()`.
+ */
+function createValidationError(message) {
+	return new Error(`ReverseIterableSet.prototype.validate: ${message}`)
+}
+
+/**
+ * Formats `value` for `ReverseIterableSet.prototype.toString()`. Strings are quoted and bigints get their suffix to tell them apart from other values.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatValue(value) {
+	switch (typeof value) {
+		case 'string':
+			return value.includes('\'') ? JSON.stringify(value) : `'${value}'`
+		case 'bigint':
+			return `${value}n`
+		case 'symbol':
+			return value.toString()
+		case 'object':
+			// Objects without a prototype can't be converted with `String()`.
+			return value !== null && !('toString' in value) ? Object.prototype.toString.call(value) : String(value)
+		default:
+			return String(value)
+	}
+}
+
+/**
+ * Converts `index` to an integer the same way `Array.prototype.at()` and `Array.prototype.slice()` do and resolves negative values relative to `size`.
+ *
+ * @param {number | undefined} index
+ * @param {number} size
+ * @param {number} defaultIndex The index to use if `index` is `undefined`.
+ * @returns {number} the resolved index (not clamped to `size`).
+ */
+function toRelativeIndex(index, size, defaultIndex) {
+	if (index === undefined) {
+		return defaultIndex
+	}
+
+	const integer = Math.trunc(Number(index)) || 0
+
+	return integer < 0 ? size + integer : integer
+}
+
+/**
+ * Determines the constructor for a new set derived from `set` the same way the built-in methods of arrays and typed arrays do (see [SpeciesConstructor][1]).
+ *
+ * [1]: https://tc39.es/ecma262/#sec-speciesconstructor
+ *
+ * @param {ReverseIterableSet<any>} set
+ * @returns {new (iterable?: Iterable<any>, options?: ReverseIterableSetOptions<any>) => ReverseIterableSet<any>}
+ * @throws {TypeError} if `set.constructor` or its `[Symbol.species]` property is invalid.
+ */
+function getSpeciesConstructor(set) {
+	const constructor = set.constructor
+
+	if (constructor === undefined) {
+		return ReverseIterableSet
+	}
+
+	if (constructor === null || (typeof constructor !== 'object' && typeof constructor !== 'function')) {
+		throw new TypeError('The `constructor` property of the set must be an object')
+	}
+
+	const species = /** @type {any} */ (constructor)[Symbol.species]
+
+	if (species === undefined || species === null) {
+		return ReverseIterableSet
+	}
+
+	if (typeof species !== 'function') {
+		throw new TypeError('The `[Symbol.species]` property of the constructor of the set must be a constructor')
+	}
+
+	return species
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} context The name of the calling function or method used in the error message.
+ * @throws {TypeError} if `value` isn't iterable.
+ */
+function assertIterable(value, context) {
+	if (value === null || value === undefined || typeof (/** @type {any} */ (value))[Symbol.iterator] !== 'function') {
+		throw new TypeError(`${context}: The argument must be iterable`)
+	}
+}
+
+/**
+ * Validates a set-like object the same way the built-in set composition methods do (see [GetSetRecord][1]) and returns a record with its size and bound `has`/`keys` functions.
+ *
+ * [1]: https://tc39.es/ecma262/#sec-getsetrecord
+ *
+ * @template U
+ * @param {ReadonlySetLike<U>} other
+ * @param {string} methodName Name of the calling method used in the error messages.
+ * @returns {{ size: number, has: (value: unknown) => boolean, keys: () => Iterable<U> }}
+ */
+function getSetRecord(other, methodName) {
+	if (other === null || (typeof other !== 'object' && typeof other !== 'function')) {
+		throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The argument must be a set-like object`)
+	}
+
+	const rawSize = Number(other.size)
+	if (Number.isNaN(rawSize)) {
+		throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The argument must have a numeric \`size\` property`)
+	}
+
+	const size = Math.trunc(rawSize)
+	if (size < 0) {
+		throw new RangeError(`ReverseIterableSet.prototype.${methodName}: The argument must have a non-negative \`size\` property`)
+	}
+
+	const has = other.has
+	if (typeof has !== 'function') {
+		throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The argument must have a callable \`has\` method`)
+	}
+
+	const keys = other.keys
+	if (typeof keys !== 'function') {
+		throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The argument must have a callable \`keys\` method`)
+	}
+
+	return {
+		size,
+		has: (value) => Boolean(has.call(other, /** @type {U} */ (value))),
+		keys: () => ({
+			[Symbol.iterator]() {
+				const iterator = keys.call(other)
+
+				if (iterator === null || typeof iterator !== 'object') {
+					throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The \`keys\` method of the argument must return an iterator object`)
+				}
+
+				return {
+					next: () => {
+						const result = iterator.next()
+
+						if (result === null || typeof result !== 'object') {
+							throw new TypeError(`ReverseIterableSet.prototype.${methodName}: The iterator returned by \`keys\` must produce result objects`)
+						}
+
+						return result
+					},
+					return: () => {
+						if (typeof iterator.return === 'function') {
+							iterator.return()
+						}
+
+						return { done: true, value: undefined }
+					},
+				}
+			},
+		}),
+	}
 }
@@ -1,6 +1,7 @@
 import { describe, expect, test } from 'vitest'
 
 import ReverseIterableSet from './reverse-iterable-set.js'
+import { collectGarbage } from './test-helpers.js'
 
 describe('ReverseIterableSet', () => {
 	test('Construct set without argument', () => {
@@ -43,6 +44,366 @@ describe('ReverseIterableSet', () => {
 		expect(set.size).toBe(3)
 	})
 
+	test('Construct set with null', () => {
+		const set = new ReverseIterableSet(null)
+
+		expect(set.size).toBe(0)
+	})
+
+	test('Construct set with invalid options', () => {
+		expect(() => new ReverseIterableSet([], { maxSize: 0 })).toThrow(RangeError)
+		expect(() => new ReverseIterableSet([], { maxSize: 1.5 })).toThrow(RangeError)
+		expect(() => new ReverseIterableSet([], { eviction: /** @type {any} */ ('lifo') })).toThrow(RangeError)
+		expect(() => new ReverseIterableSet([], { onEvict: /** @type {any} */ ('log') })).toThrow(TypeError)
+			expect(() => new ReverseIterableSet([], { key: /** @type {any} */ ('id') })).toThrow(TypeError)
+		expect(() => new ReverseIterableSet([], { compare: /** @type {any} */ ('asc') })).toThrow(TypeError)
+		expect(() => new ReverseIterableSet([], { compare: (a, b) => a - b, eviction: 'lru' })).toThrow(RangeError)
+	})
+
+	test('Construct set with a non-iterable argument', () => {
+		expect(() => new ReverseIterableSet(/** @type {any} */ (42))).toThrow('ReverseIterableSet: The argument must be iterable')
+		expect(() => new ReverseIterableSet(/** @type {any} */ ({}))).toThrow(TypeError)
+		expect(() => ReverseIterableSet.from(/** @type {any} */ (42))).toThrow(TypeError)
+		expect(() => new ReverseIterableSet().addAll(/** @type {any} */ (42))).toThrow(TypeError)
+		expect(() => new ReverseIterableSet().addAllFirst(/** @type {any} */ (undefined))).toThrow(TypeError)
+		expect(() => new ReverseIterableSet().deleteAll(/** @type {any} */ (null))).toThrow(TypeError)
+		expect(() => new ReverseIterableSet().retainAll(/** @type {any} */ (42))).toThrow(TypeError)
+		expect(() => new ReverseIterableSet().replaceRange(0, 0, /** @type {any} */ (42))).toThrow(TypeError)
+	})
+
+	test('ReverseIterableSet.isReverseIterableSet()', () => {
+		/** @extends {ReverseIterableSet<unknown>} */
+		class SubclassedSet extends ReverseIterableSet {}
+
+		expect(ReverseIterableSet.isReverseIterableSet(new ReverseIterableSet())).toBe(true)
+		expect(ReverseIterableSet.isReverseIterableSet(new SubclassedSet())).toBe(true)
+		expect(ReverseIterableSet.isReverseIterableSet(new Set())).toBe(false)
+		expect(ReverseIterableSet.isReverseIterableSet(Object.create(ReverseIterableSet.prototype))).toBe(false)
+		expect(ReverseIterableSet.isReverseIterableSet(ReverseIterableSet)).toBe(false)
+		expect(ReverseIterableSet.isReverseIterableSet(null)).toBe(false)
+		expect(ReverseIterableSet.isReverseIterableSet('set')).toBe(false)
+
+		const disguisedSet = Object.setPrototypeOf(new ReverseIterableSet(), Set.prototype)
+		expect(ReverseIterableSet.isReverseIterableSet(disguisedSet)).toBe(true)
+	})
+
+	test('Methods throw a TypeError for incompatible receivers', () => {
+		const prototype = /** @type {any} */ (ReverseIterableSet.prototype)
+		const receivers = [{}, new Set([1]), Object.create(ReverseIterableSet.prototype), null, undefined]
+
+		for (const key of Reflect.ownKeys(prototype)) {
+			const descriptor = /** @type {PropertyDescriptor} */ (Object.getOwnPropertyDescriptor(prototype, key))
+			const method = descriptor.get ?? descriptor.value
+
+			if (key === 'constructor' || key === Symbol.toStringTag) {
+				continue
+			}
+
+			for (const receiver of receivers) {
+				expect(() => method.call(receiver, 1), String(key)).toThrow(TypeError)
+			}
+		}
+
+		expect(() => prototype.add.call({}, 1)).toThrow('ReverseIterableSet.prototype.add: The method must be called on a ReverseIterableSet object')
+		expect(() => prototype.has.call(new Set([1]), 1)).toThrow('ReverseIterableSet.prototype.has: The method must be called on a ReverseIterableSet object')
+		expect(() => Object.create(ReverseIterableSet.prototype).size).toThrow('ReverseIterableSet.prototype.size: The method must be called on a ReverseIterableSet object')
+	})
+
+	test('Internal state is private', () => {
+		const set = new ReverseIterableSet(['a', 'b'])
+
+		expect(Reflect.ownKeys(set)).toEqual([])
+		expect(Object.keys(Object.getOwnPropertyDescriptors(ReverseIterableSet.prototype)).filter((key) => key.startsWith('_'))).toEqual([])
+	})
+
+	test('Bounded set evicts from the start in FIFO mode', () => {
+		/** @type {number[]} */ const evicted = []
+		const set = new ReverseIterableSet([1, 2, 3], {
+			maxSize: 3,
+			onEvict: (value) => evicted.push(value),
+		})
+
+		set.add(4).add(5)
+		expect([...set]).toEqual([3, 4, 5])
+		expect(evicted).toEqual([1, 2])
+
+		expect(set.has(3)).toBe(true)
+		set.add(3).add(6)
+		expect([...set]).toEqual([4, 5, 6])
+		expect(evicted).toEqual([1, 2, 3])
+	})
+
+	test('Bounded set evicts from the end when adding to the start', () => {
+		/** @type {string[]} */ const evicted = []
+		const set = new ReverseIterableSet(['a', 'b'], {
+			maxSize: 2,
+			onEvict: (value) => evicted.push(value),
+		})
+
+		set.addFirst('z')
+		expect([...set]).toEqual(['z', 'a'])
+
+		set.insertBefore('z', 'y')
+		expect([...set]).toEqual(['y', 'z'])
+
+		set.insertAfter('y', 'x')
+		expect([...set]).toEqual(['x', 'z'])
+		expect(evicted).toEqual(['b', 'a', 'y'])
+	})
+
+	test('Bounded set evicts while constructing', () => {
+		/** @type {number[]} */ const evicted = []
+		const set = new ReverseIterableSet([1, 2, 3, 4], {
+			maxSize: 2,
+			onEvict: (value) => evicted.push(value),
+		})
+
+		expect([...set]).toEqual([3, 4])
+		expect(evicted).toEqual([1, 2])
+	})
+
+	test('Bounded set stays within its maximum size if a listener or onEvict throws', () => {
+		const set = new ReverseIterableSet(['a', 'b'], { maxSize: 2 })
+		set.subscribe((change) => {
+			if (change.type === 'add') {
+				throw new Error('listener')
+			}
+		})
+
+		expect(() => set.add('c')).toThrow('listener')
+		expect([...set]).toEqual(['b', 'c'])
+		expect(() => set.validate()).not.toThrow()
+
+		/** @type {string[]} */ const evicted = []
+		const throwingSet = new ReverseIterableSet(['a', 'b'], {
+			maxSize: 2,
+			onEvict: (value) => {
+				evicted.push(value)
+				throw new Error('onEvict')
+			},
+		})
+		throwingSet.subscribe((change) => {
+			if (change.type === 'delete') {
+				throw new Error('delete listener')
+			}
+		})
+
+		expect(() => throwingSet.add('c')).toThrow('delete listener')
+		expect(evicted).toEqual(['a'])
+		expect([...throwingSet]).toEqual(['b', 'c'])
+		expect(() => throwingSet.validate()).not.toThrow()
+	})
+
+	test('Bounded set in LRU mode', () => {
+		/** @type {string[]} */ const evicted = []
+		const set = new ReverseIterableSet(['a', 'b', 'c'], {
+			maxSize: 3,
+			eviction: 'lru',
+			onEvict: (value) => evicted.push(value),
+		})
+
+		expect(set.has('a')).toBe(true)
+		expect([...set]).toEqual(['b', 'c', 'a'])
+
+		set.add('b')
+		expect([...set]).toEqual(['c', 'a', 'b'])
+
+		expect(set.has('x')).toBe(false)
+		set.add('d')
+		expect([...set]).toEqual(['a', 'b', 'd'])
+		expect(evicted).toEqual(['c'])
+	})
+
+	test('Unbounded set in LRU mode', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'], { eviction: 'lru' })
+
+		set.has('a')
+		set.add('b')
+		expect([...set]).toEqual(['c', 'a', 'b'])
+	})
+
+	test('Set composition methods don\'t touch values in LRU mode', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'], { eviction: 'lru' })
+
+		expect(set.isSupersetOf(new Set(['a']))).toBe(true)
+		expect(set.isDisjointFrom(new Set(['a', 'x', 'y', 'z']))).toBe(false)
+		expect([...set.symmetricDifference(new Set(['a']))]).toEqual(['b', 'c'])
+		expect([...set]).toEqual(['a', 'b', 'c'])
+	})
+
+	test('Set with key function', () => {
+		const alice = { id: 1, name: 'Alice' }
+		const set = new ReverseIterableSet([alice, { id: 2, name: 'Bob' }], { key: (user) => user.id })
+
+		set.add({ id: 1, name: 'Alicia' })
+		expect(set.size).toBe(2)
+		expect(set.has({ id: 1, name: 'Alicia' })).toBe(true)
+		expect(set.get({ id: 1, name: 'Alicia' })).toBe(alice)
+		expect(set.has(ReverseIterableSet.byKey(2))).toBe(true)
+		expect(set.get(ReverseIterableSet.byKey(2))?.name).toBe('Bob')
+		expect(set.has(ReverseIterableSet.byKey(3))).toBe(false)
+		expect(set.get(ReverseIterableSet.byKey(3))).toBe(undefined)
+
+		set.addFirst({ id: 2, name: 'Robert' })
+		set.insertBefore(ReverseIterableSet.byKey(1), { id: 3, name: 'Carol' })
+		expect([...set].map((user) => user.name)).toEqual(['Carol', 'Alice', 'Bob'])
+	})
+
+	test('Set with key function accepts key lookups in positional methods', () => {
+		const set = new ReverseIterableSet([{ id: 1 }, { id: 2 }, { id: 3 }], { key: (item) => item.id })
+		const byKey = ReverseIterableSet.byKey
+
+		expect(set.indexOf(byKey(3))).toBe(2)
+		expect(set.next(byKey(1))).toEqual({ id: 2 })
+		expect(set.prev(byKey(1))).toBe(undefined)
+		expect([...set.iteratorFor(byKey(2))]).toEqual([{ id: 2 }, { id: 3 }])
+
+		set.moveToFront(byKey(3))
+		set.moveAfter(byKey(2), byKey(1))
+		expect([...set].map((item) => item.id)).toEqual([3, 2, 1])
+
+		expect(set.delete(byKey(2))).toBe(true)
+		expect(set.delete(byKey(2))).toBe(false)
+		expect(set.delete({ id: 1 })).toBe(true)
+		expect([...set]).toEqual([{ id: 3 }])
+		expect(() => set.moveToBack(byKey(4))).toThrow(RangeError)
+	})
+
+	test('Set without key function treats key lookups as lookups', () => {
+		const set = new ReverseIterableSet(['a', 'b'])
+
+		expect(set.has(ReverseIterableSet.byKey('a'))).toBe(true)
+		expect(set.get('b')).toBe('b')
+		expect(set.get('c')).toBe(undefined)
+	})
+
+	test('Derived sets inherit the key function', () => {
+		const key = (/** @type {{ id: number }} */ item) => item.id
+		const set = new ReverseIterableSet([{ id: 1 }, { id: 2 }], { key })
+
+		expect([...set.union(new Set([{ id: 2 }, { id: 3 }]))]).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }])
+		expect([...set.intersection(new ReverseIterableSet([{ id: 2 }], { key }))]).toEqual([{ id: 2 }])
+		expect(set.isSupersetOf(new Set([{ id: 1 }]))).toBe(true)
+
+		const slice = set.slice(0, 1)
+		slice.add({ id: 1 })
+		expect(slice.size).toBe(1)
+	})
+
+	test('Set with key function keeps evicting and notifying by node', () => {
+		/** @type {string[]} */ const evicted = []
+		const set = new ReverseIterableSet(['a1', 'b1'], { key: (value) => value[0], maxSize: 2, onEvict: (value) => evicted.push(value) })
+
+		set.add('c1')
+		expect(evicted).toEqual(['a1'])
+		expect(set.shift()).toBe('b1')
+		expect(set.pop()).toBe('c1')
+		expect(set.size).toBe(0)
+	})
+
+	test('Sorted set', () => {
+		const set = new ReverseIterableSet([5, 1, 4, 1, 3], { compare: (a, b) => a - b })
+
+		expect([...set]).toEqual([1, 3, 4, 5])
+		set.add(2).add(6).add(0)
+		expect([...set]).toEqual([0, 1, 2, 3, 4, 5, 6])
+		expect([...set.reverseIterator()]).toEqual([6, 5, 4, 3, 2, 1, 0])
+		expect(set.at(2)).toBe(2)
+		expect(set.indexOf(5)).toBe(5)
+	})
+
+	test('Sorted set keeps values comparing as equal in insertion order', () => {
+		const set = new ReverseIterableSet([
+			{ time: 2, name: 'b' },
+			{ time: 1, name: 'a' },
+			{ time: 2, name: 'c' },
+			{ time: 1, name: 'd' },
+		], { compare: (a, b) => a.time - b.time })
+
+		expect([...set].map((event) => event.name)).toEqual(['a', 'd', 'b', 'c'])
+	})
+
+	test('Sorted set rejects positional methods', () => {
+		const set = new ReverseIterableSet([1, 2, 3], { compare: (a, b) => a - b })
+
+		expect(() => set.addFirst(0)).toThrow(TypeError)
+		expect(() => set.insertBefore(2, 0)).toThrow(TypeError)
+		expect(() => set.insertAfter(2, 0)).toThrow(TypeError)
+		expect(() => set.moveBefore(1, 3)).toThrow(TypeError)
+		expect(() => set.moveAfter(3, 1)).toThrow(TypeError)
+		expect(() => set.moveToFront(3)).toThrow(TypeError)
+		expect(() => set.moveToBack(1)).toThrow(TypeError)
+		expect(() => set.sort()).toThrow(TypeError)
+		expect(() => set.reverse()).toThrow(TypeError)
+		expect(() => set.rotate(1)).toThrow(TypeError)
+		expect(() => set.shuffle()).toThrow(TypeError)
+		expect([...set]).toEqual([1, 2, 3])
+	})
+
+	test('Bounded sorted set', () => {
+		const set = new ReverseIterableSet([3, 1, 2], { compare: (a, b) => a - b, maxSize: 3 })
+
+		set.add(4)
+		expect([...set]).toEqual([2, 3, 4])
+		set.add(0)
+		expect([...set]).toEqual([0, 2, 3])
+	})
+
+	test('Derived sets inherit the comparison function', () => {
+		const set = new ReverseIterableSet([1, 3, 5], { compare: (a, b) => a - b })
+
+		expect([...set.union(new Set([4, 2]))]).toEqual([1, 2, 3, 4, 5])
+		expect([...set.slice(1).add(4)]).toEqual([3, 4, 5])
+	})
+
+	test('set.floor()/set.ceiling()/set.lower()/set.higher()', () => {
+		const set = new ReverseIterableSet([10, 20, 30], { compare: (a, b) => a - b })
+
+		expect(set.floor(20)).toBe(20)
+		expect(set.floor(25)).toBe(20)
+		expect(set.floor(5)).toBe(undefined)
+		expect(set.floor(35)).toBe(30)
+		expect(set.ceiling(20)).toBe(20)
+		expect(set.ceiling(15)).toBe(20)
+		expect(set.ceiling(35)).toBe(undefined)
+		expect(set.lower(20)).toBe(10)
+		expect(set.lower(10)).toBe(undefined)
+		expect(set.lower(35)).toBe(30)
+		expect(set.higher(20)).toBe(30)
+		expect(set.higher(30)).toBe(undefined)
+		expect(set.higher(5)).toBe(10)
+
+		const unsortedSet = new ReverseIterableSet([1])
+		expect(() => unsortedSet.floor(1)).toThrow(TypeError)
+		expect(() => unsortedSet.ceiling(1)).toThrow(TypeError)
+		expect(() => unsortedSet.lower(1)).toThrow(TypeError)
+		expect(() => unsortedSet.higher(1)).toThrow(TypeError)
+		expect(() => unsortedSet.between(1, 2)).toThrow(TypeError)
+	})
+
+	test('set.between()', () => {
+		const set = new ReverseIterableSet([10, 20, 30, 40], { compare: (a, b) => a - b })
+
+		expect([...set.between(15, 35)]).toEqual([20, 30])
+		expect([...set.between(20, 40)]).toEqual([20, 30, 40])
+		expect([...set.between(20, 40, { inclusive: false })]).toEqual([30])
+		expect([...set.between(20, 40, { direction: 'reverse' })]).toEqual([40, 30, 20])
+		expect([...set.between(20, 40).reverseIterator()]).toEqual([40, 30, 20])
+		expect([...set.between(0, 100)]).toEqual([10, 20, 30, 40])
+		expect([...set.between(21, 29)]).toEqual([])
+		expect([...set.between(50, 60)]).toEqual([])
+		expect([...set.between(40, 10)]).toEqual([])
+	})
+
+	test('set.between() during mutation', () => {
+		const set = new ReverseIterableSet([10, 20, 30, 40], { compare: (a, b) => a - b })
+		const iterator = set.between(10, 30)
+
+		expect(iterator.next().value).toBe(10)
+		set.add(15)
+		expect([...iterator]).toEqual([15, 20, 30])
+	})
+
 	test('set.clear()', () => {
 		const iterable = ['a', 'b', 'c'].values()
 		const set = new ReverseIterableSet(iterable)
@@ -139,225 +500,785 @@ describe('ReverseIterableSet', () => {
 		expect([...set.values()]).toEqual(['a', 'b', 'c'])
 	})
 
-	test('set.delete() node at the start', () => {
-		const set = new ReverseIterableSet([1, 2, 3])
-
-		expect(set.size).toBe(3)
-		expect([...set.values()]).toEqual([1, 2, 3])
-
-		expect(set.delete(1)).toBe(true)
+	test('set.insertBefore()', () => {
+		const set = new ReverseIterableSet(['b', 'd'])
+			.insertBefore('b', 'a')
+			.insertBefore('d', 'c')
 
-		expect(set.size).toBe(2)
-		expect([...set.values()]).toEqual([2, 3])
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+		expect([...set.reverseIterator()]).toEqual(['d', 'c', 'b', 'a'])
 	})
 
-	test('set.delete() node in the middle', () => {
-		const set = new ReverseIterableSet([1, 2, 3])
+	test('set.insertBefore() with existing value', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
 
-		expect(set.size).toBe(3)
-		expect([...set.values()]).toEqual([1, 2, 3])
+		expect(set.insertBefore('a', 'c')).toBe(set)
+		expect([...set]).toEqual(['a', 'b', 'c'])
+	})
 
-		expect(set.delete(2)).toBe(true)
+	test('set.insertAfter()', () => {
+		const set = new ReverseIterableSet(['a', 'c'])
+			.insertAfter('a', 'b')
+			.insertAfter('c', 'd')
 
-		expect(set.size).toBe(2)
-		expect([...set.values()]).toEqual([1, 3])
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+		expect([...set.reverseIterator()]).toEqual(['d', 'c', 'b', 'a'])
 	})
 
-	test('set.delete() node at the end', () => {
-		const set = new ReverseIterableSet([1, 2, 3])
+	test('set.insertAfter() with existing value', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
 
-		expect(set.size).toBe(3)
-		expect([...set.values()]).toEqual([1, 2, 3])
+		expect(set.insertAfter('c', 'a')).toBe(set)
+		expect([...set]).toEqual(['a', 'b', 'c'])
+	})
 
-		expect(set.delete(3)).toBe(true)
+	test('set.insertBefore()/set.insertAfter() with non-existing reference value', () => {
+		const set = new ReverseIterableSet(['a', 'b'])
 
-		expect(set.size).toBe(2)
-		expect([...set.values()]).toEqual([1, 2])
+		expect(() => set.insertBefore('x', 'c')).toThrow(RangeError)
+		expect(() => set.insertAfter('x', 'c')).toThrow(RangeError)
+		expect([...set]).toEqual(['a', 'b'])
 	})
 
-	test('set.delete() with a single entry', () => {
-		const set = new ReverseIterableSet([1])
+	test('set.moveBefore()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
 
-		expect(set.size).toBe(1)
+		expect(set.moveBefore('b', 'd')).toBe(set)
+		expect([...set]).toEqual(['a', 'd', 'b', 'c'])
 
-		expect(set.delete(1)).toBe(true)
+		set.moveBefore('a', 'c')
+		expect([...set]).toEqual(['c', 'a', 'd', 'b'])
 
-		expect(set.size).toBe(0)
+		set.moveBefore('b', 'c')
+		expect([...set]).toEqual(['a', 'd', 'c', 'b'])
+		expect([...set.reverseIterator()]).toEqual(['b', 'c', 'd', 'a'])
+
+		set.moveBefore('a', 'a').moveBefore('c', 'd')
+		expect([...set]).toEqual(['a', 'd', 'c', 'b'])
 	})
 
-	test('set.delete() non-existing value', () => {
-		const set = new ReverseIterableSet([1])
+	test('set.moveAfter()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
 
-		expect(set.size).toBe(1)
+		expect(set.moveAfter('c', 'a')).toBe(set)
+		expect([...set]).toEqual(['b', 'c', 'a', 'd'])
 
-		expect(set.delete(137)).toBe(false)
+		set.moveAfter('d', 'b')
+		expect([...set]).toEqual(['c', 'a', 'd', 'b'])
 
-		expect(set.size).toBe(1)
+		set.moveAfter('c', 'b')
+		expect([...set]).toEqual(['c', 'b', 'a', 'd'])
+		expect([...set.reverseIterator()]).toEqual(['d', 'a', 'b', 'c'])
+
+		set.moveAfter('d', 'd').moveAfter('c', 'b')
+		expect([...set]).toEqual(['c', 'b', 'a', 'd'])
 	})
 
-	test('Set[Symbol.toStringTag]()', () => {
-		const set = new ReverseIterableSet()
+	test('set.moveToFront()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.moveToFront('b')).toBe(set)
+		expect([...set]).toEqual(['b', 'a', 'c'])
 
-		expect(set.toString()).toBe('[object ReverseIterableSet]')
+		set.moveToFront('c').moveToFront('c')
+		expect([...set]).toEqual(['c', 'b', 'a'])
+		expect([...set.reverseIterator()]).toEqual(['a', 'b', 'c'])
 	})
 
-	test('set.forEach() with one-argument-callback', () => {
+	test('set.moveToBack()', () => {
 		const set = new ReverseIterableSet(['a', 'b', 'c'])
 
-		let lowerCaseCodePoint = 97 // 97 is the code point for "a", 98 → "b", etc.
+		expect(set.moveToBack('b')).toBe(set)
+		expect([...set]).toEqual(['a', 'c', 'b'])
 
-		set.forEach(/** @this {any} */ function callbackFn(value) {
-			expect(this).toBe(set)
-			expect(value).toBe(String.fromCodePoint(lowerCaseCodePoint))
+		set.moveToBack('a').moveToBack('a')
+		expect([...set]).toEqual(['c', 'b', 'a'])
+		expect([...set.reverseIterator()]).toEqual(['a', 'b', 'c'])
+	})
 
-			lowerCaseCodePoint++
-		}, set)
+	test('set.sort()', () => {
+		const set = new ReverseIterableSet([10, 9, 1, undefined, 100])
+
+		expect(set.sort()).toBe(set)
+		expect([...set]).toEqual([1, 10, 100, 9, undefined])
+		expect([...set.reverseIterator()]).toEqual([undefined, 9, 100, 10, 1])
+
+		set.sort((a, b) => /** @type {number} */ (b) - /** @type {number} */ (a))
+		expect([...set]).toEqual([100, 10, 9, 1, undefined])
+		expect(set.at(1)).toBe(10)
+		expect(set.indexOf(1)).toBe(3)
+		expect(() => set.validate()).not.toThrow()
 	})
 
-	test('set.forEach() with two-argument-callback', () => {
-		const set = new ReverseIterableSet(['a', 'b', 'c'])
+	test('set.sort() is stable', () => {
+		const set = new ReverseIterableSet(['bb', 'a', 'cc', 'b', 'aa', 'c'])
 
-		let lowerCaseCodePoint = 97 // 97 is the code point for "a", 98 → "b", etc.
+		set.sort((a, b) => a.length - b.length)
+		expect([...set]).toEqual(['a', 'b', 'c', 'bb', 'cc', 'aa'])
+	})
 
-		set.forEach(function (value1, value2) {
-			expect(value1).toBe(String.fromCodePoint(lowerCaseCodePoint))
-			expect(value2).toBe(value1)
+	test('set.sort() leaves the set unchanged if the comparison function throws', () => {
+		const set = new ReverseIterableSet([3, 1, 2])
 
-			lowerCaseCodePoint++
-		})
+		expect(() => set.sort(() => {
+			throw new Error('Comparison failed')
+		})).toThrow('Comparison failed')
+		expect([...set]).toEqual([3, 1, 2])
+		expect(() => set.sort(/** @type {any} */ ('desc'))).toThrow(TypeError)
 	})
 
-	test('set.forEach() with three-argument-callback', () => {
+	test('set.reverse()', () => {
 		const set = new ReverseIterableSet(['a', 'b', 'c'])
 
-		let lowerCaseCodePoint = 97 // 97 is the code point for "a", 98 → "b", etc.
-
-		set.forEach(function callbackFn(value1, value2, setReference) {
-			expect(value1).toBe(String.fromCodePoint(lowerCaseCodePoint))
-			expect(value2).toBe(value1)
-			expect(setReference).toBe(set)
+		expect(set.reverse()).toBe(set)
+		expect([...set]).toEqual(['c', 'b', 'a'])
+		expect(set.first()).toBe('c')
+		expect(set.last()).toBe('a')
 
-			lowerCaseCodePoint++
-		})
+		set.add('d')
+		expect([...set]).toEqual(['c', 'b', 'a', 'd'])
+		expect(set.at(2)).toBe('a')
+		expect(() => set.validate()).not.toThrow()
+		expect([...new ReverseIterableSet().reverse()]).toEqual([])
 	})
 
-	test('set.forEach() with thisArg', () => {
-		const set = new ReverseIterableSet(['a', 'b', 'c'])
+	test('set.rotate()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
 
-		const obj = {}
+		expect(set.rotate(1)).toBe(set)
+		expect([...set]).toEqual(['b', 'c', 'd', 'a'])
 
-		set.forEach(/** @this {any} */ function callbackFn() {
-			expect(this).toBe(obj)
-		}, obj)
+		set.rotate(-2)
+		expect([...set]).toEqual(['d', 'a', 'b', 'c'])
+
+		set.rotate(9)
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+
+		set.rotate(0).rotate(4).rotate(-4)
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+		expect(() => set.validate()).not.toThrow()
+		expect(() => set.rotate(1.5)).toThrow(RangeError)
+		expect(() => set.rotate(/** @type {any} */ ('1'))).toThrow(RangeError)
+		expect([...new ReverseIterableSet().rotate(3)]).toEqual([])
 	})
 
-	test('set.forEachReverse() with three-argument-callback and thisArg', () => {
+	test('set.shuffle()', () => {
+		/**
+		 * @param {number} seed
+		 * @returns {() => number} a seeded random number generator (mulberry32).
+		 */
+		function createRandom(seed) {
+			return () => {
+				seed = (seed + 0x6d2b79f5) | 0
+				let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+				t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+				return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+			}
+		}
+
+		const values = Array.from({ length: 20 }, (_, index) => index)
+		const set = new ReverseIterableSet(values)
+		const otherSet = new ReverseIterableSet(values)
+
+		expect(set.shuffle(createRandom(42))).toBe(set)
+		otherSet.shuffle(createRandom(42))
+		expect([...set]).toEqual([...otherSet])
+		expect([...set]).not.toEqual(values)
+		expect([...set].sort((a, b) => a - b)).toEqual(values)
+		expect(() => set.validate()).not.toThrow()
+
+		// Always picking the last remaining value keeps the order.
+		expect([...new ReverseIterableSet(['a', 'b', 'c']).shuffle(() => 0.999)]).toEqual(['a', 'b', 'c'])
+		// Always picking the first remaining value rotates the first value to the end.
+		expect([...new ReverseIterableSet(['a', 'b', 'c']).shuffle(() => 0)]).toEqual(['b', 'c', 'a'])
+		expect(() => set.shuffle(() => 1)).toThrow(RangeError)
+		expect(() => set.shuffle(/** @type {any} */ (42))).toThrow(TypeError)
+	})
+
+	test('set.equals()', () => {
 		const set = new ReverseIterableSet(['a', 'b', 'c'])
 
-		let lowerCaseCodePoint = 99 // 99 → "c", etc.
-		const obj = {}
+		expect(set.equals(new ReverseIterableSet(['a', 'b', 'c']))).toBe(true)
+		expect(set.equals(new Set(['a', 'b', 'c']))).toBe(true)
+		expect(set.equals(new Set(['c', 'a', 'b']))).toBe(false)
+		expect(set.equals(new Set(['c', 'a', 'b']), { ordered: false })).toBe(true)
+		expect(set.equals(new Set(['a', 'b']))).toBe(false)
+		expect(set.equals(new Set(['a', 'b', 'd']), { ordered: false })).toBe(false)
+		expect(new ReverseIterableSet().equals(new Set())).toBe(true)
+		expect(() => set.equals(/** @type {any} */ (['a', 'b', 'c']))).toThrow(TypeError)
+	})
 
-		set.forEachReverse(/** @this {any} */ function callbackFn(value1, value2, setReference) {
-			expect(value1).toBe(String.fromCodePoint(lowerCaseCodePoint))
-			expect(value2).toBe(value1)
-			expect(setReference).toBe(set)
-			expect(this).toBe(obj)
+	test('set.equals() with the key option', () => {
+		const set = new ReverseIterableSet([{ id: 1 }, { id: 2 }], { key: (value) => value.id })
 
-			lowerCaseCodePoint--
-		}, obj)
+		expect(set.equals(new ReverseIterableSet([{ id: 1 }, { id: 2 }], { key: (value) => value.id }))).toBe(true)
+		expect(set.equals(new ReverseIterableSet([{ id: 2 }, { id: 1 }], { key: (value) => value.id }))).toBe(false)
+		expect(set.equals(new ReverseIterableSet([{ id: 2 }, { id: 1 }], { key: (value) => value.id }), { ordered: false })).toBe(true)
+		expect(set.equals(new Set([{ id: 1 }, { id: 2 }]))).toBe(true)
+		expect(set.equals(new Set([{ id: 2 }, { id: 1 }]), { ordered: false })).toBe(true)
+		expect(set.equals(new Set([{ id: 1 }, { id: 1 }]), { ordered: false })).toBe(false)
+		expect(set.equals(new Set([{ id: 1 }, { id: 3 }]), { ordered: false })).toBe(false)
 	})
 
-	test('Set[Symbol.iterator]()', () => {
-		const set = new ReverseIterableSet(['a', 'b', 'c'])
+	test('set.diff()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
 
-		expect(ReverseIterableSet.prototype.hasOwnProperty(Symbol.iterator)).toBe(true)
+		expect(set.diff(new Set(['a', 'b', 'c', 'd', 'e']))).toEqual([])
+		expect(set.diff(new Set(['b', 'c', 'd', 'e', 'a']))).toEqual([
+			{ type: 'move', value: 'a', index: 4, prev: 'e', next: undefined },
+		])
+		expect(set.diff(new Set(['a', 'x', 'c', 'b', 'e']))).toEqual([
+			{ type: 'delete', value: 'd', index: 3, prev: 'c', next: 'e' },
+			{ type: 'insert', value: 'x', index: 1, prev: 'a', next: 'b' },
+			{ type: 'move', value: 'b', index: 3, prev: 'c', next: 'e' },
+		])
+		expect(set.diff(new Set(['z']))).toEqual([
+			{ type: 'delete', value: 'a', index: 0, prev: undefined, next: 'b' },
+			{ type: 'delete', value: 'b', index: 0, prev: undefined, next: 'c' },
+			{ type: 'delete', value: 'c', index: 0, prev: undefined, next: 'd' },
+			{ type: 'delete', value: 'd', index: 0, prev: undefined, next: 'e' },
+			{ type: 'delete', value: 'e', index: 0, prev: undefined, next: undefined },
+			{ type: 'insert', value: 'z', index: 0, prev: undefined, next: undefined },
+		])
+		expect([...set]).toEqual(['a', 'b', 'c', 'd', 'e'])
+	})
 
-		const iterator = set[Symbol.iterator]()
-		expect(iterator.hasOwnProperty('next')).toBe(true)
+	test('set.diff() moves as few values as possible', () => {
+		const set = new ReverseIterableSet([1, 2, 3, 4, 5, 6, 7, 8])
+		const patch = set.diff(new Set([8, 1, 2, 7, 3, 4, 5, 6]))
 
-		let iteratorResult = iterator.next()
+		expect(patch.map(({ type, value }) => [type, value])).toEqual([['move', 8], ['move', 7]])
+		expect(set.diff(new Set([8, 7, 6, 5, 4, 3, 2, 1]))).toHaveLength(7)
+	})
 
-		expect(iteratorResult.hasOwnProperty('done')).toBe(true)
-		expect(iteratorResult.hasOwnProperty('value')).toBe(true)
+	test('set.applyPatch()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+		const target = new Set(['e', 'x', 'c', 'a', 'y'])
 
-		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('a')
+		expect(set.applyPatch(set.diff(target))).toBe(set)
+		expect([...set]).toEqual([...target])
+		expect(set.equals(target)).toBe(true)
+		expect(() => set.validate()).not.toThrow()
+	})
 
-		iteratorResult = iterator.next()
-		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('b')
+	test('set.applyPatch(set.diff(other)) results in the order of other', () => {
+		/**
+		 * @param {number} seed
+		 * @returns {() => number} a seeded random number generator (mulberry32).
+		 */
+		function createRandom(seed) {
+			return () => {
+				seed = (seed + 0x6d2b79f5) | 0
+				let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+				t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+				return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+			}
+		}
+
+		const random = createRandom(7)
+		for (let run = 0; run < 50; run++) {
+			const values = Array.from({ length: 30 }, (_, index) => index)
+			const set = new ReverseIterableSet(values.filter(() => random() < 0.7)).shuffle(random)
+			const other = new ReverseIterableSet(values.filter(() => random() < 0.7)).shuffle(random)
+
+			set.applyPatch(set.diff(other))
+			expect([...set]).toEqual([...other])
+			expect(() => set.validate()).not.toThrow()
+		}
+	})
 
-		iteratorResult = iterator.next()
-		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('c')
+	test('set.applyPatch() with the key option', () => {
+		const set = new ReverseIterableSet([{ id: 1 }, { id: 2 }, { id: 3 }], { key: (value) => value.id })
+		const other = new ReverseIterableSet([{ id: 3 }, { id: 4 }, { id: 1 }], { key: (value) => value.id })
 
-		iteratorResult = iterator.next()
-		expect(iteratorResult.done).toBe(true)
-		expect(iteratorResult.value).toBe(undefined)
+		set.applyPatch(set.diff(other))
+		expect([...set].map((value) => value.id)).toEqual([3, 4, 1])
 	})
 
-	test('set.reverseIterator()', () => {
+	test('set.applyPatch() leaves the set unchanged if an operation doesn\'t match', () => {
 		const set = new ReverseIterableSet(['a', 'b', 'c'])
+		const patch = set.diff(new Set(['c', 'b']))
+
+		set.delete('a')
+		expect(() => set.applyPatch(patch)).toThrow(RangeError)
+		expect([...set]).toEqual(['b', 'c'])
+
+		expect(() => set.applyPatch([{ type: 'insert', value: 'b', index: 0, prev: undefined, next: 'b' }])).toThrow(RangeError)
+		expect(() => set.applyPatch([{ type: 'insert', value: 'd', index: 3, prev: 'c', next: undefined }])).toThrow(RangeError)
+		expect(() => set.applyPatch([{ type: 'move', value: 'b', index: 2, prev: 'c', next: undefined }])).toThrow(RangeError)
+		expect(() => set.applyPatch([
+			{ type: 'move', value: 'c', index: 0, prev: undefined, next: 'b' },
+			/** @type {any} */ ({ type: 'replace', value: 'b', index: 0, prev: undefined, next: 'c' }),
+		])).toThrow(TypeError)
+		expect([...set]).toEqual(['b', 'c'])
+		expect(() => new ReverseIterableSet([1, 2], { compare: (a, b) => a - b }).applyPatch([])).toThrow(TypeError)
+	})
 
-		const iterator = set.reverseIterator()
-		expect(iterator.hasOwnProperty('next')).toBe(true)
+	test('set.applyPatch() is a single step in the history', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'], { history: true })
 
-		let iteratorResult = iterator.next()
+		set.applyPatch(set.diff(new Set(['c', 'd', 'a'])))
+		expect([...set]).toEqual(['c', 'd', 'a'])
 
-		expect(iteratorResult.hasOwnProperty('done')).toBe(true)
-		expect(iteratorResult.hasOwnProperty('value')).toBe(true)
+		set.undo()
+		expect([...set]).toEqual(['a', 'b', 'c'])
 
-		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('c')
+		set.redo()
+		expect([...set]).toEqual(['c', 'd', 'a'])
+	})
 
-		iteratorResult = iterator.next()
-		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('b')
+	test('Iterators continue after reordering', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
+		const iterator = set.values()
 
-		iteratorResult = iterator.next()
-		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('a')
+		iterator.next()
+		set.reverse()
+		expect([...iterator]).toEqual([])
 
-		iteratorResult = iterator.next()
-		expect(iteratorResult.done).toBe(true)
-		expect(iteratorResult.value).toBe(undefined)
+		const otherIterator = set.values()
+		otherIterator.next()
+		set.rotate(-1)
+		expect([...set]).toEqual(['a', 'd', 'c', 'b'])
+		expect([...otherIterator]).toEqual(['c', 'b'])
 	})
 
-	test('set.entries()', () => {
-		const set = new ReverseIterableSet(['a', 'b', 'c'])
+	test('Move methods with non-existing values', () => {
+		const set = new ReverseIterableSet(['a', 'b'])
 
-		const iterator = set.entries()
-		expect(iterator.hasOwnProperty('next')).toBe(true)
+		expect(() => set.moveBefore('x', 'a')).toThrow(RangeError)
+		expect(() => set.moveBefore('a', 'x')).toThrow(RangeError)
+		expect(() => set.moveAfter('x', 'a')).toThrow(RangeError)
+		expect(() => set.moveAfter('a', 'x')).toThrow(RangeError)
+		expect(() => set.moveToFront('x')).toThrow(RangeError)
+		expect(() => set.moveToBack('x')).toThrow(RangeError)
+		expect([...set]).toEqual(['a', 'b'])
+	})
 
-		let iteratorResult = iterator.next()
+	test('set.addAll()', () => {
+		const set = new ReverseIterableSet(['a', 'b'])
 
-		expect(iteratorResult.hasOwnProperty('done')).toBe(true)
-		expect(iteratorResult.hasOwnProperty('value')).toBe(true)
-		expect(Array.isArray(iteratorResult.value)).toBe(true)
+		expect(set.addAll(['b', 'c', 'd', 'c'])).toBe(2)
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+		expect(set.addAll([])).toBe(0)
+	})
 
-		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value[0]).toBe('a')
-		expect(iteratorResult.value[1]).toBe('a')
+	test('set.addAll() in LRU mode', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'], { eviction: 'lru', maxSize: 3 })
 
-		iteratorResult = iterator.next()
-		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value[0]).toBe('b')
-		expect(iteratorResult.value[1]).toBe('b')
+		expect(set.addAll(['a', 'd'])).toBe(1)
+		expect([...set]).toEqual(['c', 'a', 'd'])
+	})
 
-		iteratorResult = iterator.next()
-		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value[0]).toBe('c')
-		expect(iteratorResult.value[1]).toBe('c')
+	test('set.addAllFirst()', () => {
+		const set = new ReverseIterableSet(['c', 'd'])
 
-		iteratorResult = iterator.next()
-		expect(iteratorResult.done).toBe(true)
-		expect(iteratorResult.value).toBe(undefined)
+		expect(set.addAllFirst(['a', 'b', 'a', 'd'])).toBe(2)
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+		expect(() => new ReverseIterableSet([0], { compare: (a, b) => a - b }).addAllFirst([1])).toThrow(TypeError)
 	})
 
-	test('set.values()', () => {
+	test('set.addAllFirst() on a bounded set', () => {
+		/** @type {string[]} */ const evicted = []
+		const set = new ReverseIterableSet(['c', 'd'], { maxSize: 3, onEvict: (value) => evicted.push(value) })
+
+		set.addAllFirst(['a', 'b'])
+		expect([...set]).toEqual(['a', 'b', 'c'])
+		expect(evicted).toEqual(['d'])
+	})
+
+	test('set.deleteAll()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
+
+		expect(set.deleteAll(['a', 'c', 'x', 'c'])).toBe(2)
+		expect([...set]).toEqual(['b', 'd'])
+	})
+
+	test('set.retainAll()', () => {
+		const set = new ReverseIterableSet([1, 2, 3, 4, 5])
+
+		/** @type {number[]} */ const indices = []
+		expect(set.retainAll((value, index) => {
+			indices.push(index)
+			return value % 2 === 1
+		})).toBe(2)
+		expect(indices).toEqual([0, 1, 2, 3, 4])
+		expect([...set]).toEqual([1, 3, 5])
+
+		expect(set.retainAll(new Set([5, 1, 7]))).toBe(1)
+		expect([...set]).toEqual([1, 5])
+	})
+
+	test('set.replaceRange()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+
+		expect(set.replaceRange(1, 3, ['x', 'y', 'z'])).toEqual({ deleted: 2, added: 3 })
+		expect([...set]).toEqual(['a', 'x', 'y', 'z', 'd', 'e'])
+
+		expect(set.replaceRange(-2, undefined, ['e', 'a', 'f'])).toEqual({ deleted: 2, added: 2 })
+		expect([...set]).toEqual(['a', 'x', 'y', 'z', 'e', 'f'])
+
+		expect(set.replaceRange(0, 0, ['w'])).toEqual({ deleted: 0, added: 1 })
+		expect([...set]).toEqual(['w', 'a', 'x', 'y', 'z', 'e', 'f'])
+
+		expect(set.replaceRange(1, 4)).toEqual({ deleted: 3, added: 0 })
+		expect([...set]).toEqual(['w', 'z', 'e', 'f'])
+
+		expect(set.replaceRange(10, 20, ['g'])).toEqual({ deleted: 0, added: 1 })
+		expect(set.replaceRange(3, 1, ['h'])).toEqual({ deleted: 0, added: 1 })
+		expect([...set]).toEqual(['w', 'z', 'e', 'h', 'f', 'g'])
+
+		expect(() => new ReverseIterableSet([0], { compare: (a, b) => a - b }).replaceRange(0, 0, [1])).toThrow(TypeError)
+	})
+
+	test('Bulk methods leave the set unchanged if the iterable throws', () => {
 		const set = new ReverseIterableSet(['a', 'b', 'c'])
+		function* failing() {
+			yield 'a'
+			yield 'x'
+			throw new Error('Failed')
+		}
+
+		expect(() => set.addAll(failing())).toThrow('Failed')
+		expect(() => set.addAllFirst(failing())).toThrow('Failed')
+		expect(() => set.deleteAll(failing())).toThrow('Failed')
+		expect(() => set.retainAll(failing())).toThrow('Failed')
+		expect(() => set.retainAll(() => {
+			throw new Error('Failed')
+		})).toThrow('Failed')
+		expect(() => set.replaceRange(0, 2, failing())).toThrow('Failed')
+		expect([...set]).toEqual(['a', 'b', 'c'])
+	})
 
-		const iterator = set.values()
+	test('set.delete() node at the start', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+
+		expect(set.size).toBe(3)
+		expect([...set.values()]).toEqual([1, 2, 3])
+
+		expect(set.delete(1)).toBe(true)
+
+		expect(set.size).toBe(2)
+		expect([...set.values()]).toEqual([2, 3])
+	})
+
+	test('set.delete() node in the middle', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+
+		expect(set.size).toBe(3)
+		expect([...set.values()]).toEqual([1, 2, 3])
+
+		expect(set.delete(2)).toBe(true)
+
+		expect(set.size).toBe(2)
+		expect([...set.values()]).toEqual([1, 3])
+	})
+
+	test('set.delete() node at the end', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+
+		expect(set.size).toBe(3)
+		expect([...set.values()]).toEqual([1, 2, 3])
+
+		expect(set.delete(3)).toBe(true)
+
+		expect(set.size).toBe(2)
+		expect([...set.values()]).toEqual([1, 2])
+	})
+
+	test('set.delete() with a single entry', () => {
+		const set = new ReverseIterableSet([1])
+
+		expect(set.size).toBe(1)
+
+		expect(set.delete(1)).toBe(true)
+
+		expect(set.size).toBe(0)
+	})
+
+	test('set.delete() non-existing value', () => {
+		const set = new ReverseIterableSet([1])
+
+		expect(set.size).toBe(1)
+
+		expect(set.delete(137)).toBe(false)
+
+		expect(set.size).toBe(1)
+	})
+
+	test('set.first()/set.last()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.first()).toBe('a')
+		expect(set.last()).toBe('c')
+		expect(set.peekFirst()).toBe('a')
+		expect(set.peekLast()).toBe('c')
+		expect(set.size).toBe(3)
+
+		set.addFirst('z')
+		expect(set.first()).toBe('z')
+	})
+
+	test('set.first()/set.last() on empty set', () => {
+		const set = new ReverseIterableSet()
+
+		expect(set.first()).toBe(undefined)
+		expect(set.last()).toBe(undefined)
+		expect(set.peekFirst()).toBe(undefined)
+		expect(set.peekLast()).toBe(undefined)
+	})
+
+	test('set.next()/set.prev()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.next('a')).toBe('b')
+		expect(set.next('b')).toBe('c')
+		expect(set.next('c')).toBe(undefined)
+		expect(set.next('x')).toBe(undefined)
+
+		expect(set.prev('c')).toBe('b')
+		expect(set.prev('b')).toBe('a')
+		expect(set.prev('a')).toBe(undefined)
+		expect(set.prev('x')).toBe(undefined)
+	})
+
+	test('set.shift()', () => {
+		const set = new ReverseIterableSet(['a', 'b'])
+
+		expect(set.shift()).toBe('a')
+		expect([...set]).toEqual(['b'])
+		expect(set.shift()).toBe('b')
+		expect(set.size).toBe(0)
+		expect(set.shift()).toBe(undefined)
+	})
+
+	test('set.pop()', () => {
+		const set = new ReverseIterableSet(['a', 'b'])
+
+		expect(set.pop()).toBe('b')
+		expect([...set]).toEqual(['a'])
+		expect(set.pop()).toBe('a')
+		expect(set.size).toBe(0)
+		expect(set.pop()).toBe(undefined)
+	})
+
+	test('Using a set as a deque', () => {
+		const set = new ReverseIterableSet()
+
+		set.add(2).add(3).addFirst(1).add(2)
+		expect(set.shift()).toBe(1)
+		expect(set.pop()).toBe(3)
+		expect(set.first()).toBe(2)
+		expect(set.last()).toBe(2)
+	})
+
+	test('Set[Symbol.toStringTag]()', () => {
+		const set = new ReverseIterableSet()
+
+		expect(Object.prototype.toString.call(set)).toBe('[object ReverseIterableSet]')
+	})
+
+	test('set.toString()', () => {
+		expect(new ReverseIterableSet().toString()).toBe('ReverseIterableSet(0) {}')
+		expect(String(new ReverseIterableSet(['a', 1, 2n, null, undefined]))).toBe('ReverseIterableSet(5) { \'a\', 1, 2n, null, undefined }')
+		expect(String(new ReverseIterableSet(['it\'s', Symbol('s'), Object.create(null), new ReverseIterableSet([1])])))
+			.toBe('ReverseIterableSet(4) { "it\'s", Symbol(s), [object Object], ReverseIterableSet(1) { 1 } }')
+	})
+
+	test('set[Symbol.for(\'nodejs.util.inspect.custom\')]()', () => {
+		const set = new ReverseIterableSet(['b', 'a'])
+		const options = { stylize: (/** @type {string} */ text, /** @type {string} */ styleType) => `<${styleType}>${text}` }
+		// Symbols created with `Symbol.for()` can't be used as typed property keys.
+		const custom = /** @type {(depth: number, options: object, inspect: (value: unknown, options: object) => string) => string} */ (/** @type {any} */ (set)[Symbol.for('nodejs.util.inspect.custom')]).bind(set)
+		/** @type {Array<[unknown, object]>} */ const calls = []
+		const inspect = (/** @type {unknown} */ value, /** @type {object} */ inspectOptions) => {
+			calls.push([value, inspectOptions])
+
+			return 'Set(2) { \'b\', \'a\' }'
+		}
+
+		// The values are inspected as a `Set` with the remaining depth.
+		expect(custom(1, options, inspect)).toBe('ReverseIterableSet(2) { \'b\', \'a\' }')
+		expect(calls).toHaveLength(1)
+		expect([.../** @type {Set<string>} */ (calls[0]?.[0])]).toEqual(['b', 'a'])
+		expect(calls[0]?.[1]).toEqual({ ...options, depth: 1 })
+
+		// Beyond the depth, only the name is printed.
+		expect(custom(-1, options, inspect)).toBe('<special>[ReverseIterableSet]')
+		expect(calls).toHaveLength(1)
+	})
+
+	test('set.at()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.at(0)).toBe('a')
+		expect(set.at(2)).toBe('c')
+		expect(set.at(-1)).toBe('c')
+		expect(set.at(-3)).toBe('a')
+		expect(set.at(1.7)).toBe('b')
+		expect(set.at(3)).toBe(undefined)
+		expect(set.at(-4)).toBe(undefined)
+		expect(new ReverseIterableSet().at(0)).toBe(undefined)
+	})
+
+	test('set.indexOf()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.indexOf('a')).toBe(0)
+		expect(set.indexOf('c')).toBe(2)
+		expect(set.indexOf('x')).toBe(-1)
+
+		set.addFirst('z').delete('b')
+		expect(set.indexOf('z')).toBe(0)
+		expect(set.indexOf('a')).toBe(1)
+		expect(set.indexOf('c')).toBe(2)
+		expect(set.indexOf('b')).toBe(-1)
+	})
+
+	test('set.slice()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+
+		expect(set.slice() instanceof ReverseIterableSet).toBe(true)
+		expect(set.slice()).not.toBe(set)
+		expect([...set.slice()]).toEqual(['a', 'b', 'c', 'd', 'e'])
+		expect([...set.slice(1, 3)]).toEqual(['b', 'c'])
+		expect([...set.slice(-2)]).toEqual(['d', 'e'])
+		expect([...set.slice(-4, -1)]).toEqual(['b', 'c', 'd'])
+		expect([...set.slice(3, 1)]).toEqual([])
+		expect([...set.slice(-10, 10)]).toEqual(['a', 'b', 'c', 'd', 'e'])
+	})
+
+	test('set.at()/set.indexOf() stay consistent with the order while mutating', () => {
+		let seed = 42
+		const random = () => {
+			seed = (seed * 16807) % 2147483647
+			return seed / 2147483647
+		}
+		const set = new ReverseIterableSet()
+		/** @type {number[]} */ const expected = []
+
+		for (let step = 0; step < 2000; step++) {
+			const value = Math.floor(random() * 200)
+			const operation = Math.floor(random() * 5)
+
+			if (operation === 0 && !set.has(value)) {
+				set.add(value)
+				expected.push(value)
+			}
+			else if (operation === 1 && !set.has(value)) {
+				set.addFirst(value)
+				expected.unshift(value)
+			}
+			else if (operation === 2 && set.has(value)) {
+				set.delete(value)
+				expected.splice(expected.indexOf(value), 1)
+			}
+			else if (operation === 3 && expected.length > 0 && !set.has(value)) {
+				const ref = /** @type {number} */ (expected[Math.floor(random() * expected.length)])
+				set.insertAfter(ref, value)
+				expected.splice(expected.indexOf(ref) + 1, 0, value)
+			}
+			else if (operation === 4 && set.has(value)) {
+				set.moveToFront(value)
+				expected.splice(expected.indexOf(value), 1)
+				expected.unshift(value)
+			}
+
+			if (step % 100 === 0) {
+				expect(expected.map((_, index) => set.at(index))).toEqual(expected)
+				expect(expected.map((value) => set.indexOf(value))).toEqual(expected.map((_, index) => index))
+			}
+		}
+
+		expect([...set]).toEqual(expected)
+		expect(expected.map((_, index) => set.at(index))).toEqual(expected)
+		expect(expected.map((value) => set.indexOf(value))).toEqual(expected.map((_, index) => index))
+
+		set.clear()
+		expect(set.at(0)).toBe(undefined)
+		set.add('a')
+		expect(set.at(0)).toBe('a')
+		expect(set.indexOf('a')).toBe(0)
+	})
+
+	test('set.forEach() with one-argument-callback', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		let lowerCaseCodePoint = 97 // 97 is the code point for "a", 98 → "b", etc.
+
+		set.forEach(/** @this {any} */ function callbackFn(value) {
+			expect(this).toBe(set)
+			expect(value).toBe(String.fromCodePoint(lowerCaseCodePoint))
+
+			lowerCaseCodePoint++
+		}, set)
+	})
+
+	test('set.forEach() with two-argument-callback', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		let lowerCaseCodePoint = 97 // 97 is the code point for "a", 98 → "b", etc.
+
+		set.forEach(function (value1, value2) {
+			expect(value1).toBe(String.fromCodePoint(lowerCaseCodePoint))
+			expect(value2).toBe(value1)
+
+			lowerCaseCodePoint++
+		})
+	})
+
+	test('set.forEach() with three-argument-callback', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		let lowerCaseCodePoint = 97 // 97 is the code point for "a", 98 → "b", etc.
+
+		set.forEach(function callbackFn(value1, value2, setReference) {
+			expect(value1).toBe(String.fromCodePoint(lowerCaseCodePoint))
+			expect(value2).toBe(value1)
+			expect(setReference).toBe(set)
+
+			lowerCaseCodePoint++
+		})
+	})
+
+	test('set.forEach() with thisArg', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		const obj = {}
+
+		set.forEach(/** @this {any} */ function callbackFn() {
+			expect(this).toBe(obj)
+		}, obj)
+	})
+
+	test('set.forEach()/set.forEachReverse() with a non-callable callback', () => {
+		const set = new ReverseIterableSet()
+
+		expect(() => set.forEach(/** @type {any} */ (null))).toThrow('ReverseIterableSet.prototype.forEach: The callback must be a function')
+		expect(() => set.forEachReverse(/** @type {any} */ ({}))).toThrow(TypeError)
+	})
+
+	test('set.forEachReverse() with three-argument-callback and thisArg', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		let lowerCaseCodePoint = 99 // 99 → "c", etc.
+		const obj = {}
+
+		set.forEachReverse(/** @this {any} */ function callbackFn(value1, value2, setReference) {
+			expect(value1).toBe(String.fromCodePoint(lowerCaseCodePoint))
+			expect(value2).toBe(value1)
+			expect(setReference).toBe(set)
+			expect(this).toBe(obj)
+
+			lowerCaseCodePoint--
+		}, obj)
+	})
+
+	test('Set[Symbol.iterator]()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(ReverseIterableSet.prototype.hasOwnProperty(Symbol.iterator)).toBe(true)
+
+		const iterator = set[Symbol.iterator]()
 		expect(iterator.hasOwnProperty('next')).toBe(true)
 
 		let iteratorResult = iterator.next()
@@ -381,68 +1302,68 @@ describe('ReverseIterableSet', () => {
 		expect(iteratorResult.value).toBe(undefined)
 	})
 
-	test('set.entries().reverseIterator()', () => {
+	test('set.reverseIterator()', () => {
 		const set = new ReverseIterableSet(['a', 'b', 'c'])
 
-		const iterator = set.entries().reverseIterator()
+		const iterator = set.reverseIterator()
 		expect(iterator.hasOwnProperty('next')).toBe(true)
 
 		let iteratorResult = iterator.next()
 
 		expect(iteratorResult.hasOwnProperty('done')).toBe(true)
 		expect(iteratorResult.hasOwnProperty('value')).toBe(true)
-		expect(Array.isArray(iteratorResult.value)).toBe(true)
 
 		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value[0]).toBe('c')
-		expect(iteratorResult.value[1]).toBe('c')
+		expect(iteratorResult.value).toBe('c')
 
 		iteratorResult = iterator.next()
 		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value[0]).toBe('b')
-		expect(iteratorResult.value[1]).toBe('b')
+		expect(iteratorResult.value).toBe('b')
 
 		iteratorResult = iterator.next()
 		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value[0]).toBe('a')
-		expect(iteratorResult.value[1]).toBe('a')
+		expect(iteratorResult.value).toBe('a')
 
 		iteratorResult = iterator.next()
 		expect(iteratorResult.done).toBe(true)
 		expect(iteratorResult.value).toBe(undefined)
 	})
 
-	test('set.iteratorFor()', () => {
-		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+	test('set.entries()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
 
-		const iterator = set.iteratorFor('c')
+		const iterator = set.entries()
 		expect(iterator.hasOwnProperty('next')).toBe(true)
 
 		let iteratorResult = iterator.next()
 
 		expect(iteratorResult.hasOwnProperty('done')).toBe(true)
 		expect(iteratorResult.hasOwnProperty('value')).toBe(true)
+		expect(Array.isArray(iteratorResult.value)).toBe(true)
 
 		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('c')
+		expect(iteratorResult.value[0]).toBe('a')
+		expect(iteratorResult.value[1]).toBe('a')
 
 		iteratorResult = iterator.next()
 		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('d')
+		expect(iteratorResult.value[0]).toBe('b')
+		expect(iteratorResult.value[1]).toBe('b')
 
 		iteratorResult = iterator.next()
 		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('e')
+		expect(iteratorResult.value[0]).toBe('c')
+		expect(iteratorResult.value[1]).toBe('c')
 
 		iteratorResult = iterator.next()
 		expect(iteratorResult.done).toBe(true)
 		expect(iteratorResult.value).toBe(undefined)
 	})
 
-	test('set.iteratorFor().reverseIterator()', () => {
-		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+	test('set.values()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
 
-		const iterator = set.iteratorFor('c').reverseIterator()
+		const iterator = set.values()
 		expect(iterator.hasOwnProperty('next')).toBe(true)
 
 		let iteratorResult = iterator.next()
@@ -451,7 +1372,7 @@ describe('ReverseIterableSet', () => {
 		expect(iteratorResult.hasOwnProperty('value')).toBe(true)
 
 		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('c')
+		expect(iteratorResult.value).toBe('a')
 
 		iteratorResult = iterator.next()
 		expect(iteratorResult.done).toBe(false)
@@ -459,14 +1380,99 @@ describe('ReverseIterableSet', () => {
 
 		iteratorResult = iterator.next()
 		expect(iteratorResult.done).toBe(false)
-		expect(iteratorResult.value).toBe('a')
+		expect(iteratorResult.value).toBe('c')
 
 		iteratorResult = iterator.next()
 		expect(iteratorResult.done).toBe(true)
 		expect(iteratorResult.value).toBe(undefined)
 	})
 
-	test('Spread operator: [...set]', () => {
+	test('set.entries().reverseIterator()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		const iterator = set.entries().reverseIterator()
+		expect(iterator.hasOwnProperty('next')).toBe(true)
+
+		let iteratorResult = iterator.next()
+
+		expect(iteratorResult.hasOwnProperty('done')).toBe(true)
+		expect(iteratorResult.hasOwnProperty('value')).toBe(true)
+		expect(Array.isArray(iteratorResult.value)).toBe(true)
+
+		expect(iteratorResult.done).toBe(false)
+		expect(iteratorResult.value[0]).toBe('c')
+		expect(iteratorResult.value[1]).toBe('c')
+
+		iteratorResult = iterator.next()
+		expect(iteratorResult.done).toBe(false)
+		expect(iteratorResult.value[0]).toBe('b')
+		expect(iteratorResult.value[1]).toBe('b')
+
+		iteratorResult = iterator.next()
+		expect(iteratorResult.done).toBe(false)
+		expect(iteratorResult.value[0]).toBe('a')
+		expect(iteratorResult.value[1]).toBe('a')
+
+		iteratorResult = iterator.next()
+		expect(iteratorResult.done).toBe(true)
+		expect(iteratorResult.value).toBe(undefined)
+	})
+
+	test('set.iteratorFor()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+
+		const iterator = set.iteratorFor('c')
+		expect(iterator.hasOwnProperty('next')).toBe(true)
+
+		let iteratorResult = iterator.next()
+
+		expect(iteratorResult.hasOwnProperty('done')).toBe(true)
+		expect(iteratorResult.hasOwnProperty('value')).toBe(true)
+
+		expect(iteratorResult.done).toBe(false)
+		expect(iteratorResult.value).toBe('c')
+
+		iteratorResult = iterator.next()
+		expect(iteratorResult.done).toBe(false)
+		expect(iteratorResult.value).toBe('d')
+
+		iteratorResult = iterator.next()
+		expect(iteratorResult.done).toBe(false)
+		expect(iteratorResult.value).toBe('e')
+
+		iteratorResult = iterator.next()
+		expect(iteratorResult.done).toBe(true)
+		expect(iteratorResult.value).toBe(undefined)
+	})
+
+	test('set.iteratorFor().reverseIterator()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+
+		const iterator = set.iteratorFor('c').reverseIterator()
+		expect(iterator.hasOwnProperty('next')).toBe(true)
+
+		let iteratorResult = iterator.next()
+
+		expect(iteratorResult.hasOwnProperty('done')).toBe(true)
+		expect(iteratorResult.hasOwnProperty('value')).toBe(true)
+
+		expect(iteratorResult.done).toBe(false)
+		expect(iteratorResult.value).toBe('c')
+
+		iteratorResult = iterator.next()
+		expect(iteratorResult.done).toBe(false)
+		expect(iteratorResult.value).toBe('b')
+
+		iteratorResult = iterator.next()
+		expect(iteratorResult.done).toBe(false)
+		expect(iteratorResult.value).toBe('a')
+
+		iteratorResult = iterator.next()
+		expect(iteratorResult.done).toBe(true)
+		expect(iteratorResult.value).toBe(undefined)
+	})
+
+	test('Spread operator: [...set]', () => {
 		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
 
 		expect([...set]).toEqual(['a', 'b', 'c', 'd', 'e'])
@@ -495,4 +1501,1560 @@ describe('ReverseIterableSet', () => {
 
 		expect([...set.values()]).toEqual(['a', 'b', 'c', 'd', 'e'])
 	})
+
+	test('set.keys()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect([...set.keys()]).toEqual(['a', 'b', 'c'])
+		expect([...set.keys().reverseIterator()]).toEqual(['c', 'b', 'a'])
+	})
+
+	test('set.range()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+
+		expect([...set.range('b', 'd')]).toEqual(['b', 'c', 'd'])
+		expect([...set.range('d', 'b')]).toEqual(['b', 'c', 'd'])
+		expect([...set.range('b', 'b')]).toEqual(['b'])
+		expect([...set.range('b', 'd', { inclusive: false })]).toEqual(['c'])
+		expect([...set.range('b', 'c', { inclusive: false })]).toEqual([])
+		expect([...set.range('b', 'd', { direction: 'reverse' })]).toEqual(['d', 'c', 'b'])
+		expect([...set.range('a', 'e', { direction: 'reverse', inclusive: false })]).toEqual(['d', 'c', 'b'])
+	})
+
+	test('set.range().reverseIterator()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+
+		expect([...set.range('b', 'd').reverseIterator()]).toEqual(['d', 'c', 'b'])
+		expect([...set.range('b', 'd', { direction: 'reverse' }).reverseIterator()]).toEqual(['b', 'c', 'd'])
+		expect([...set.range('b', 'd').map((value) => value.toUpperCase()).reverseIterator()]).toEqual(['D', 'C', 'B'])
+	})
+
+	test('set.range() with missing bounds', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(() => set.range('a', 'x')).toThrow(RangeError)
+		expect(() => set.range('x', 'a', { ifMissing: 'throw' })).toThrow(RangeError)
+		expect([...set.range('a', 'x', { ifMissing: 'empty' })]).toEqual([])
+		expect([...set.range('a', 'x', { ifMissing: 'empty' }).reverseIterator()]).toEqual([])
+		expect(() => set.range('a', 'c', { direction: /** @type {any} */ ('up') })).toThrow(RangeError)
+		expect(() => set.range('a', 'c', { ifMissing: /** @type {any} */ ('ignore') })).toThrow(RangeError)
+	})
+
+	test('set.range() with key lookups', () => {
+		const set = new ReverseIterableSet([{ id: 1 }, { id: 2 }, { id: 3 }], { key: (item) => item.id })
+
+		expect([...set.range(ReverseIterableSet.byKey(3), ReverseIterableSet.byKey(2))]).toEqual([{ id: 2 }, { id: 3 }])
+	})
+
+	test('set.range() during mutation', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+
+		const iterator = set.range('b', 'd')
+		expect(iterator.next().value).toBe('b')
+		set.insertAfter('b', 'x')
+		set.delete('c')
+		expect([...iterator]).toEqual(['x', 'd'])
+
+		const movedIterator = set.range('b', 'd')
+		expect(movedIterator.next().value).toBe('b')
+		set.moveToFront('d')
+		expect([...movedIterator]).toEqual([])
+
+		const deletedIterator = set.range('a', 'e')
+		expect(deletedIterator.next().value).toBe('a')
+		set.delete('e')
+		expect(deletedIterator.next().done).toBe(true)
+
+		const clearedIterator = set.range('a', 'b')
+		set.clear()
+		set.add('a').add('b')
+		expect(clearedIterator.next().done).toBe(true)
+	})
+
+	test('set.rangeEntries()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect([...set.rangeEntries('a', 'b')]).toEqual([['a', 'a'], ['b', 'b']])
+		expect([...set.rangeEntries('c', 'b', { direction: 'reverse' })]).toEqual([['c', 'c'], ['b', 'b']])
+		expect([...set.rangeEntries('a', 'x', { ifMissing: 'empty' })]).toEqual([])
+		expect(() => set.rangeEntries('a', 'x')).toThrow(RangeError)
+	})
+
+	test('set.union()', () => {
+		const set = new ReverseIterableSet(['c', 'a', 'b'])
+		const union = set.union(new Set(['d', 'a', 'e']))
+
+		expect(union).not.toBe(set)
+		expect(union instanceof ReverseIterableSet).toBe(true)
+		expect([...union]).toEqual(['c', 'a', 'b', 'd', 'e'])
+		expect([...set]).toEqual(['c', 'a', 'b'])
+	})
+
+	test('set.intersection() keeps the order of the receiver', () => {
+		const set = new ReverseIterableSet(['c', 'a', 'b', 'd'])
+
+		expect([...set.intersection(new Set(['d', 'a']))]).toEqual(['a', 'd'])
+		expect([...set.intersection(new Set(['x', 'd', 'b', 'y', 'a', 'z']))]).toEqual(['a', 'b', 'd'])
+		expect([...set.intersection(new Set())]).toEqual([])
+	})
+
+	test('set.difference()', () => {
+		const set = new ReverseIterableSet(['c', 'a', 'b', 'd'])
+
+		expect([...set.difference(new Set(['d', 'a', 'x']))]).toEqual(['c', 'b'])
+		expect([...set.difference(new Set())]).toEqual(['c', 'a', 'b', 'd'])
+	})
+
+	test('set.symmetricDifference()', () => {
+		const set = new ReverseIterableSet(['c', 'a', 'b'])
+
+		expect([...set.symmetricDifference(new ReverseIterableSet(['e', 'a', 'd', 'c']))]).toEqual(['b', 'e', 'd'])
+	})
+
+	test('set.isSubsetOf()', () => {
+		const set = new ReverseIterableSet([1, 2])
+
+		expect(set.isSubsetOf(new Set([2, 3, 1]))).toBe(true)
+		expect(set.isSubsetOf(new Set([2, 3]))).toBe(false)
+		expect(set.isSubsetOf(new Set([1]))).toBe(false)
+		expect(new ReverseIterableSet().isSubsetOf(new Set())).toBe(true)
+	})
+
+	test('set.isSupersetOf()', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+
+		expect(set.isSupersetOf(new Set([3, 1]))).toBe(true)
+		expect(set.isSupersetOf(new Set([3, 4]))).toBe(false)
+		expect(set.isSupersetOf(new Set([1, 2, 3, 4]))).toBe(false)
+	})
+
+	test('set.isDisjointFrom()', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+
+		expect(set.isDisjointFrom(new Set([4, 5]))).toBe(true)
+		expect(set.isDisjointFrom(new Set([4, 5, 6, 7, 8]))).toBe(true)
+		expect(set.isDisjointFrom(new Set([5, 3]))).toBe(false)
+		expect(set.isDisjointFrom(new Set([5, 6, 7, 8, 1]))).toBe(false)
+	})
+
+	test('Set composition methods accept set-like objects', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+		const setLike = {
+			size: 2,
+			has: (/** @type {number} */ value) => value % 2 === 0,
+			keys: () => [4, 2].values(),
+		}
+
+		expect([...set.union(setLike)]).toEqual([1, 2, 3, 4])
+		expect([...set.intersection(setLike)]).toEqual([2])
+		expect([...set.difference(setLike)]).toEqual([1, 3])
+		expect([...set.symmetricDifference(setLike)]).toEqual([1, 3, 4])
+		expect(set.isSupersetOf(setLike)).toBe(false)
+	})
+
+	test('Set composition methods close the iterator of set-like objects on early exit', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+		let closed = false
+		const setLike = {
+			size: 2,
+			has: () => true,
+			keys: () => ({
+				next: () => ({ done: false, value: 4 }),
+				return: () => {
+					closed = true
+					return { done: true, value: undefined }
+				},
+			}),
+		}
+
+		expect(set.isSupersetOf(setLike)).toBe(false)
+		expect(closed).toBe(true)
+	})
+
+	test('Set composition methods reject invalid set-like objects', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+
+		expect(() => set.union(/** @type {any} */ ([1, 2]))).toThrow(TypeError)
+		expect(() => set.union(/** @type {any} */ (null))).toThrow(TypeError)
+		expect(() => set.union(/** @type {any} */ ({ size: 1, has: () => true }))).toThrow(TypeError)
+		expect(() => set.union(/** @type {any} */ ({ size: 1, keys: () => [].values() }))).toThrow(TypeError)
+		expect(() => set.union(/** @type {any} */ ({ size: 'one', has: () => true, keys: () => [].values() }))).toThrow(TypeError)
+		expect(() => set.union(/** @type {any} */ ({ size: -1, has: () => true, keys: () => [].values() }))).toThrow(RangeError)
+		expect(() => set.union(/** @type {any} */ ({ size: 1, has: () => true, keys: () => 1 }))).toThrow(TypeError)
+
+		// The messages name the called method.
+		expect(() => set.union(/** @type {any} */ (null))).toThrow('ReverseIterableSet.prototype.union: The argument must be a set-like object')
+		expect(() => set.isSubsetOf(/** @type {any} */ ({ size: -1, has: () => true, keys: () => [].values() }))).toThrow('ReverseIterableSet.prototype.isSubsetOf: The argument must have a non-negative `size` property')
+		expect(() => set.symmetricDifference(/** @type {any} */ ({ size: 1, has: () => true, keys: () => 1 }))).toThrow('ReverseIterableSet.prototype.symmetricDifference: The `keys` method of the argument must return an iterator object')
+		expect(() => set.equals(/** @type {any} */ ({ size: 1, has: () => true }))).toThrow('ReverseIterableSet.prototype.equals: The argument must have a callable `keys` method')
+	})
+
+	describe('Subclasses', () => {
+		/** @type {unknown[]} */ const added = []
+
+		/**
+		 * @template V
+		 * @extends {ReverseIterableSet<V>}
+		 */
+		class TaggedSet extends ReverseIterableSet {
+			/**
+			 * @param {V} value
+			 */
+			add(value) {
+				added.push(value)
+
+				return super.add(value)
+			}
+		}
+
+		test('ReverseIterableSet.from()', () => {
+			added.length = 0
+			const set = TaggedSet.from(['a', 'b', 'a'])
+
+			expect(set).toBeInstanceOf(TaggedSet)
+			expect([...set]).toEqual(['a', 'b'])
+			expect(added).toEqual(['a', 'b', 'a'])
+
+			const mapped = ReverseIterableSet.from(new Set([1, 2, 3]), /** @this {{ factor: number }} */ function (value, index) {
+				return value * this.factor + index
+			}, { factor: 10 })
+			expect(mapped).toBeInstanceOf(ReverseIterableSet)
+			expect([...mapped]).toEqual([10, 21, 32])
+			expect(() => ReverseIterableSet.from([1], /** @type {any} */ ('not a function'))).toThrow(TypeError)
+			expect(() => ReverseIterableSet.from(/** @type {any} */ (42))).toThrow(TypeError)
+		})
+
+		test('ReverseIterableSet.of()', () => {
+			added.length = 0
+			const set = TaggedSet.of('a', 'b', 'c')
+
+			expect(set).toBeInstanceOf(TaggedSet)
+			expect([...set]).toEqual(['a', 'b', 'c'])
+			expect(added).toEqual(['a', 'b', 'c'])
+			expect([...ReverseIterableSet.of()]).toEqual([])
+		})
+
+		test('ReverseIterableSet.fromJSON()', () => {
+			expect(TaggedSet.fromJSON('["a","b"]')).toBeInstanceOf(TaggedSet)
+		})
+
+		test('Derived sets are created via Symbol.species', () => {
+			const set = new TaggedSet([1, 2, 3])
+			const other = new Set([3, 4])
+
+			expect(ReverseIterableSet[Symbol.species]).toBe(ReverseIterableSet)
+			expect(TaggedSet[Symbol.species]).toBe(TaggedSet)
+
+			added.length = 0
+			const union = set.union(other)
+			expect(union).toBeInstanceOf(TaggedSet)
+			expect([...union]).toEqual([1, 2, 3, 4])
+			expect(added).toEqual([1, 2, 3, 3, 4])
+
+			expect(set.intersection(other)).toBeInstanceOf(TaggedSet)
+			expect(set.difference(other)).toBeInstanceOf(TaggedSet)
+			expect(set.symmetricDifference(other)).toBeInstanceOf(TaggedSet)
+			expect(set.slice(1)).toBeInstanceOf(TaggedSet)
+			expect(set.clone()).toBeInstanceOf(TaggedSet)
+		})
+
+		test('Symbol.species can be overridden', () => {
+			/** @extends {ReverseIterableSet<number>} */
+			class PlainSpeciesSet extends ReverseIterableSet {
+				static get [Symbol.species]() {
+					return ReverseIterableSet
+				}
+			}
+
+			const set = new PlainSpeciesSet([1, 2])
+			expect(set.union(new Set([3]))).not.toBeInstanceOf(PlainSpeciesSet)
+			expect(set.clone()).toBeInstanceOf(ReverseIterableSet)
+
+			const invalidSet = /** @type {any} */ (new ReverseIterableSet([1]))
+			invalidSet.constructor = { [Symbol.species]: 'not a constructor' }
+			expect(() => invalidSet.slice()).toThrow(TypeError)
+			invalidSet.constructor = { [Symbol.species]: null }
+			expect(invalidSet.slice()).toBeInstanceOf(ReverseIterableSet)
+			invalidSet.constructor = undefined
+			expect(invalidSet.slice()).toBeInstanceOf(ReverseIterableSet)
+		})
+	})
+
+	test('set.clone()', () => {
+		/** @type {number[]} */ const evicted = []
+		const set = new ReverseIterableSet([{ id: 1 }, { id: 2 }], { key: (value) => value.id, maxSize: 2, onEvict: (value) => evicted.push(value.id), history: 5 })
+		const copy = set.clone()
+
+		expect(copy).not.toBe(set)
+		expect([...copy]).toEqual([...set])
+		expect(copy.first()).toBe(set.first())
+		expect(copy.has({ id: 1 })).toBe(true)
+		expect(copy.undo()).toBe(false)
+
+		copy.add({ id: 3 })
+		expect(evicted).toEqual([1])
+		expect(set.size).toBe(2)
+		expect(copy.undo()).toBe(true)
+		expect([...copy].map((value) => value.id)).toEqual([1, 2])
+
+		const sortedCopy = new ReverseIterableSet([3, 1], { compare: (a, b) => a - b }).clone()
+		sortedCopy.add(2)
+		expect([...sortedCopy]).toEqual([1, 2, 3])
+	})
+
+	test('Iterating a set containing undefined', () => {
+		const set = new ReverseIterableSet([1, undefined, 2])
+
+		expect([...set]).toEqual([1, undefined, 2])
+		expect([...set.reverseIterator()]).toEqual([2, undefined, 1])
+		expect([...set.entries()]).toEqual([[1, 1], [undefined, undefined], [2, 2]])
+		expect([...set.iteratorFor(undefined)]).toEqual([undefined, 2])
+		expect([...new ReverseIterableSet([undefined])]).toEqual([undefined])
+	})
+
+	test('set.reverseIterator() starts lazily', () => {
+		const set = new ReverseIterableSet(['a', 'b'])
+		const iterator = set.reverseIterator()
+		const entriesIterator = set.entries().reverseIterator()
+
+		set.add('c')
+
+		expect([...iterator]).toEqual(['c', 'b', 'a'])
+		expect([...entriesIterator]).toEqual([['c', 'c'], ['b', 'b'], ['a', 'a']])
+	})
+
+	test('Iterators stay done once exhausted', () => {
+		const set = new ReverseIterableSet(['a'])
+		const iterator = set.values()
+
+		expect(iterator.next()).toEqual({ value: 'a', done: false })
+		expect(iterator.next()).toEqual({ value: undefined, done: true })
+
+		set.add('b')
+		expect(iterator.next()).toEqual({ value: undefined, done: true })
+	})
+
+	test('set.iteratorFor() with a start value deleted before iterating', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
+		const iterator = set.iteratorFor('b')
+		const reverseIterator = set.iteratorFor('c').reverseIterator()
+
+		set.delete('b')
+		set.delete('c')
+
+		expect([...iterator]).toEqual(['d'])
+		expect([...reverseIterator]).toEqual(['a'])
+	})
+
+	test('Iterators are unaffected by the reuse of deleted nodes', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
+		const iterator = set.values()
+		const reverseIterator = set.reverseIterator()
+		const startIterator = set.iteratorFor('c')
+		const rangeIterator = set.range('a', 'd')
+
+		iterator.next()
+		iterator.next()
+		reverseIterator.next()
+		reverseIterator.next()
+		rangeIterator.next()
+		rangeIterator.next()
+
+		// The new values take the slots of the deleted ones.
+		set.delete('b')
+		set.delete('c')
+		set.add('x')
+		set.add('y')
+
+		expect([...iterator]).toEqual(['d', 'x', 'y'])
+		expect([...reverseIterator]).toEqual(['a'])
+		expect([...startIterator]).toEqual(['d', 'x', 'y'])
+		expect([...rangeIterator]).toEqual(['d'])
+	})
+
+	test('set.cursor()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+		const cursor = set.cursor('b')
+
+		expect(cursor.value).toBe('b')
+		expect(cursor.peekNext()).toBe('c')
+		expect(cursor.peekPrev()).toBe('a')
+		expect(cursor.next()).toBe('c')
+		expect(cursor.next()).toBe(undefined)
+		expect(cursor.value).toBe('c')
+		expect(cursor.prev()).toBe('b')
+		expect(cursor.prev()).toBe('a')
+		expect(cursor.prev()).toBe(undefined)
+		expect(cursor.peekPrev()).toBe(undefined)
+		expect(cursor.value).toBe('a')
+		expect(() => set.cursor('x')).toThrow(RangeError)
+	})
+
+	test('set.cursor() without a start value', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		const cursor = set.cursor()
+		expect(cursor.value).toBe(undefined)
+		expect(cursor.peekNext()).toBe('a')
+		expect(cursor.peekPrev()).toBe('c')
+		expect(cursor.next()).toBe('a')
+
+		const otherCursor = set.cursor()
+		expect(otherCursor.prev()).toBe('c')
+		expect(otherCursor.next()).toBe(undefined)
+
+		const emptyCursor = new ReverseIterableSet().cursor()
+		expect(emptyCursor.next()).toBe(undefined)
+		expect(emptyCursor.prev()).toBe(undefined)
+	})
+
+	test('set.cursor() with wrap', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+		const cursor = set.cursor('c', { wrap: true })
+
+		expect(cursor.peekNext()).toBe('a')
+		expect(cursor.next()).toBe('a')
+		expect(cursor.prev()).toBe('c')
+		expect(cursor.prev()).toBe('b')
+
+		const singleCursor = new ReverseIterableSet(['a']).cursor('a', { wrap: true })
+		expect(singleCursor.next()).toBe('a')
+		expect(singleCursor.prev()).toBe('a')
+	})
+
+	test('cursor.remove()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+		const cursor = set.cursor('b')
+
+		expect(cursor.remove()).toBe(true)
+		expect([...set]).toEqual(['a', 'c'])
+		expect(cursor.value).toBe(undefined)
+		expect(cursor.remove()).toBe(false)
+		expect(cursor.peekPrev()).toBe('a')
+		expect(cursor.peekNext()).toBe('c')
+		expect(cursor.next()).toBe('c')
+		expect(cursor.remove()).toBe(true)
+		expect(cursor.next()).toBe(undefined)
+		expect(cursor.prev()).toBe('a')
+		expect(cursor.remove()).toBe(true)
+		expect(set.size).toBe(0)
+		expect(cursor.next()).toBe(undefined)
+		expect(cursor.prev()).toBe(undefined)
+	})
+
+	test('cursor.insertBefore()/cursor.insertAfter()', () => {
+		const set = new ReverseIterableSet(['b', 'd'])
+		const cursor = set.cursor('b')
+
+		expect(cursor.insertBefore('a')).toBe(cursor)
+		expect(cursor.insertAfter('c')).toBe(cursor)
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+		expect(cursor.value).toBe('b')
+
+		cursor.insertAfter('d')
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+
+		// Values inserted at the gap of a removed value end up before and after the cursor.
+		cursor.remove()
+		cursor.insertBefore('x').insertAfter('y')
+		expect([...set]).toEqual(['a', 'x', 'y', 'c', 'd'])
+		expect(cursor.prev()).toBe('x')
+		expect(cursor.next()).toBe('y')
+
+		// A cursor without a value inserts between the last and the first value.
+		set.cursor().insertBefore('z').insertAfter('0')
+		expect([...set]).toEqual(['0', 'a', 'x', 'y', 'c', 'd', 'z'])
+		expect(() => set.validate()).not.toThrow()
+
+		const sortedSet = new ReverseIterableSet([1, 3], { compare: (a, b) => a - b })
+		expect(() => sortedSet.cursor(1).insertAfter(2)).toThrow(TypeError)
+		expect(sortedSet.cursor(1).next()).toBe(3)
+	})
+
+	test('Cursors stay valid when values are deleted through the set', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd', 'e'])
+		const cursor = set.cursor('c')
+
+		set.delete('c')
+		expect(cursor.value).toBe(undefined)
+
+		// The gap follows its neighbor and isn't confused by new values reusing the slots of deleted ones.
+		set.delete('b')
+		set.add('x')
+		set.add('y')
+		expect(cursor.peekPrev()).toBe('a')
+		expect(cursor.peekNext()).toBe('d')
+
+		set.deleteAll(['a', 'd'])
+		expect(cursor.prev()).toBe(undefined)
+		expect(cursor.next()).toBe('e')
+
+		set.clear()
+		set.add('f')
+		expect(cursor.value).toBe(undefined)
+		expect(cursor.next()).toBe('f')
+	})
+
+	test('Cursors follow moved and reordered values', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
+		const cursor = set.cursor('b')
+
+		set.moveToBack('b')
+		expect(cursor.value).toBe('b')
+		expect(cursor.peekPrev()).toBe('d')
+
+		set.reverse()
+		expect(cursor.next()).toBe('d')
+	})
+
+	test('Storage grows and reuses the slots of deleted values', () => {
+		/** @type {ReverseIterableSet<number | string>} */ const set = new ReverseIterableSet()
+
+		for (let i = 0; i < 100; i++) {
+			set.add(i)
+		}
+
+		for (let i = 0; i < 100; i += 2) {
+			set.delete(i)
+		}
+
+		for (let i = 100; i < 150; i++) {
+			set.add(i)
+		}
+
+		expect(set.size).toBe(100)
+		expect(set.at(49)).toBe(99)
+		expect(set.at(50)).toBe(100)
+		expect(() => set.validate()).not.toThrow()
+
+		set.clear()
+		set.add('a')
+		expect([...set]).toEqual(['a'])
+	})
+
+	test('Unused iterators and cursors can be garbage-collected', async () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+		let collected = 0
+		const registry = new FinalizationRegistry(() => {
+			collected++
+		})
+
+		// Creates the iterators in a separate scope so that the test doesn't hold on to them.
+		const createUnusedIterators = () => {
+			const iterators = [set.values(), set.iteratorFor('b'), set.range('a', 'c'), set.cursor('a'), set[Symbol.asyncIterator]()]
+
+			for (const iterator of iterators) {
+				if (!('peekNext' in iterator) && Symbol.iterator in iterator) {
+					iterator.next()
+				}
+
+				registry.register(iterator, null)
+			}
+
+			return iterators.length
+		}
+
+		const count = createUnusedIterators()
+		await collectGarbage(() => collected === count)
+
+		expect(collected).toBe(count)
+		set.delete('b')
+		expect([...set]).toEqual(['a', 'c'])
+	})
+
+	test('set.forEach() visits values added during iteration', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+		/** @type {number[]} */ const visited = []
+
+		set.forEach((value) => {
+			visited.push(value)
+
+			if (value < 5) {
+				set.add(value + 3)
+			}
+		})
+
+		expect(visited).toEqual([1, 2, 3, 4, 5, 6, 7])
+	})
+
+	/**
+	 * Each case mutates `['a', 'b', 'c', 'd']` once the iterator yields `trigger` and lists the values the iterator yields in total.
+	 *
+	 * @type {Array<[string, string, (set: ReverseIterableSet<string>) => void, string[]]>}
+	 */
+	const forwardMutationCases = [
+		['add() a new value', 'b', (set) => set.add('e'), ['a', 'b', 'c', 'd', 'e']],
+		['add() an existing value', 'b', (set) => set.add('a'), ['a', 'b', 'c', 'd']],
+		['addFirst() a new value', 'b', (set) => set.addFirst('z'), ['a', 'b', 'c', 'd']],
+		['insertBefore() the current value', 'b', (set) => set.insertBefore('b', 'x'), ['a', 'b', 'c', 'd']],
+		['insertAfter() the current value', 'b', (set) => set.insertAfter('b', 'x'), ['a', 'b', 'x', 'c', 'd']],
+		['delete() the current value', 'b', (set) => set.delete('b'), ['a', 'b', 'c', 'd']],
+		['delete() the next value', 'b', (set) => set.delete('c'), ['a', 'b', 'd']],
+		['delete() the current and the next value', 'b', (set) => { set.delete('b'); set.delete('c') }, ['a', 'b', 'd']],
+		['delete() the next and the current value', 'b', (set) => { set.delete('c'); set.delete('b') }, ['a', 'b', 'd']],
+		['delete() a visited value', 'b', (set) => set.delete('a'), ['a', 'b', 'c', 'd']],
+		['delete() and add() the current value', 'b', (set) => { set.delete('b'); set.add('b') }, ['a', 'b', 'c', 'd', 'b']],
+		['delete() the last value', 'd', (set) => set.delete('d'), ['a', 'b', 'c', 'd']],
+		['delete() the last value and add()', 'd', (set) => { set.delete('d'); set.add('e') }, ['a', 'b', 'c', 'd', 'e']],
+		['shift()', 'b', (set) => set.shift(), ['a', 'b', 'c', 'd']],
+		['pop()', 'b', (set) => set.pop(), ['a', 'b', 'c']],
+		['moveBefore() a pending value before a visited value', 'b', (set) => set.moveBefore('a', 'c'), ['a', 'b', 'd']],
+		['moveAfter() a visited value after a pending value', 'b', (set) => set.moveAfter('d', 'a'), ['a', 'b', 'c', 'd', 'a']],
+		['moveToFront() a pending value', 'b', (set) => set.moveToFront('d'), ['a', 'b', 'c']],
+		['moveToBack() a pending value', 'b', (set) => set.moveToBack('c'), ['a', 'b', 'd', 'c']],
+		['moveToBack() the current value', 'b', (set) => set.moveToBack('b'), ['a', 'b']],
+		['clear()', 'b', (set) => set.clear(), ['a', 'b']],
+		['clear() and add()', 'b', (set) => { set.clear(); set.add('x') }, ['a', 'b', 'x']],
+	]
+
+	test.each(forwardMutationCases)('Forward iteration with %s', (_, trigger, mutate, expected) => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
+		/** @type {string[]} */ const visited = []
+		let mutated = false
+
+		for (const value of set) {
+			visited.push(value)
+
+			if (value === trigger && !mutated) {
+				mutate(set)
+				mutated = true
+			}
+		}
+
+		expect(visited).toEqual(expected)
+	})
+
+	/** @type {Array<[string, string, (set: ReverseIterableSet<string>) => void, string[]]>} */
+	const reverseMutationCases = [
+		['add() a new value', 'c', (set) => set.add('e'), ['d', 'c', 'b', 'a']],
+		['addFirst() a new value', 'c', (set) => set.addFirst('z'), ['d', 'c', 'b', 'a', 'z']],
+		['addFirst() an existing value', 'c', (set) => set.addFirst('d'), ['d', 'c', 'b', 'a']],
+		['insertBefore() the current value', 'c', (set) => set.insertBefore('c', 'x'), ['d', 'c', 'x', 'b', 'a']],
+		['insertAfter() the current value', 'c', (set) => set.insertAfter('c', 'x'), ['d', 'c', 'b', 'a']],
+		['delete() the current value', 'c', (set) => set.delete('c'), ['d', 'c', 'b', 'a']],
+		['delete() the next value', 'c', (set) => set.delete('b'), ['d', 'c', 'a']],
+		['delete() the current and the next value', 'c', (set) => { set.delete('c'); set.delete('b') }, ['d', 'c', 'a']],
+		['delete() a visited value', 'c', (set) => set.delete('d'), ['d', 'c', 'b', 'a']],
+		['delete() the first value', 'a', (set) => set.delete('a'), ['d', 'c', 'b', 'a']],
+		['delete() the first value and addFirst()', 'a', (set) => { set.delete('a'); set.addFirst('z') }, ['d', 'c', 'b', 'a', 'z']],
+		['shift()', 'c', (set) => set.shift(), ['d', 'c', 'b']],
+		['pop()', 'c', (set) => set.pop(), ['d', 'c', 'b', 'a']],
+		['moveBefore() a visited value before a pending value', 'c', (set) => set.moveBefore('a', 'd'), ['d', 'c', 'b', 'a', 'd']],
+		['moveAfter() a pending value after a visited value', 'c', (set) => set.moveAfter('d', 'b'), ['d', 'c', 'a']],
+		['moveToFront() a pending value', 'c', (set) => set.moveToFront('b'), ['d', 'c', 'a', 'b']],
+		['moveToBack() a pending value', 'c', (set) => set.moveToBack('a'), ['d', 'c', 'b']],
+		['moveToFront() the current value', 'c', (set) => set.moveToFront('c'), ['d', 'c']],
+		['clear()', 'c', (set) => set.clear(), ['d', 'c']],
+		['clear() and addFirst()', 'c', (set) => { set.clear(); set.addFirst('x') }, ['d', 'c', 'x']],
+	]
+
+	test.each(reverseMutationCases)('Reverse iteration with %s', (_, trigger, mutate, expected) => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
+		/** @type {string[]} */ const visited = []
+		let mutated = false
+
+		for (const value of set.reverseIterator()) {
+			visited.push(value)
+
+			if (value === trigger && !mutated) {
+				mutate(set)
+				mutated = true
+			}
+		}
+
+		expect(visited).toEqual(expected)
+	})
+
+	test('set.forEach()/set.forEachReverse() after deleting the only value and adding another one', () => {
+		const set = new ReverseIterableSet(['a'])
+		/** @type {string[]} */ const visited = []
+
+		set.forEach((value) => {
+			visited.push(value)
+
+			if (value === 'a') {
+				set.delete('a')
+				set.add('b')
+			}
+		})
+		expect(visited).toEqual(['a', 'b'])
+
+		visited.length = 0
+		set.forEachReverse((value) => {
+			visited.push(value)
+
+			if (value === 'b') {
+				set.delete('b')
+				set.addFirst('c')
+			}
+		})
+		expect(visited).toEqual(['b', 'c'])
+	})
+
+	test('iterator.map()', () => {
+		const set = new ReverseIterableSet([1, 2, 3])
+		/** @type {number[]} */ const indices = []
+		const iterator = set.values().map((value, index) => {
+			indices.push(index)
+			return value * 10
+		})
+
+		expect(indices).toEqual([])
+		expect(iterator.next()).toEqual({ value: 10, done: false })
+		expect(indices).toEqual([0])
+		expect([...iterator]).toEqual([20, 30])
+		expect([...set.values().map((value) => value * 10).reverseIterator()]).toEqual([30, 20, 10])
+		expect([...set.entries().map(([value]) => value)]).toEqual([1, 2, 3])
+	})
+
+	test('iterator.filter()', () => {
+		const set = new ReverseIterableSet([1, 2, 3, 4, 5])
+		const iterator = set.values().filter((value) => value % 2 === 1)
+
+		expect([...iterator]).toEqual([1, 3, 5])
+		expect([...set.values().filter((value) => value % 2 === 1).reverseIterator()]).toEqual([5, 3, 1])
+		expect([...set.values().filter((_, index) => index > 2).reverseIterator()]).toEqual([2, 1])
+	})
+
+	test('iterator.take()', () => {
+		const set = new ReverseIterableSet([1, 2, 3, 4, 5])
+
+		expect([...set.values().take(2)]).toEqual([1, 2])
+		expect([...set.values().take(0)]).toEqual([])
+		expect([...set.values().take(10)]).toEqual([1, 2, 3, 4, 5])
+		expect([...set.values().take(Infinity)]).toEqual([1, 2, 3, 4, 5])
+		expect([...set.values().take(2).reverseIterator()]).toEqual([2, 1])
+		expect([...set.values().take(0).reverseIterator()]).toEqual([])
+		expect([...set.values().take(10).reverseIterator()]).toEqual([5, 4, 3, 2, 1])
+		expect([...set.values().take(Infinity).reverseIterator()]).toEqual([5, 4, 3, 2, 1])
+		expect(() => set.values().take(-1)).toThrow(RangeError)
+		expect(() => set.values().take(NaN)).toThrow(RangeError)
+	})
+
+	test('iterator.take() only pulls the values it yields', () => {
+		const set = new ReverseIterableSet([1, 2, 3, 4, 5])
+		/** @type {number[]} */ const pulled = []
+
+		const values = set.values().map((value) => {
+			pulled.push(value)
+			return value
+		}).take(2).toArray()
+
+		expect(values).toEqual([1, 2])
+		expect(pulled).toEqual([1, 2])
+	})
+
+	test('iterator.drop()', () => {
+		const set = new ReverseIterableSet([1, 2, 3, 4, 5])
+
+		expect([...set.values().drop(2)]).toEqual([3, 4, 5])
+		expect([...set.values().drop(0)]).toEqual([1, 2, 3, 4, 5])
+		expect([...set.values().drop(10)]).toEqual([])
+		expect([...set.values().drop(2).reverseIterator()]).toEqual([5, 4, 3])
+		expect([...set.values().drop(10).reverseIterator()]).toEqual([])
+		expect([...set.values().drop(Infinity).reverseIterator()]).toEqual([])
+		expect(() => set.values().drop(-1)).toThrow(RangeError)
+	})
+
+	test('iterator.drop().reverseIterator() on a large set', () => {
+		const values = Array.from({ length: 5000 }, (_, index) => index)
+		const set = new ReverseIterableSet(values)
+
+		expect([...set.values().drop(3).reverseIterator()]).toEqual(values.slice(3).reverse())
+		expect([...set.values().take(3000).reverseIterator()]).toEqual(values.slice(0, 3000).reverse())
+	})
+
+	test('iterator.flatMap()', () => {
+		const set = new ReverseIterableSet(['ab', 'cd'])
+
+		expect([...set.values().flatMap((value) => value.split(''))]).toEqual(['a', 'b', 'c', 'd'])
+		expect([...set.values().flatMap((value) => value.split('')).reverseIterator()]).toEqual(['d', 'c', 'b', 'a'])
+		expect([...set.values().flatMap((value) => new ReverseIterableSet(value)).reverseIterator()]).toEqual(['d', 'c', 'b', 'a'])
+		expect([...set.values().flatMap((value) => new ReverseIterableSet(value).values()).reverseIterator()]).toEqual(['d', 'c', 'b', 'a'])
+		expect(() => [...set.values().flatMap((value) => /** @type {any} */ (value))]).toThrow(TypeError)
+	})
+
+	test('iterator.reduce()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.values().reduce((accumulator, value) => accumulator + value)).toBe('abc')
+		expect(set.values().reduce((accumulator, value) => accumulator + value, '>')).toBe('>abc')
+		expect(set.values().reverseIterator().reduce((accumulator, value) => accumulator + value)).toBe('cba')
+		expect(set.values().reduce((accumulator, _, index) => [...accumulator, index], /** @type {number[]} */ ([]))).toEqual([0, 1, 2])
+		expect(new ReverseIterableSet([1]).values().reduce((accumulator, _, index) => accumulator + index)).toBe(1)
+		expect(() => new ReverseIterableSet().values().reduce((accumulator) => accumulator)).toThrow(TypeError)
+	})
+
+	test('iterator.toArray()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.values().toArray()).toEqual(['a', 'b', 'c'])
+		expect(set.reverseIterator().toArray()).toEqual(['c', 'b', 'a'])
+		expect(set.values().filter((value) => value !== 'b').reverseIterator().toArray()).toEqual(['c', 'a'])
+	})
+
+	test('iterator.some()/iterator.every()/iterator.find()', () => {
+		const set = new ReverseIterableSet([1, 2, 3, 4])
+
+		expect(set.values().some((value) => value > 3)).toBe(true)
+		expect(set.values().some((value) => value > 4)).toBe(false)
+		expect(set.values().every((value) => value > 0)).toBe(true)
+		expect(set.values().every((value) => value < 4)).toBe(false)
+		expect(set.values().find((value) => value % 2 === 0)).toBe(2)
+		expect(set.reverseIterator().find((value) => value % 2 === 1)).toBe(3)
+		expect(set.values().find((value) => value > 4)).toBe(undefined)
+	})
+
+	test('Iterator helpers reject non-callable callbacks', () => {
+		const iterator = new ReverseIterableSet([1]).values()
+
+		expect(() => iterator.map(/** @type {any} */ (1))).toThrow(TypeError)
+		expect(() => iterator.filter(/** @type {any} */ (1))).toThrow(TypeError)
+		expect(() => iterator.flatMap(/** @type {any} */ (1))).toThrow(TypeError)
+		expect(() => iterator.reduce(/** @type {any} */ (1))).toThrow(TypeError)
+		expect(() => iterator.some(/** @type {any} */ (1))).toThrow(TypeError)
+		expect(() => iterator.every(/** @type {any} */ (1))).toThrow(TypeError)
+		expect(() => iterator.find(/** @type {any} */ (1))).toThrow(TypeError)
+	})
+
+	test('Chaining iterator helpers', () => {
+		const set = new ReverseIterableSet([1, 2, 3, 4, 5, 6, 7, 8])
+		const iterator = set.values()
+			.filter((value) => value % 2 === 0)
+			.map((value) => value * value)
+			.drop(1)
+
+		expect([...iterator]).toEqual([16, 36, 64])
+		expect([...iterator.reverseIterator()]).toEqual([64, 36, 16])
+		expect([...set.iteratorFor(4).reverseIterator().map(String)]).toEqual(['4', '3', '2', '1'])
+	})
+
+	test('set.subscribe() reports added values', () => {
+		const set = new ReverseIterableSet(['b'])
+		/** @type {any[]} */ const changes = []
+		set.subscribe((change, setReference) => {
+			expect(setReference).toBe(set)
+			changes.push(change)
+		})
+
+		set.add('d').addFirst('a').insertBefore('d', 'c').insertAfter('d', 'e')
+		set.add('a').addFirst('e').insertAfter('a', 'b')
+
+		expect(changes).toEqual([
+			{ type: 'add', value: 'd', index: 1, prev: 'b', next: undefined },
+			{ type: 'add', value: 'a', index: 0, prev: undefined, next: 'b' },
+			{ type: 'add', value: 'c', index: 2, prev: 'b', next: 'd' },
+			{ type: 'add', value: 'e', index: 4, prev: 'd', next: undefined },
+		])
+	})
+
+	test('set.subscribe() reports deleted values', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
+		/** @type {any[]} */ const changes = []
+		set.subscribe((change) => changes.push(change))
+
+		set.delete('b')
+		set.delete('x')
+		set.shift()
+		set.pop()
+
+		expect(changes).toEqual([
+			{ type: 'delete', value: 'b', index: 1, prev: 'a', next: 'c' },
+			{ type: 'delete', value: 'a', index: 0, prev: undefined, next: 'c' },
+			{ type: 'delete', value: 'd', index: 1, prev: 'c', next: undefined },
+		])
+	})
+
+	test('set.subscribe() reports moved values', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'])
+		/** @type {any[]} */ const changes = []
+		set.subscribe((change) => changes.push(change))
+
+		set.moveToBack('a').moveToFront('a').moveBefore('d', 'b').moveAfter('a', 'd')
+		set.moveToFront('a').moveToBack('b').moveBefore('b', 'c').moveAfter('a', 'd')
+
+		expect(changes).toEqual([
+			{ type: 'move', value: 'a', index: 3, oldIndex: 0, prev: 'd', next: undefined },
+			{ type: 'move', value: 'a', index: 0, oldIndex: 3, prev: undefined, next: 'b' },
+			{ type: 'move', value: 'b', index: 2, oldIndex: 1, prev: 'c', next: 'd' },
+			{ type: 'move', value: 'd', index: 1, oldIndex: 3, prev: 'a', next: 'c' },
+		])
+		expect([...set]).toEqual(['a', 'd', 'c', 'b'])
+	})
+
+	test('set.subscribe() reports clear() as a single change', () => {
+		const set = new ReverseIterableSet(['b', 'a'])
+		/** @type {any[]} */ const changes = []
+		set.subscribe((change) => changes.push(change))
+
+		set.clear()
+		set.clear()
+
+		expect(changes).toEqual([
+			{ type: 'clear', values: ['b', 'a'] },
+		])
+	})
+
+	test('set.subscribe() reports reordering as a single change', () => {
+		const set = new ReverseIterableSet(['b', 'a', 'c'])
+		/** @type {any[]} */ const changes = []
+		set.subscribe((change) => changes.push(change))
+
+		set.sort()
+		set.sort()
+		set.reverse()
+		set.rotate(3)
+		set.rotate(1)
+
+		expect(changes).toEqual([
+			{ type: 'reorder', values: ['a', 'b', 'c'] },
+			{ type: 'reorder', values: ['c', 'b', 'a'] },
+			{ type: 'reorder', values: ['b', 'a', 'c'] },
+		])
+	})
+
+	test('set.subscribe() reports evictions and LRU touches', () => {
+		const set = new ReverseIterableSet(['a', 'b'], { maxSize: 2, eviction: 'lru' })
+		/** @type {any[]} */ const changes = []
+		set.subscribe((change) => changes.push(change))
+
+		set.has('a')
+		set.has('a')
+		set.add('c')
+
+		expect(changes).toEqual([
+			{ type: 'move', value: 'a', index: 1, oldIndex: 0, prev: 'b', next: undefined },
+			{ type: 'add', value: 'c', index: 2, prev: 'a', next: undefined },
+			{ type: 'delete', value: 'b', index: 0, prev: undefined, next: 'a' },
+		])
+	})
+
+	test('set.subscribe() returns a function which unsubscribes', () => {
+		const set = new ReverseIterableSet()
+		/** @type {string[]} */ const calls = []
+		const listener = () => calls.push('listener')
+		const unsubscribe = set.subscribe(listener)
+		const unsubscribeAgain = set.subscribe(listener)
+
+		set.add(1)
+		expect(calls).toEqual(['listener', 'listener'])
+
+		unsubscribe()
+		unsubscribe()
+		set.add(2)
+		expect(calls).toEqual(['listener', 'listener', 'listener'])
+
+		unsubscribeAgain()
+		set.add(3)
+		expect(calls).toEqual(['listener', 'listener', 'listener'])
+	})
+
+	test('set.subscribe() with listeners subscribing and unsubscribing while notifying', () => {
+		const set = new ReverseIterableSet()
+		/** @type {string[]} */ const calls = []
+		const unsubscribeFirst = set.subscribe(() => {
+			calls.push('first')
+			unsubscribeSecond()
+			set.subscribe(() => calls.push('third'))
+		})
+		const unsubscribeSecond = set.subscribe(() => calls.push('second'))
+
+		set.add(1)
+		expect(calls).toEqual(['first'])
+
+		unsubscribeFirst()
+		set.add(2)
+		expect(calls).toEqual(['first', 'third'])
+	})
+
+	test('set.subscribe() with a non-function', () => {
+		expect(() => new ReverseIterableSet().subscribe(/** @type {any} */ (null))).toThrow(TypeError)
+	})
+
+	test('set.toJSON()', () => {
+		const set = new ReverseIterableSet(['b', 1, 'a', null, true])
+
+		expect(set.toJSON()).toEqual(['b', 1, 'a', null, true])
+		expect(JSON.stringify(set)).toBe('["b",1,"a",null,true]')
+		expect(JSON.stringify({ set })).toBe('{"set":["b",1,"a",null,true]}')
+		expect(JSON.stringify(new ReverseIterableSet([new ReverseIterableSet([1, 2])]))).toBe('[[1,2]]')
+	})
+
+	test('ReverseIterableSet.fromJSON()', () => {
+		const set = new ReverseIterableSet(['b', 1, 'a', null, true, 0])
+		const revived = ReverseIterableSet.fromJSON(JSON.stringify(set))
+
+		expect(revived instanceof ReverseIterableSet).toBe(true)
+		expect([...revived]).toEqual(['b', 1, 'a', null, true, 0])
+		expect([...revived.reverseIterator()]).toEqual([0, true, null, 'a', 1, 'b'])
+		expect(revived.has('a')).toBe(true)
+		expect(revived.has(1)).toBe(true)
+		expect([...ReverseIterableSet.fromJSON(set.toJSON())]).toEqual([...set])
+	})
+
+	test('ReverseIterableSet.fromJSON() with reviver and options', () => {
+		const set = ReverseIterableSet.fromJSON('["2020-01-01","2021-01-01","2022-01-01"]', {
+			reviver: (value, index) => `${index}:${value}`,
+			maxSize: 2,
+		})
+
+		expect([...set]).toEqual(['1:2021-01-01', '2:2022-01-01'])
+	})
+
+	test('ReverseIterableSet.fromJSON() with invalid data', () => {
+		expect(() => ReverseIterableSet.fromJSON('{}')).toThrow(TypeError)
+		expect(() => ReverseIterableSet.fromJSON(/** @type {any} */ (null))).toThrow(TypeError)
+		expect(() => ReverseIterableSet.fromJSON('[')).toThrow(SyntaxError)
+	})
+
+	test('ReverseIterableSet.createJSONCodec() round-trips values JSON can\'t represent', () => {
+		const codec = ReverseIterableSet.createJSONCodec()
+		const date = new Date('2022-04-28T12:00:00Z')
+		const set = new ReverseIterableSet([date, 10n, undefined, NaN, -Infinity, -0, 'text', null])
+
+		const json = JSON.stringify(set.toJSON({ codec }))
+		const revived = ReverseIterableSet.fromJSON(json, { codec })
+		const values = [...revived]
+
+		expect(values).toHaveLength(8)
+		expect(values[0]).toBeInstanceOf(Date)
+		expect(/** @type {Date} */ (values[0]).getTime()).toBe(date.getTime())
+		expect(values.slice(1)).toEqual([10n, undefined, NaN, -Infinity, -0, 'text', null])
+		expect(Object.is(values[5], -0)).toBe(true)
+		expect(revived.has(undefined)).toBe(true)
+		expect(revived.has(NaN)).toBe(true)
+	})
+
+	test('ReverseIterableSet.createJSONCodec() round-trips nested sets', () => {
+		const codec = ReverseIterableSet.createJSONCodec()
+		const set = new ReverseIterableSet([
+			new ReverseIterableSet(['c', 'a']),
+			new ReverseIterableSet([new ReverseIterableSet([2n, 1n])]),
+		])
+
+		const revived = ReverseIterableSet.fromJSON(JSON.stringify(set.toJSON({ codec })), { codec })
+		const [first, second] = /** @type {ReverseIterableSet<any>[]} */ ([...revived])
+
+		expect(first).toBeInstanceOf(ReverseIterableSet)
+		expect([...(/** @type {ReverseIterableSet<any>} */ (first))]).toEqual(['c', 'a'])
+		const inner = [.../** @type {ReverseIterableSet<any>} */ (second)][0]
+		expect(inner).toBeInstanceOf(ReverseIterableSet)
+		expect([...inner]).toEqual([2n, 1n])
+	})
+
+	test('ReverseIterableSet.createJSONCodec() with custom types', () => {
+		class Point {
+			/**
+			 * @param {number} x
+			 * @param {number} y
+			 */
+			constructor(x, y) {
+				this.x = x
+				this.y = y
+			}
+		}
+
+		const codec = ReverseIterableSet.createJSONCodec([
+			{
+				name: 'Point',
+				test: (value) => value instanceof Point,
+				encode: (point) => [point.x, point.y],
+				decode: ([x, y]) => new Point(x, y),
+			},
+		])
+		const set = new ReverseIterableSet([new Point(1, 2), new Point(3, 4)])
+
+		const json = JSON.stringify(set.toJSON({ codec }))
+		expect(json).toBe('[{"$type":"Point","value":[1,2]},{"$type":"Point","value":[3,4]}]')
+
+		const revived = ReverseIterableSet.fromJSON(json, { codec })
+		expect([...revived]).toEqual([new Point(1, 2), new Point(3, 4)])
+		expect(revived.first()).toBeInstanceOf(Point)
+
+		expect(() => ReverseIterableSet.fromJSON('[{"$type":"Point","value":[1,2]}]', {
+			codec: ReverseIterableSet.createJSONCodec(),
+		})).toThrow(TypeError)
+	})
+
+	test('set.transaction()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+
+		expect(set.transaction((s) => {
+			s.add('d')
+			return s.size
+		})).toBe(4)
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+
+		expect(() => set.transaction(() => {
+			set.delete('b')
+			set.addFirst('z')
+			set.moveToBack('a')
+			set.add('e')
+			set.clear()
+			set.add('f')
+			throw new Error('fail')
+		})).toThrow('fail')
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+		expect([...set.reverseIterator()]).toEqual(['d', 'c', 'b', 'a'])
+		expect(set.at(1)).toBe('b')
+
+		expect(() => set.transaction(/** @type {any} */ (null))).toThrow(TypeError)
+	})
+
+	test('set.transaction() rolls back evictions', () => {
+		/** @type {string[]} */ const evicted = []
+		const set = new ReverseIterableSet(['a', 'b', 'c'], { maxSize: 3, onEvict: (value) => evicted.push(value) })
+
+		expect(() => set.transaction(() => {
+			set.add('d')
+			set.addFirst('e')
+			throw new Error('fail')
+		})).toThrow('fail')
+		expect(evicted).toEqual(['a', 'd'])
+		expect([...set]).toEqual(['a', 'b', 'c'])
+	})
+
+	test('Nested set.transaction()', () => {
+		const set = new ReverseIterableSet(['a'])
+
+		set.transaction(() => {
+			set.add('b')
+			expect(() => set.transaction(() => {
+				set.add('c')
+				set.delete('a')
+				throw new Error('fail')
+			})).toThrow('fail')
+			expect([...set]).toEqual(['a', 'b'])
+			set.transaction(() => set.add('d'))
+		})
+		expect([...set]).toEqual(['a', 'b', 'd'])
+
+		expect(() => set.transaction(() => {
+			set.transaction(() => set.delete('a'))
+			throw new Error('fail')
+		})).toThrow('fail')
+		expect([...set]).toEqual(['a', 'b', 'd'])
+	})
+
+	test('set.undo()/set.redo()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c', 'd'], { history: true })
+
+		expect(set.undo()).toBe(false)
+
+		set.delete('b')
+		set.addFirst('z')
+		set.moveAfter('c', 'a')
+		set.insertBefore('d', 'y')
+		expect([...set]).toEqual(['z', 'c', 'a', 'y', 'd'])
+
+		expect(set.undo()).toBe(true)
+		expect([...set]).toEqual(['z', 'c', 'a', 'd'])
+		expect(set.undo()).toBe(true)
+		expect([...set]).toEqual(['z', 'a', 'c', 'd'])
+		expect(set.undo()).toBe(true)
+		expect([...set]).toEqual(['a', 'c', 'd'])
+		expect(set.undo()).toBe(true)
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+		expect(set.undo()).toBe(false)
+
+		expect(set.redo()).toBe(true)
+		expect(set.redo()).toBe(true)
+		expect([...set]).toEqual(['z', 'a', 'c', 'd'])
+		expect(set.redo()).toBe(true)
+		expect(set.redo()).toBe(true)
+		expect(set.redo()).toBe(false)
+		expect([...set]).toEqual(['z', 'c', 'a', 'y', 'd'])
+		expect([...set.reverseIterator()]).toEqual(['d', 'y', 'a', 'c', 'z'])
+	})
+
+	test('set.undo()/set.redo() with clear()', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'], { history: true })
+
+		set.clear()
+		set.add('d')
+		expect(set.undo()).toBe(true)
+		expect(set.undo()).toBe(true)
+		expect([...set]).toEqual(['a', 'b', 'c'])
+		expect(set.indexOf('c')).toBe(2)
+		expect(set.redo()).toBe(true)
+		expect(set.size).toBe(0)
+	})
+
+	test('set.undo()/set.redo() with reordering', () => {
+		const set = new ReverseIterableSet(['c', 'a', 'b'], { history: true })
+
+		set.sort()
+		set.reverse()
+		set.add('d')
+		set.rotate(1)
+		expect([...set]).toEqual(['b', 'a', 'd', 'c'])
+
+		set.undo()
+		set.undo()
+		expect([...set]).toEqual(['c', 'b', 'a'])
+		set.undo()
+		expect([...set]).toEqual(['a', 'b', 'c'])
+		set.undo()
+		expect([...set]).toEqual(['c', 'a', 'b'])
+		expect(set.undo()).toBe(false)
+
+		set.redo()
+		set.redo()
+		set.redo()
+		set.redo()
+		expect([...set]).toEqual(['b', 'a', 'd', 'c'])
+		expect(() => set.validate()).not.toThrow()
+	})
+
+	test('set.undo()/set.redo() ignore LRU touches', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'], { eviction: 'lru', history: true })
+
+		set.add('d')
+		expect(set.undo()).toBe(true)
+		expect(set.has('a')).toBe(true)
+		set.add('b')
+		expect([...set]).toEqual(['c', 'a', 'b'])
+
+		expect(set.redo()).toBe(true)
+		expect([...set]).toEqual(['c', 'a', 'b', 'd'])
+		expect(set.undo()).toBe(true)
+		expect([...set]).toEqual(['c', 'a', 'b'])
+		expect(set.undo()).toBe(false)
+	})
+
+	test('set.undo() reverts transactions, bulk methods and evictions as one step', () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'], { history: true, maxSize: 3 })
+
+		set.transaction(() => {
+			set.delete('a')
+			set.add('d')
+		})
+		set.addAll(['e', 'f'])
+		set.add('g')
+		expect([...set]).toEqual(['e', 'f', 'g'])
+
+		set.undo()
+		expect([...set]).toEqual(['d', 'e', 'f'])
+		set.undo()
+		expect([...set]).toEqual(['b', 'c', 'd'])
+		set.undo()
+		expect([...set]).toEqual(['a', 'b', 'c'])
+		set.redo()
+		set.redo()
+		set.redo()
+		expect([...set]).toEqual(['e', 'f', 'g'])
+
+		// A failed transaction leaves no step behind.
+		expect(() => set.transaction(() => {
+			set.add('h')
+			throw new Error('fail')
+		})).toThrow('fail')
+		set.undo()
+		expect([...set]).toEqual(['d', 'e', 'f'])
+	})
+
+	test('set.undo()/set.redo() with a limit', () => {
+		const set = new ReverseIterableSet(/** @type {string[]} */ ([]), { history: 2 })
+
+		set.add('a')
+		set.add('b')
+		set.add('c')
+		expect(set.undo()).toBe(true)
+		expect(set.undo()).toBe(true)
+		expect(set.undo()).toBe(false)
+		expect([...set]).toEqual(['a'])
+	})
+
+	test('set.redo() after another change', () => {
+		const set = new ReverseIterableSet(['a'], { history: true })
+
+		set.add('b')
+		set.undo()
+		set.add('c')
+		expect(set.redo()).toBe(false)
+		expect([...set]).toEqual(['a', 'c'])
+
+		// Changes which don't change the set keep the steps that can be redone.
+		set.undo()
+		set.add('a')
+		set.delete('x')
+		expect(set.redo()).toBe(true)
+	})
+
+	test('set.undo()/set.redo() in sorted mode', () => {
+		const set = new ReverseIterableSet([3, 1], { history: true, compare: (a, b) => a - b })
+
+		set.add(2)
+		set.deleteAll([1, 3])
+		set.undo()
+		set.undo()
+		expect([...set]).toEqual([1, 3])
+		set.redo()
+		expect([...set]).toEqual([1, 2, 3])
+		expect(set.floor(2.5)).toBe(2)
+	})
+
+	test('set.undo() reports changes to listeners', () => {
+		const set = new ReverseIterableSet(['a', 'b'], { history: true })
+		/** @type {unknown[]} */ const changes = []
+
+		set.moveToFront('b')
+		set.subscribe((change) => changes.push(change))
+		set.undo()
+		expect(changes).toEqual([{ type: 'move', value: 'b', index: 1, oldIndex: 0, prev: 'a', next: undefined }])
+	})
+
+	test('set.undo()/set.redo() errors', () => {
+		const set = new ReverseIterableSet(['a'], { history: true })
+
+		expect(() => new ReverseIterableSet(['a']).undo()).toThrow(TypeError)
+		expect(() => new ReverseIterableSet(['a']).redo()).toThrow(TypeError)
+		expect(() => set.transaction(() => set.undo())).toThrow(TypeError)
+		expect(() => new ReverseIterableSet([], { history: 0 })).toThrow(RangeError)
+		expect(() => new ReverseIterableSet([], { history: 1.5 })).toThrow(RangeError)
+		expect(() => new ReverseIterableSet([], { history: /** @type {any} */ ('yes') })).toThrow(RangeError)
+	})
+
+	test('set[Symbol.asyncIterator]() yields existing and added values', async () => {
+		const set = new ReverseIterableSet(['a', 'b'])
+		/** @type {string[]} */ const values = []
+
+		setTimeout(() => {
+			set.add('c')
+			set.add('a')
+			set.add('d')
+		})
+
+		for await (const value of set) {
+			values.push(value)
+
+			if (value === 'd') {
+				break
+			}
+		}
+
+		expect(values).toEqual(['a', 'b', 'c', 'd'])
+		expect([...set]).toEqual(['a', 'b', 'c', 'd'])
+	})
+
+	test('set[Symbol.asyncIterator]() with consume', async () => {
+		const set = new ReverseIterableSet(['a', 'b'])
+		const iterator = set[Symbol.asyncIterator]({ consume: true })
+
+		expect(await iterator.next()).toEqual({ value: 'a', done: false })
+		expect([...set]).toEqual(['b'])
+		expect(await iterator.next()).toEqual({ value: 'b', done: false })
+		expect(set.size).toBe(0)
+
+		const pending = iterator.next()
+		set.add('b')
+		expect(await pending).toEqual({ value: 'b', done: false })
+		expect(set.size).toBe(0)
+
+		// Values added after consuming the last value are picked up as well.
+		set.add('c').add('d')
+		expect(await iterator.next()).toEqual({ value: 'c', done: false })
+		expect(await iterator.next()).toEqual({ value: 'd', done: false })
+	})
+
+	test('set[Symbol.asyncIterator]() with several consumers', async () => {
+		const set = new ReverseIterableSet()
+		const iterator1 = set[Symbol.asyncIterator]({ consume: true })
+		const iterator2 = set[Symbol.asyncIterator]({ consume: true })
+
+		const pending = [iterator1.next(), iterator2.next(), iterator1.next()]
+		set.add('a')
+		set.add('b')
+		set.add('c')
+
+		expect((await Promise.all(pending)).map((result) => result.value)).toEqual(['a', 'b', 'c'])
+		expect(set.size).toBe(0)
+	})
+
+	test('set[Symbol.asyncIterator]() with a signal', async () => {
+		const set = new ReverseIterableSet(['a'])
+		const controller = new AbortController()
+		const iterator = set[Symbol.asyncIterator]({ signal: controller.signal })
+
+		expect(await iterator.next()).toEqual({ value: 'a', done: false })
+
+		const pending = iterator.next()
+		controller.abort(new Error('stop'))
+		await expect(pending).rejects.toThrow('stop')
+		expect(await iterator.next()).toEqual({ value: undefined, done: true })
+
+		const abortedIterator = set[Symbol.asyncIterator]({ signal: controller.signal })
+		await expect(abortedIterator.next()).rejects.toThrow('stop')
+		expect(await abortedIterator.next()).toEqual({ value: undefined, done: true })
+
+		expect(() => set[Symbol.asyncIterator]({ signal: /** @type {any} */ ({}) })).toThrow(TypeError)
+	})
+
+	test('iterator.return() finishes pending calls to iterator.next()', async () => {
+		const set = new ReverseIterableSet()
+		const iterator = set[Symbol.asyncIterator]()
+		/** @type {unknown[]} */ const changes = []
+
+		const pending = iterator.next()
+		expect(await iterator.return?.()).toEqual({ value: undefined, done: true })
+		expect(await pending).toEqual({ value: undefined, done: true })
+
+		// The iterator no longer waits for changes.
+		set.subscribe((change) => changes.push(change))
+		set.add('a')
+		expect(await iterator.next()).toEqual({ value: undefined, done: true })
+		expect(changes).toHaveLength(1)
+	})
+
+	test('set[Symbol.asyncIterator]() with changes during iteration', async () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+		const iterator = set[Symbol.asyncIterator]()
+
+		expect(await iterator.next()).toEqual({ value: 'a', done: false })
+		set.delete('a')
+		set.delete('b')
+		expect(await iterator.next()).toEqual({ value: 'c', done: false })
+
+		set.delete('c')
+		const pending = iterator.next()
+		set.add('d')
+		expect(await pending).toEqual({ value: 'd', done: false })
+
+		set.clear()
+		set.add('e')
+		expect(await iterator.next()).toEqual({ value: 'e', done: false })
+
+		// Moving a value after the current value also wakes up the iterator.
+		set.addFirst('f')
+		const moved = iterator.next()
+		set.moveToBack('f')
+		expect(await moved).toEqual({ value: 'f', done: false })
+	})
+
+	test('set.asyncIteratorFor()', async () => {
+		const set = new ReverseIterableSet(['a', 'b', 'c'])
+		const iterator = set.asyncIteratorFor('b', { consume: true })
+
+		expect(await iterator.next()).toEqual({ value: 'b', done: false })
+		expect(await iterator.next()).toEqual({ value: 'c', done: false })
+		expect([...set]).toEqual(['a'])
+
+		const pending = iterator.next()
+		set.add('d')
+		expect(await pending).toEqual({ value: 'd', done: false })
+		expect([...set]).toEqual(['a'])
+
+		const keyedSet = new ReverseIterableSet([{ id: 1 }, { id: 2 }], { key: (value) => value.id })
+		expect(await keyedSet.asyncIteratorFor(ReverseIterableSet.byKey(2)).next()).toEqual({ value: { id: 2 }, done: false })
+	})
+
+	test('set.validate()', () => {
+		const set = new ReverseIterableSet(/** @type {(string | number)[]} */ (['a', 'b', 'c', 'd']))
+
+		for (let i = 0; i < 200; i++) {
+			set.add(i)
+			if (i % 3 === 0) {
+				set.delete(i - 1)
+				set.moveToFront(i)
+			}
+		}
+		set.replaceRange(5, 20, ['x', 'y'])
+		expect(() => set.validate()).not.toThrow()
+
+		const sortedSet = new ReverseIterableSet([5, 3, 8, 1], { compare: (a, b) => a - b, history: true, maxSize: 4 })
+		sortedSet.add(4)
+		sortedSet.delete(3)
+		sortedSet.undo()
+		expect(() => sortedSet.validate()).not.toThrow()
+		expect(() => new ReverseIterableSet().validate()).not.toThrow()
+	})
+
+	test('set.validate() detects broken invariants', () => {
+		/**
+		 * Creates a set of three values and captures the typed arrays it allocates for its storage.
+		 */
+		function createSetWithStorage() {
+			/** @type {Array<Int32Array | Uint32Array>} */ const arrays = []
+			const globals = /** @type {any} */ (globalThis)
+			const { Int32Array, Uint32Array } = globalThis
+
+			globals.Int32Array = class extends Int32Array {
+				/** @param {number} length */
+				constructor(length) {
+					super(length)
+					arrays.push(this)
+				}
+			}
+			globals.Uint32Array = class extends Uint32Array {
+				/** @param {number} length */
+				constructor(length) {
+					super(length)
+					arrays.push(this)
+				}
+			}
+
+			try {
+				const set = new ReverseIterableSet([{ id: 1 }, { id: 2 }, { id: 3 }], { key: (value) => value.id })
+				// In the order of the fields of `ReverseIterableSet`.
+				const [nextNodes, prevNodes, parentNodes, , , subtreeSizes, priorities] = /** @type {[Int32Array, Int32Array, Int32Array, Int32Array, Int32Array, Int32Array, Uint32Array]} */ (arrays)
+				const rootNode = /** @type {number} */ ([0, 1, 2].find((node) => parentNodes[node] === -1))
+
+				return { set, nextNodes, prevNodes, parentNodes, subtreeSizes, priorities, rootNode }
+			}
+			finally {
+				globals.Int32Array = Int32Array
+				globals.Uint32Array = Uint32Array
+			}
+		}
+
+		/**
+		 * @param {(storage: ReturnType<typeof createSetWithStorage>) => void} breakSet
+		 */
+		function validateBrokenSet(breakSet) {
+			const storage = createSetWithStorage()
+			breakSet(storage)
+
+			return () => storage.set.validate()
+		}
+
+		const nonRootNodes = (/** @type {number} */ rootNode) => [0, 1, 2].filter((node) => node !== rootNode)
+
+		expect(() => createSetWithStorage().set.validate()).not.toThrow()
+		expect(validateBrokenSet(({ nextNodes }) => { nextNodes[2] = 0 })).toThrow('cycle')
+		expect(validateBrokenSet(({ subtreeSizes }) => { subtreeSizes[1] = 0 })).toThrow('The node at index 1 has been freed')
+		expect(validateBrokenSet(({ prevNodes }) => { prevNodes[2] = 0 })).toThrow('index 2 doesn\'t link back to the node at index 1')
+		expect(validateBrokenSet(({ prevNodes }) => { prevNodes[0] = 2 })).toThrow('The first node has a previous node')
+		expect(validateBrokenSet(({ nextNodes }) => { nextNodes[1] = -1 })).toThrow('The last node isn\'t the end of the list')
+		// The deleted value's slot is the only free slot. Linking it to a node in the list makes the free list too long.
+		expect(validateBrokenSet(({ set, nextNodes }) => {
+			set.delete(ReverseIterableSet.byKey(2))
+			nextNodes[1] = 0
+		})).toThrow('3 slots are used but the set has 2 nodes and 3 free slots')
+		expect(validateBrokenSet(({ subtreeSizes, rootNode }) => { subtreeSizes[rootNode] = 4 })).toThrow('subtree size')
+		expect(validateBrokenSet(({ parentNodes, rootNode }) => {
+			for (const node of nonRootNodes(rootNode)) {
+				parentNodes[node] = node
+			}
+		})).toThrow('in the tree doesn\'t link back to it')
+		expect(validateBrokenSet(({ priorities, rootNode }) => {
+			for (const node of nonRootNodes(rootNode)) {
+				priorities[node] = 2 ** 32 - 1
+			}
+		})).toThrow('has a higher priority')
+		expect(validateBrokenSet(({ parentNodes, rootNode }) => { parentNodes[rootNode] = rootNode })).toThrow('The root of the tree has a parent node')
+	})
+
+	test('set.validate() detects values changed from outside', () => {
+		const value = { id: 3 }
+		const set = new ReverseIterableSet([{ id: 1 }, { id: 2 }, value], { key: (value) => value.id })
+
+		value.id = 1
+		expect(() => set.validate()).toThrow('The key of the value at index 2 has changed')
+
+		const first = { n: 1 }
+		const sortedSet = new ReverseIterableSet([first, { n: 2 }, { n: 3 }], { compare: (a, b) => a.n - b.n })
+
+		first.n = 5
+		expect(() => sortedSet.validate()).toThrow('The values at index 0 and 1 are out of order')
+	})
 })
@@ -0,0 +1,12 @@
+/**
+ * Runs the garbage collector until `condition` is met. The tests run with `--expose-gc`.
+ *
+ * @param {() => boolean} condition
+ */
+export async function collectGarbage(condition) {
+	for (let i = 0; i < 20 && !condition(); i++) {
+		/** @type {any} */ (globalThis).gc()
+		// Finalization callbacks run in a later task.
+		await new Promise((resolve) => setTimeout(resolve, 0))
+	}
+}
@@ -0,0 +1,235 @@
+import ReverseIterableSet from './reverse-iterable-set.js'
+
+/**
+ * @template V
+ * @typedef {import('../types/index.d.js').ReverseIterableIterator<V>} ReverseIterableIterator
+ */
+
+/**
+ * A variant of `ReverseIterableSet` which holds its values weakly, like a [`WeakSet`][1], but can still be iterated in insertion order and in reverse.
+ *
+ * The values are stored as [`WeakRef`][2] objects in a `ReverseIterableSet` object. Once a value has been garbage-collected, iterators skip it and a [`FinalizationRegistry`][3] eventually removes it from the list. When that happens is up to the JavaScript engine, which is why `size` is only an upper bound.
+ *
+ * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/WeakSet
+ * [2]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/WeakRef
+ * [3]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/FinalizationRegistry
+ *
+ * @template {object} V
+ */
+export default class WeakReverseIterableSet {
+	/** @type {ReverseIterableSet<WeakRef<V>>} */ #refs
+	/** @type {WeakMap<V, WeakRef<V>>} */ #refMap
+	/** @type {FinalizationRegistry<WeakRef<V>>} */ #registry
+
+	/**
+	 * A `WeakReverseIterableSet` object can be constructed from any iterable of objects.
+	 *
+	 * @param {Iterable<V> | null} [iterable]
+	 */
+	constructor(iterable) {
+		this.#refs = new ReverseIterableSet()
+		this.#refMap = new WeakMap()
+		this.#registry = new FinalizationRegistry((ref) => {
+			this.#refs.delete(ref)
+		})
+
+		if (iterable !== undefined && iterable !== null) {
+			for (const value of iterable) {
+				this.add(value)
+			}
+		}
+	}
+
+	/**
+	 * The [`@@toStringTag`][1] property is used by [`Object.prototype.toString()`][2].
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Symbol/toStringTag
+	 * [2]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/toString
+	 *
+	 * @returns {string}
+	 */
+	get [Symbol.toStringTag]() {
+		return 'WeakReverseIterableSet'
+	}
+
+	/**
+	 * The `size` accessor property returns the number of values in a `WeakReverseIterableSet` object. Values which have been garbage-collected are counted until their entry has been removed, so the actual number of values can be smaller.
+	 *
+	 * @returns {number} the approximate number of values in the `WeakReverseIterableSet` object.
+	 */
+	get size() {
+		return this.#refs.size
+	}
+
+	/**
+	 * The `has()` method returns a boolean indicating whether a value exists in a `WeakReverseIterableSet` object or not.
+	 *
+	 * @param {V} value
+	 * @returns {boolean} `true` if the value exists in the `WeakReverseIterableSet` object otherwise `false`.
+	 */
+	has(value) {
+		return this.#refMap.has(value)
+	}
+
+	/**
+	 * The `add()` method adds `value` to the end of a `WeakReverseIterableSet` object.
+	 *
+	 * @param {V} value The object to add.
+	 * @returns {WeakReverseIterableSet<V>} the `WeakReverseIterableSet` object.
+	 * @throws {TypeError} if `value` isn't an object.
+	 */
+	add(value) {
+		if (!this.has(value)) {
+			this.#refs.add(this.#createRef(value, 'add'))
+		}
+
+		return this
+	}
+
+	/**
+	 * The `addFirst()` method adds `value` to the start of a `WeakReverseIterableSet` object.
+	 *
+	 * @param {V} value The object to add.
+	 * @returns {WeakReverseIterableSet<V>} the `WeakReverseIterableSet` object.
+	 * @throws {TypeError} if `value` isn't an object.
+	 */
+	addFirst(value) {
+		if (!this.has(value)) {
+			this.#refs.addFirst(this.#createRef(value, 'addFirst'))
+		}
+
+		return this
+	}
+
+	/**
+	 * The `delete()` method removes `value` from a `WeakReverseIterableSet` object.
+	 *
+	 * @param {V} value
+	 * @returns {boolean} `true` if `value` has been removed otherwise `false`.
+	 */
+	delete(value) {
+		const ref = this.#refMap.get(value)
+
+		if (ref === undefined) {
+			return false
+		}
+
+		this.#refMap.delete(value)
+		this.#registry.unregister(ref)
+
+		return this.#refs.delete(ref)
+	}
+
+	/**
+	 * The `clear()` method removes all values from a `WeakReverseIterableSet` object.
+	 */
+	clear() {
+		for (const ref of this.#refs) {
+			const value = ref.deref()
+			if (value !== undefined) {
+				this.#refMap.delete(value)
+			}
+
+			this.#registry.unregister(ref)
+		}
+
+		this.#refs.clear()
+	}
+
+	/**
+	 * The `first()` method returns the first value of a `WeakReverseIterableSet` object which hasn't been garbage-collected.
+	 *
+	 * @returns {V | undefined} the first value or `undefined` if the `WeakReverseIterableSet` object is empty.
+	 */
+	first() {
+		return this.values().next().value
+	}
+
+	/**
+	 * The `last()` method returns the last value of a `WeakReverseIterableSet` object which hasn't been garbage-collected.
+	 *
+	 * @returns {V | undefined} the last value or `undefined` if the `WeakReverseIterableSet` object is empty.
+	 */
+	last() {
+		return this.values().reverseIterator().next().value
+	}
+
+	/**
+	 * The `forEach()` method executes a provided function once per each value/value pair in the `WeakReverseIterableSet` object, in insertion order.
+	 *
+	 * @param {(value2: V, value1: V, set: WeakReverseIterableSet<V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 */
+	forEach(callbackfn, thisArg) {
+		for (const value of this.values()) {
+			callbackfn.call(thisArg, value, value, this)
+		}
+	}
+
+	/**
+	 * The `forEachReverse()` method executes a provided function once per each value/value pair in the `WeakReverseIterableSet` object, in reverse insertion order.
+	 *
+	 * @param {(value2: V, value1: V, set: WeakReverseIterableSet<V>) => void} callbackfn
+	 * @param {any} [thisArg]
+	 */
+	forEachReverse(callbackfn, thisArg) {
+		for (const value of this.values().reverseIterator()) {
+			callbackfn.call(thisArg, value, value, this)
+		}
+	}
+
+	/**
+	 * The initial value of the [@@iterator][1] property is the same function object as the initial value of the `values` property.
+	 *
+	 * [1]:  https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set/@@iterator
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `WeakReverseIterableSet` object.
+	 */
+	[Symbol.iterator]() {
+		return this.values()
+	}
+
+	/**
+	 * Allows using the [iteration protocols][1] for reverse iteration.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols
+	 *
+	 * @returns {ReverseIterableIterator<V>} a reverse iterable iterator for the `WeakReverseIterableSet` object.
+	 */
+	reverseIterator() {
+		return this.values().reverseIterator()
+	}
+
+	/**
+	 * The `values()` method returns a new [Iterator][1] object that contains the values in a `WeakReverseIterableSet` object in insertion order. Values which have been garbage-collected are skipped.
+	 *
+	 * [1]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Iterators_and_Generators#Iterators
+	 *
+	 * @returns {ReverseIterableIterator<V>} an iterable iterator for the `WeakReverseIterableSet` object.
+	 */
+	values() {
+		return this.#refs.values()
+			.map((ref) => ref.deref())
+			.filter(/** @returns {value is V} */ (value) => value !== undefined)
+	}
+
+	/**
+	 * Creates a `WeakRef` object for the new value `value` and registers it so that its entry is removed once `value` has been garbage-collected.
+	 *
+	 * @param {V} value
+	 * @param {string} methodName Name of the calling method used in the error message.
+	 * @returns {WeakRef<V>}
+	 * @throws {TypeError} if `value` isn't an object.
+	 */
+	#createRef(value, methodName) {
+		if ((typeof value !== 'object' || value === null) && typeof value !== 'function') {
+			throw new TypeError(`WeakReverseIterableSet.prototype.${methodName}: The value must be an object`)
+		}
+
+		const ref = new WeakRef(value)
+		this.#refMap.set(value, ref)
+		this.#registry.register(value, ref, ref)
+
+		return ref
+	}
+}
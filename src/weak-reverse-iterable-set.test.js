@@ -0,0 +1,111 @@
+import { describe, expect, test } from 'vitest'
+
+import WeakReverseIterableSet from './weak-reverse-iterable-set.js'
+import { collectGarbage } from './test-helpers.js'
+
+describe('WeakReverseIterableSet', () => {
+	test('Construct set', () => {
+		const a = {}
+		const b = {}
+		const set = new WeakReverseIterableSet([a, b, a])
+
+		expect(set.size).toBe(2)
+		expect([...set]).toEqual([a, b])
+		expect(new WeakReverseIterableSet().size).toBe(0)
+		// The references to the values can't be reached from outside.
+		expect(Object.keys(set)).toEqual([])
+	})
+
+	test('set.add()/set.addFirst()/set.has()', () => {
+		const a = {}
+		const b = {}
+		const c = () => {}
+		/** @type {WeakReverseIterableSet<object>} */ const set = new WeakReverseIterableSet()
+
+		expect(set.add(b)).toBe(set)
+		expect(set.addFirst(a)).toBe(set)
+		set.add(c).add(a).addFirst(c)
+		expect([...set]).toEqual([a, b, c])
+		expect(set.has(a)).toBe(true)
+		expect(set.has({})).toBe(false)
+
+		expect(() => set.add(/** @type {any} */ (1))).toThrow(TypeError)
+		expect(() => set.addFirst(/** @type {any} */ (null))).toThrow(TypeError)
+	})
+
+	test('set.delete()/set.clear()', () => {
+		const a = {}
+		const b = {}
+		const c = {}
+		const set = new WeakReverseIterableSet([a, b, c])
+
+		expect(set.delete(b)).toBe(true)
+		expect(set.delete(b)).toBe(false)
+		expect([...set]).toEqual([a, c])
+
+		set.clear()
+		expect(set.size).toBe(0)
+		expect(set.has(a)).toBe(false)
+		set.add(c)
+		expect([...set]).toEqual([c])
+	})
+
+	test('Iteration', () => {
+		const a = { name: 'a' }
+		const b = { name: 'b' }
+		const c = { name: 'c' }
+		const set = new WeakReverseIterableSet([a, b, c])
+		/** @type {object[]} */ const forEachValues = []
+		/** @type {object[]} */ const forEachReverseValues = []
+
+		set.forEach((value) => forEachValues.push(value))
+		set.forEachReverse((value) => forEachReverseValues.push(value))
+		expect(forEachValues).toEqual([a, b, c])
+		expect(forEachReverseValues).toEqual([c, b, a])
+		expect([...set.reverseIterator()]).toEqual([c, b, a])
+		expect(set.values().map((value) => value.name).toArray()).toEqual(['a', 'b', 'c'])
+		expect(set.first()).toBe(a)
+		expect(set.last()).toBe(c)
+		expect(new WeakReverseIterableSet().first()).toBe(undefined)
+	})
+
+	test('Garbage-collected values are skipped and removed', async () => {
+		const first = { name: 'first' }
+		const last = { name: 'last' }
+		const set = new WeakReverseIterableSet([first])
+
+		// The values only referenced by the set are created in a separate scope.
+		;(() => {
+			for (let i = 0; i < 10; i++) {
+				set.add({ name: `temporary ${i}` })
+			}
+		})()
+		set.add(last)
+		expect(set.size).toBe(12)
+
+		await collectGarbage(() => set.size === 2)
+
+		expect(set.size).toBe(2)
+		expect([...set]).toEqual([first, last])
+		expect([...set.reverseIterator()]).toEqual([last, first])
+	})
+
+	test('Deleted values are not removed again after garbage collection', async () => {
+		const value = {}
+		const set = new WeakReverseIterableSet()
+
+		;(() => {
+			const temporary = {}
+			set.add(temporary)
+			set.delete(temporary)
+		})()
+		set.add(value)
+
+		await collectGarbage(() => false)
+		expect([...set]).toEqual([value])
+	})
+
+	test('set[Symbol.toStringTag]', () => {
+		expect(Object.prototype.toString.call(new WeakReverseIterableSet())).toBe('[object WeakReverseIterableSet]')
+	})
+})
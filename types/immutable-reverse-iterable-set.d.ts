@@ -0,0 +1,75 @@
+import type { ReverseIterableIterator, ReverseIterableSetComposition } from './index.d.js'
+
+/**
+ * An immutable variant of `ReverseIterableSet`. Methods which would change the set return a new `ImmutableReverseIterableSet` object (or the object itself if nothing changes). Unchanged parts of the internal structure are shared between the objects.
+ */
+export default class ImmutableReverseIterableSet<V> {
+	/**
+	 * An `ImmutableReverseIterableSet` object can be constructed from any iterable, including `ReverseIterableSet` objects.
+	 */
+	constructor(iterable?: Iterable<V> | null)
+
+	get [Symbol.toStringTag](): string
+	get size(): number
+
+	has(value: V): boolean
+	add(value: V): ImmutableReverseIterableSet<V>
+	addFirst(value: V): ImmutableReverseIterableSet<V>
+
+	/**
+	 * @throws {RangeError} if `ref` doesn't exist in the set.
+	 */
+	insertBefore(ref: V, value: V): ImmutableReverseIterableSet<V>
+
+	/**
+	 * @throws {RangeError} if `ref` doesn't exist in the set.
+	 */
+	insertAfter(ref: V, value: V): ImmutableReverseIterableSet<V>
+
+	/**
+	 * @throws {RangeError} if `ref` or `value` doesn't exist in the set.
+	 */
+	moveBefore(ref: V, value: V): ImmutableReverseIterableSet<V>
+
+	/**
+	 * @throws {RangeError} if `ref` or `value` doesn't exist in the set.
+	 */
+	moveAfter(ref: V, value: V): ImmutableReverseIterableSet<V>
+
+	/**
+	 * @throws {RangeError} if `value` doesn't exist in the set.
+	 */
+	moveToFront(value: V): ImmutableReverseIterableSet<V>
+
+	/**
+	 * @throws {RangeError} if `value` doesn't exist in the set.
+	 */
+	moveToBack(value: V): ImmutableReverseIterableSet<V>
+
+	delete(value: V): ImmutableReverseIterableSet<V>
+	clear(): ImmutableReverseIterableSet<V>
+	first(): V | undefined
+	last(): V | undefined
+	next(value: V): V | undefined
+	prev(value: V): V | undefined
+
+	/**
+	 * Determines whether both objects contain the same values in the same order.
+	 */
+	equals(other: ImmutableReverseIterableSet<V>): boolean
+
+	forEach(callbackfn: (value2: V, value1: V, set: ImmutableReverseIterableSet<V>) => void, thisArg?: any): void
+	forEachReverse(callbackfn: (value2: V, value1: V, set: ImmutableReverseIterableSet<V>) => void, thisArg?: any): void
+	[Symbol.iterator](): ReverseIterableIterator<V>
+	reverseIterator(): ReverseIterableIterator<V>
+	entries(): ReverseIterableIterator<[V, V]>
+	values(): ReverseIterableIterator<V>
+	keys(): ReverseIterableIterator<V>
+
+	/**
+	 * Creates a `ReverseIterableSet` object with the same values. The declarations of the package don't include the `ReverseIterableSet` class, so the result is typed by the interfaces it implements.
+	 */
+	toMutable(): ReverseIterableSetComposition<V>
+
+	toJSON(): V[]
+}
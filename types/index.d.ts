@@ -2,14 +2,308 @@
  * Custom `IterableIterator` interface including a `reverseIterator` function. Should reverse-iteration make it into ECMAScript, this function would probably be named `[Symbol.reverseIterator]`.
  */
 export interface ReverseIterableIterator<V> extends IterableIterator<V> {
-	reverseIterator(): IterableIterator<V>
+	reverseIterator(): ReverseIterableIterator<V>
+
+	/**
+	 * Returns a lazily evaluated iterator yielding the return values of `callbackfn` for each value.
+	 */
+	map<U>(callbackfn: (value: V, index: number) => U): ReverseIterableIterator<U>
+
+	/**
+	 * Returns a lazily evaluated iterator yielding the values for which `predicate` returns a truthy value.
+	 */
+	filter<S extends V>(predicate: (value: V, index: number) => value is S): ReverseIterableIterator<S>
+	filter(predicate: (value: V, index: number) => unknown): ReverseIterableIterator<V>
+
+	/**
+	 * Returns a lazily evaluated iterator yielding at most the first `limit` values. Its reverse iterator yields the same values in reverse order.
+	 */
+	take(limit: number): ReverseIterableIterator<V>
+
+	/**
+	 * Returns a lazily evaluated iterator skipping the first `limit` values. Its reverse iterator yields the same values in reverse order.
+	 */
+	drop(limit: number): ReverseIterableIterator<V>
+
+	/**
+	 * Returns a lazily evaluated iterator yielding the values of the iterables returned by `callbackfn` for each value.
+	 */
+	flatMap<U>(callbackfn: (value: V, index: number) => Iterable<U>): ReverseIterableIterator<U>
+
+	reduce(callbackfn: (accumulator: V, value: V, index: number) => V): V
+	reduce<U>(callbackfn: (accumulator: U, value: V, index: number) => U, initialValue: U): U
+	toArray(): V[]
+	some(predicate: (value: V, index: number) => unknown): boolean
+	every(predicate: (value: V, index: number) => unknown): boolean
+	find<S extends V>(predicate: (value: V, index: number) => value is S): S | undefined
+	find(predicate: (value: V, index: number) => unknown): V | undefined
 }
 
 /**
- * The `ReverseIterableSetNode` object represents a value in a `ReverseIterableSet` object. Its main purpose is storing the value. Additionally, it keeps references to the `ReverseIterableSetNode` objects appearing before and after itself in a `ReverseIterableSet` object.
+ * The `ReverseIterableSetNode` object represented a value in a `ReverseIterableSet` object, with references to the nodes appearing before and after itself.
+ *
+ * @deprecated `ReverseIterableSet` objects no longer create an object per value: the links between values are stored in typed arrays. No API returns or accepts nodes. The type is only kept so that existing imports keep compiling and will be removed in the next major version.
  */
 export interface ReverseIterableSetNode<V> {
 	value: V
 	nextNode: ReverseIterableSetNode<V> | null
 	prevNode: ReverseIterableSetNode<V> | null
 }
+
+/**
+ * A set-like object as accepted by the set composition methods (e.g. `union()` or `isSubsetOf()`). Both `Set` and `ReverseIterableSet` objects are set-like; so is any object with a numeric `size` property and callable `has` and `keys` methods.
+ */
+export interface ReadonlySetLike<V> {
+	readonly size: number
+	has(value: V): boolean
+	keys(): Iterator<V>
+}
+
+/**
+ * The set composition methods of a `ReverseIterableSet` object. They accept any set-like object like the methods of `Set` do, but keep the order of the `ReverseIterableSet` object (followed by the order of `other` for values only in `other`).
+ */
+export interface ReverseIterableSetComposition<V> extends ReadonlySetLike<V>, Iterable<V> {
+	/**
+	 * @throws {TypeError} if `other` isn't a set-like object.
+	 */
+	union<U>(other: ReadonlySetLike<U>): ReverseIterableSetComposition<V | U>
+
+	/**
+	 * @throws {TypeError} if `other` isn't a set-like object.
+	 */
+	intersection<U>(other: ReadonlySetLike<U>): ReverseIterableSetComposition<V & U>
+
+	/**
+	 * @throws {TypeError} if `other` isn't a set-like object.
+	 */
+	difference<U>(other: ReadonlySetLike<U>): ReverseIterableSetComposition<V>
+
+	/**
+	 * @throws {TypeError} if `other` isn't a set-like object.
+	 */
+	symmetricDifference<U>(other: ReadonlySetLike<U>): ReverseIterableSetComposition<V | U>
+
+	/**
+	 * @throws {TypeError} if `other` isn't a set-like object.
+	 */
+	isSubsetOf(other: ReadonlySetLike<unknown>): boolean
+
+	/**
+	 * @throws {TypeError} if `other` isn't a set-like object.
+	 */
+	isSupersetOf(other: ReadonlySetLike<unknown>): boolean
+
+	/**
+	 * @throws {TypeError} if `other` isn't a set-like object.
+	 */
+	isDisjointFrom(other: ReadonlySetLike<unknown>): boolean
+}
+
+/**
+ * Options for the `ReverseIterableSet` constructor.
+ */
+export interface ReverseIterableSetOptions<V> {
+	/**
+	 * The maximum number of values. Adding a value to a full set evicts the first value (or the last value if the new value is added at the start with `addFirst()`). Defaults to `Infinity`.
+	 */
+	maxSize?: number
+
+	/**
+	 * `'fifo'` (default) evicts values in insertion order. `'lru'` additionally moves an existing value to the end when it is passed to `add()` or `has()`, so the least recently used value is evicted first. These moves aren't recorded in the history.
+	 */
+	eviction?: 'fifo' | 'lru'
+
+	/**
+	 * Called with each evicted value after it has been removed. If it throws, the remaining values are still evicted before the error is rethrown.
+	 */
+	onEvict?: ((value: V) => void) | null
+
+	/**
+	 * Derives the key which decides the uniqueness of a value. Values with the same key (compared with [SameValueZero](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Equality_comparisons_and_sameness#same-value-zero_equality)) are considered the same value; the set stores the first value added for each key. Defaults to using the values themselves.
+	 */
+	key?: ((value: V) => unknown) | null
+
+	/**
+	 * Keeps the values sorted by this comparison function (like the one passed to `Array.prototype.sort()`) instead of insertion order. Values which compare as equal stay in insertion order. Can't be combined with `'lru'` eviction.
+	 */
+	compare?: ((a: V, b: V) => number) | null
+
+	/**
+	 * Records changes so that they can be reverted with `undo()` and reapplied with `redo()`. A number limits how many changes are kept. Defaults to `false`.
+	 */
+	history?: boolean | number
+}
+
+/**
+ * Options for `ReverseIterableSet.prototype.range()` and `ReverseIterableSet.prototype.rangeEntries()`.
+ */
+export interface ReverseIterableSetRangeOptions {
+	/**
+	 * Whether the bounds are part of the range. Defaults to `true`.
+	 */
+	inclusive?: boolean
+
+	/**
+	 * `'forward'` (default) iterates the range in insertion order, `'reverse'` in reverse insertion order.
+	 */
+	direction?: 'forward' | 'reverse'
+
+	/**
+	 * `'throw'` (default) throws a `RangeError` if a bound doesn't exist in the set. `'empty'` returns an empty iterator instead.
+	 */
+	ifMissing?: 'throw' | 'empty'
+}
+
+/**
+ * Options for `ReverseIterableSet.prototype[Symbol.asyncIterator]()` and `ReverseIterableSet.prototype.asyncIteratorFor()`.
+ */
+export interface ReverseIterableSetAsyncIteratorOptions {
+	/**
+	 * Stops the iteration when aborted. A pending `next()` call is rejected with the abort reason.
+	 */
+	signal?: AbortSignal
+
+	/**
+	 * Whether each value is deleted from the set when it is yielded. Defaults to `false`.
+	 */
+	consume?: boolean
+}
+
+/**
+ * Options for `ReverseIterableSet.prototype.cursor()`.
+ */
+export interface ReverseIterableSetCursorOptions {
+	/**
+	 * Whether `next()` continues with the first value after the last one and `prev()` with the last value before the first one. Defaults to `false`.
+	 */
+	wrap?: boolean
+}
+
+/**
+ * A cursor returned by `ReverseIterableSet.prototype.cursor()`. It points at a value of the set or, after that value was deleted, at the gap it left.
+ */
+export interface ReverseIterableSetCursor<V> {
+	/**
+	 * The value the cursor points at or `undefined` if it doesn't point at a value.
+	 */
+	readonly value: V | undefined
+
+	/**
+	 * Moves the cursor to the next value and returns it. If there is none, the cursor stays in place and `undefined` is returned.
+	 */
+	next(): V | undefined
+
+	/**
+	 * Moves the cursor to the previous value and returns it. If there is none, the cursor stays in place and `undefined` is returned.
+	 */
+	prev(): V | undefined
+
+	/**
+	 * Returns the value `next()` would move to without moving the cursor.
+	 */
+	peekNext(): V | undefined
+
+	/**
+	 * Returns the value `prev()` would move to without moving the cursor.
+	 */
+	peekPrev(): V | undefined
+
+	/**
+	 * Deletes the value the cursor points at from the set. The cursor then points at the gap the value left. Returns `true` if a value has been deleted.
+	 */
+	remove(): boolean
+
+	/**
+	 * Adds `value` to the set directly before the position of the cursor unless it already exists. Throws a `TypeError` in sorted mode.
+	 */
+	insertBefore(value: V): this
+
+	/**
+	 * Adds `value` to the set directly after the position of the cursor unless it already exists. Throws a `TypeError` in sorted mode.
+	 */
+	insertAfter(value: V): this
+}
+
+/**
+ * Options for `ReverseIterableSet.prototype.equals()`.
+ */
+export interface ReverseIterableSetEqualsOptions {
+	/**
+	 * Whether the values need to be in the same order. Defaults to `true`.
+	 */
+	ordered?: boolean
+}
+
+/**
+ * An operation returned by `ReverseIterableSet.prototype.diff()` and accepted by `ReverseIterableSet.prototype.applyPatch()`. `index`, `prev` and `next` are the position and neighbors of `value` after it was inserted or moved or before it was deleted. `prev` and `next` are `undefined` if there is no neighbor on that side.
+ */
+export interface ReverseIterableSetPatchOperation<V> {
+	type: 'insert' | 'delete' | 'move'
+	value: V
+	index: number
+	prev: V | undefined
+	next: V | undefined
+}
+
+/**
+ * Describes a value which was added to or deleted from a `ReverseIterableSet` object. `index`, `prev` and `next` are the position and neighbors of the value after it was added or before it was deleted. `prev` and `next` are `undefined` if there is no neighbor on that side.
+ */
+export interface ReverseIterableSetValueChange<V> {
+	type: 'add' | 'delete'
+	value: V
+	index: number
+	prev: V | undefined
+	next: V | undefined
+}
+
+/**
+ * Describes a value which was moved within a `ReverseIterableSet` object. `index`, `prev` and `next` are its new position and neighbors. `oldIndex` is its position before it was moved.
+ */
+export interface ReverseIterableSetMoveChange<V> {
+	type: 'move'
+	value: V
+	index: number
+	oldIndex: number
+	prev: V | undefined
+	next: V | undefined
+}
+
+/**
+ * Describes a call to `clear()` on a non-empty `ReverseIterableSet` object. `values` are the removed values in their former order.
+ */
+export interface ReverseIterableSetClearChange<V> {
+	type: 'clear'
+	values: V[]
+}
+
+/**
+ * Describes a call to `sort()`, `reverse()`, `rotate()` or `shuffle()` which changed the order of a `ReverseIterableSet` object. `values` are all values in their new order.
+ */
+export interface ReverseIterableSetReorderChange<V> {
+	type: 'reorder'
+	values: V[]
+}
+
+export type ReverseIterableSetChange<V> = ReverseIterableSetValueChange<V> | ReverseIterableSetMoveChange<V> | ReverseIterableSetClearChange<V> | ReverseIterableSetReorderChange<V>
+
+/**
+ * Converts values to and from a JSON-compatible representation for `ReverseIterableSet.prototype.toJSON()` and `ReverseIterableSet.fromJSON()`.
+ */
+export interface ReverseIterableSetCodec<V> {
+	encode(value: V): unknown
+	decode(data: any): V
+}
+
+/**
+ * Describes how `ReverseIterableSet.createJSONCodec()` encodes and decodes values of one type. Encoded values are represented as `{ "$type": name, "value": encode(value) }`.
+ */
+export interface JSONTypeHandler<T> {
+	/** Unique name of the type stored in encoded values. */
+	name: string
+	/** Returns whether `value` is handled by this type handler. */
+	test(value: unknown): boolean
+	/** Returns a JSON-compatible representation of `value`. `codec` can be used to encode nested values. */
+	encode(value: T, codec: ReverseIterableSetCodec<any>): unknown
+	/** Restores a value from its JSON-compatible representation. `codec` can be used to decode nested values. */
+	decode(data: any, codec: ReverseIterableSetCodec<any>): T
+}
@@ -0,0 +1,83 @@
+import type { ReverseIterableIterator } from './index.d.js'
+
+/**
+ * An ordered multiset (also known as bag) which keeps its distinct values in the order they were first added and counts how often each value has been added.
+ */
+export default class ReverseIterableMultiset<V> {
+	/**
+	 * A `ReverseIterableMultiset` object can be constructed from any iterable. Each occurrence of a value is counted.
+	 */
+	constructor(iterable?: Iterable<V> | null)
+
+	get [Symbol.toStringTag](): string
+
+	/**
+	 * The number of distinct values.
+	 */
+	get size(): number
+
+	/**
+	 * The sum of the counts of all values.
+	 */
+	get totalSize(): number
+
+	has(value: V): boolean
+
+	/**
+	 * Returns how often `value` occurs (`0` if it doesn't exist).
+	 */
+	count(value: V): number
+
+	/**
+	 * Adds `n` occurrences of `value` (`1` by default). A new value is added to the end.
+	 *
+	 * @throws {RangeError} if `n` isn't a positive safe integer.
+	 */
+	add(value: V, n?: number): ReverseIterableMultiset<V>
+
+	/**
+	 * Removes up to `n` occurrences of `value` (`1` by default) and returns the number of occurrences which have been removed.
+	 *
+	 * @throws {RangeError} if `n` isn't a positive safe integer.
+	 */
+	remove(value: V, n?: number): number
+
+	/**
+	 * Removes all occurrences of `value`.
+	 */
+	delete(value: V): boolean
+
+	clear(): void
+	first(): V | undefined
+	last(): V | undefined
+
+	/**
+	 * @throws {TypeError} if `callbackfn` isn't a function.
+	 */
+	forEach(callbackfn: (value: V, count: number, multiset: ReverseIterableMultiset<V>) => void, thisArg?: any): void
+
+	/**
+	 * @throws {TypeError} if `callbackfn` isn't a function.
+	 */
+	forEachReverse(callbackfn: (value: V, count: number, multiset: ReverseIterableMultiset<V>) => void, thisArg?: any): void
+
+	[Symbol.iterator](): ReverseIterableIterator<V>
+	reverseIterator(): ReverseIterableIterator<V>
+
+	/**
+	 * Yields each distinct value once.
+	 */
+	values(): ReverseIterableIterator<V>
+
+	keys(): ReverseIterableIterator<V>
+
+	/**
+	 * Yields each value repeated by its count.
+	 */
+	elements(): ReverseIterableIterator<V>
+
+	/**
+	 * Yields a `[value, count]` pair for each distinct value.
+	 */
+	entries(): ReverseIterableIterator<[V, number]>
+}
@@ -0,0 +1,42 @@
+import type { ReverseIterableIterator } from './index.d.js'
+
+/**
+ * A variant of `ReverseIterableSet` which holds its values weakly, like a `WeakSet`, but can still be iterated in insertion order and in reverse. Values which have been garbage-collected are skipped.
+ */
+export default class WeakReverseIterableSet<V extends object> {
+	/**
+	 * A `WeakReverseIterableSet` object can be constructed from any iterable of objects.
+	 *
+	 * @throws {TypeError} if a value isn't an object.
+	 */
+	constructor(iterable?: Iterable<V> | null)
+
+	get [Symbol.toStringTag](): string
+
+	/**
+	 * The number of values, including values which have been garbage-collected but not removed yet.
+	 */
+	get size(): number
+
+	has(value: V): boolean
+
+	/**
+	 * @throws {TypeError} if `value` isn't an object.
+	 */
+	add(value: V): WeakReverseIterableSet<V>
+
+	/**
+	 * @throws {TypeError} if `value` isn't an object.
+	 */
+	addFirst(value: V): WeakReverseIterableSet<V>
+
+	delete(value: V): boolean
+	clear(): void
+	first(): V | undefined
+	last(): V | undefined
+	forEach(callbackfn: (value2: V, value1: V, set: WeakReverseIterableSet<V>) => void, thisArg?: any): void
+	forEachReverse(callbackfn: (value2: V, value1: V, set: WeakReverseIterableSet<V>) => void, thisArg?: any): void
+	[Symbol.iterator](): ReverseIterableIterator<V>
+	reverseIterator(): ReverseIterableIterator<V>
+	values(): ReverseIterableIterator<V>
+}
@@ -3,5 +3,11 @@ import { defineConfig } from 'vitest/config'
 export default defineConfig({
 	test: {
 		environment: 'jsdom',
+		poolOptions: {
+			forks: {
+				// Lets the tests of `WeakReverseIterableSet` trigger garbage collection.
+				execArgv: ['--expose-gc'],
+			},
+		},
 	},
 })